@@ -0,0 +1,73 @@
+// Thin SQL drivers with a common shape: query(sql, params) resolves to rows, and
+// transaction(fn) runs fn(query) between BEGIN and COMMIT. SQL is written with
+// Postgres-style $1 placeholders.
+
+const createPostgresDriver = (connectionString) => {
+  const { Pool } = require('pg')
+  const pool = new Pool({ connectionString })
+
+  return {
+    query: async (sql, params = []) => (await pool.query(sql, params)).rows,
+    transaction: async (fn) => {
+      const client = await pool.connect()
+      try {
+        await client.query('BEGIN')
+        const result = await fn(async (sql, params = []) => (await client.query(sql, params)).rows)
+        await client.query('COMMIT')
+        return result
+      } catch (error) {
+        await client.query('ROLLBACK')
+        throw error
+      } finally {
+        client.release()
+      }
+    },
+    close: () => pool.end()
+  }
+}
+
+// node:sqlite first shipped in Node 22.5
+const SQLITE_MIN_NODE = '22.5'
+
+// Uses the built-in node:sqlite module, so no native dependency is needed. The rest of the
+// backend runs on Node 20; older Nodes can use Postgres or the in-memory store instead.
+const createSqliteDriver = (filename = ':memory:') => {
+  let DatabaseSync
+  try {
+    ({ DatabaseSync } = require('node:sqlite'))
+  } catch (error) {
+    throw new Error(
+      `STORAGE_DRIVER=sqlite needs Node ${SQLITE_MIN_NODE} or later for node:sqlite, but this is Node ${process.versions.node}. ` +
+      'Upgrade Node, set DATABASE_URL for Postgres, or unset STORAGE_DRIVER to keep storage in memory.'
+    )
+  }
+  const db = new DatabaseSync(filename)
+
+  // SQLite numbers its parameters ?1, ?2 rather than $1, $2
+  const query = async (sql, params = []) => {
+    const statement = db.prepare(sql.replace(/\$(\d+)/g, '?$1'))
+    if (/^\s*(SELECT|WITH)\b/i.test(sql) || /\bRETURNING\b/i.test(sql)) {
+      return statement.all(...params).map(row => ({ ...row }))
+    }
+    statement.run(...params)
+    return []
+  }
+
+  return {
+    query,
+    transaction: async (fn) => {
+      db.exec('BEGIN')
+      try {
+        const result = await fn(query)
+        db.exec('COMMIT')
+        return result
+      } catch (error) {
+        db.exec('ROLLBACK')
+        throw error
+      }
+    },
+    close: async () => db.close()
+  }
+}
+
+module.exports = { createPostgresDriver, createSqliteDriver }
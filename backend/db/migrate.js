@@ -0,0 +1,34 @@
+const { migrations } = require('./migrations')
+
+/**
+ * Apply any migrations that haven't run yet, each in its own transaction
+ * @param {Object} driver - SQL driver with query() and transaction()
+ * @returns {Promise<Array<string>>} Versions applied by this call
+ */
+const migrate = async (driver) => {
+  await driver.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version TEXT PRIMARY KEY,
+      applied_at TEXT NOT NULL
+    )`)
+
+  const rows = await driver.query('SELECT version FROM schema_migrations')
+  const applied = new Set(rows.map(row => row.version))
+  const pending = migrations.filter(m => !applied.has(m.version))
+
+  for (const migration of pending) {
+    await driver.transaction(async (query) => {
+      for (const statement of migration.statements) {
+        await query(statement)
+      }
+      await query(
+        'INSERT INTO schema_migrations (version, applied_at) VALUES ($1, $2)',
+        [migration.version, new Date().toISOString()]
+      )
+    })
+  }
+
+  return pending.map(m => m.version)
+}
+
+module.exports = { migrate }
@@ -0,0 +1,60 @@
+// Schema migrations, applied in order and recorded in schema_migrations.
+// SQL sticks to types both Postgres and SQLite understand: TEXT timestamps are ISO
+// strings set by the app, and `shared` is an INTEGER flag.
+
+const storageTable = (name) => `
+  CREATE TABLE ${name} (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    shared INTEGER NOT NULL DEFAULT 0,
+    value TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  )`
+
+const migrations = [
+  {
+    version: '001_create_routes',
+    statements: [
+      storageTable('routes'),
+      'CREATE INDEX routes_user_id_idx ON routes (user_id)'
+    ]
+  },
+  {
+    version: '002_create_feedback',
+    statements: [
+      storageTable('feedback'),
+      'CREATE INDEX feedback_user_id_idx ON feedback (user_id)'
+    ]
+  },
+  {
+    // One profile per user: the row id is the user id
+    version: '003_create_user_profiles',
+    statements: [
+      storageTable('user_profiles')
+    ]
+  },
+  {
+    version: '004_create_activities',
+    statements: [
+      storageTable('activities'),
+      'CREATE INDEX activities_user_id_idx ON activities (user_id)'
+    ]
+  },
+  {
+    version: '005_create_gear',
+    statements: [
+      storageTable('gear'),
+      'CREATE INDEX gear_user_id_idx ON gear (user_id)'
+    ]
+  },
+  {
+    version: '006_create_trips',
+    statements: [
+      storageTable('trips'),
+      'CREATE INDEX trips_user_id_idx ON trips (user_id)'
+    ]
+  }
+]
+
+module.exports = { migrations }
@@ -0,0 +1,144 @@
+const { httpError } = require('../services/weatherService')
+const { migrate } = require('./migrate')
+
+// Storage resources and the tables behind them. Keys in the frontend look like
+// `route:<id>`, `feedback:<id>`, `profile:<id>`, `activity:<id>`, `gear:<id>` and `trip:<id>`.
+const RESOURCES = {
+  routes: 'routes',
+  feedback: 'feedback',
+  profiles: 'user_profiles',
+  activities: 'activities',
+  gear: 'gear',
+  trips: 'trips'
+}
+
+const toRecord = (row) => ({
+  id: row.id,
+  userId: row.user_id,
+  shared: Boolean(row.shared),
+  value: row.value,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+})
+
+// Rows are visible to their owner, and to everyone once shared
+const notOwned = (id) => httpError(403, `Record ${id} belongs to another user`)
+
+/**
+ * Store backed by a SQL driver (Postgres or SQLite)
+ * @param {Object} driver - SQL driver from ./drivers
+ * @returns {Promise<Object>} Store with list, get, put and remove
+ */
+const createSqlStore = async (driver) => {
+  await migrate(driver)
+
+  return {
+    list: async (resource, userId) => {
+      const rows = await driver.query(
+        `SELECT id FROM ${RESOURCES[resource]} WHERE user_id = $1 OR shared = 1 ORDER BY created_at, id`,
+        [userId]
+      )
+      return rows.map(row => row.id)
+    },
+
+    get: async (resource, id, userId) => {
+      const rows = await driver.query(
+        `SELECT * FROM ${RESOURCES[resource]} WHERE id = $1 AND (user_id = $2 OR shared = 1)`,
+        [id, userId]
+      )
+      return rows.length ? toRecord(rows[0]) : null
+    },
+
+    put: async (resource, id, userId, value, shared = false) => {
+      const table = RESOURCES[resource]
+      const now = new Date().toISOString()
+      // The conditional upsert leaves rows owned by someone else untouched; RETURNING tells us if it did
+      const rows = await driver.query(
+        `INSERT INTO ${table} (id, user_id, shared, value, created_at, updated_at)
+         VALUES ($1, $2, $3, $4, $5, $5)
+         ON CONFLICT (id) DO UPDATE SET shared = excluded.shared, value = excluded.value, updated_at = excluded.updated_at
+         WHERE ${table}.user_id = excluded.user_id
+         RETURNING *`,
+        [id, userId, shared ? 1 : 0, value, now]
+      )
+      if (!rows.length) throw notOwned(id)
+      return toRecord(rows[0])
+    },
+
+    remove: async (resource, id, userId) => {
+      const table = RESOURCES[resource]
+      const existing = await driver.query(`SELECT user_id FROM ${table} WHERE id = $1`, [id])
+      if (!existing.length) return false
+      if (existing[0].user_id !== userId) throw notOwned(id)
+      await driver.query(`DELETE FROM ${table} WHERE id = $1 AND user_id = $2`, [id, userId])
+      return true
+    },
+
+    close: () => driver.close()
+  }
+}
+
+/**
+ * In-process store with the same behaviour as the SQL store, for tests and local development
+ * @returns {Object} Store with list, get, put and remove
+ */
+const createMemoryStore = () => {
+  const tables = Object.fromEntries(Object.keys(RESOURCES).map(resource => [resource, new Map()]))
+  const isVisible = (record, userId) => record.userId === userId || record.shared
+
+  return {
+    list: async (resource, userId) =>
+      [...tables[resource].values()].filter(record => isVisible(record, userId)).map(record => record.id),
+
+    get: async (resource, id, userId) => {
+      const record = tables[resource].get(id)
+      return record && isVisible(record, userId) ? { ...record } : null
+    },
+
+    put: async (resource, id, userId, value, shared = false) => {
+      const existing = tables[resource].get(id)
+      if (existing && existing.userId !== userId) throw notOwned(id)
+
+      const now = new Date().toISOString()
+      const record = {
+        id,
+        userId,
+        shared: Boolean(shared),
+        value,
+        createdAt: existing ? existing.createdAt : now,
+        updatedAt: now
+      }
+      tables[resource].set(id, record)
+      return { ...record }
+    },
+
+    remove: async (resource, id, userId) => {
+      const existing = tables[resource].get(id)
+      if (!existing) return false
+      if (existing.userId !== userId) throw notOwned(id)
+      return tables[resource].delete(id)
+    },
+
+    close: async () => {}
+  }
+}
+
+/**
+ * Pick a store from the environment: Postgres when DATABASE_URL is set, SQLite when
+ * STORAGE_DRIVER=sqlite (file from SQLITE_PATH, in memory by default), otherwise memory
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Object>} Store
+ */
+const createStoreFromEnv = async (env = process.env) => {
+  const { createPostgresDriver, createSqliteDriver } = require('./drivers')
+
+  if (env.STORAGE_DRIVER === 'sqlite') {
+    return createSqlStore(createSqliteDriver(env.SQLITE_PATH))
+  }
+  if (env.STORAGE_DRIVER === 'postgres' || (!env.STORAGE_DRIVER && env.DATABASE_URL)) {
+    return createSqlStore(createPostgresDriver(env.DATABASE_URL))
+  }
+  return createMemoryStore()
+}
+
+module.exports = { RESOURCES, createSqlStore, createMemoryStore, createStoreFromEnv }
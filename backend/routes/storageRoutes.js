@@ -0,0 +1,100 @@
+const express = require('express')
+const { RESOURCES } = require('../db/stores')
+
+const MAX_VALUE_LENGTH = 5 * 1024 * 1024
+
+/**
+ * REST endpoints over the storage store, mirroring the frontend storage keys:
+ * `route:<id>` is /api/routes/<id>, `feedback:<id>` is /api/feedback/<id>,
+ * `profile:<id>` is /api/profiles/<id>, `activity:<id>` is /api/activities/<id>,
+ * `gear:<id>` is /api/gear/<id> and `trip:<id>` is /api/trips/<id>.
+ * Callers identify themselves with X-User-Id.
+ * @param {Promise<Object>|Object} storeReady - Store, or a promise for one
+ * @returns {express.Router}
+ */
+const createStorageRouter = (storeReady) => {
+  const router = express.Router()
+
+  router.use('/:resource', (req, res, next) => {
+    if (!Object.hasOwn(RESOURCES, req.params.resource)) return next('router')
+
+    const userId = req.get('X-User-Id')
+    if (!userId || !userId.trim()) {
+      return res.status(401).json({
+        error: 'X-User-Id header is required',
+        code: 'MISSING_USER',
+        field: 'X-User-Id'
+      })
+    }
+    req.userId = userId.trim()
+    next()
+  })
+
+  router.get('/:resource', async (req, res) => {
+    try {
+      const store = await storeReady
+      const ids = await store.list(req.params.resource, req.userId)
+      res.json({ ids })
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message })
+    }
+  })
+
+  router.get('/:resource/:id', async (req, res) => {
+    try {
+      const store = await storeReady
+      const record = await store.get(req.params.resource, req.params.id, req.userId)
+      if (!record) {
+        return res.status(404).json({ error: `No ${req.params.resource} record ${req.params.id}` })
+      }
+      res.json(record)
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message })
+    }
+  })
+
+  router.put('/:resource/:id', async (req, res) => {
+    try {
+      // value is stored verbatim as a string, the same way window.storage keeps it
+      const { value, shared = false } = req.body || {}
+
+      if (typeof value !== 'string' || value.length > MAX_VALUE_LENGTH) {
+        return res.status(400).json({
+          error: 'value must be a string of at most 5 MB',
+          code: 'INVALID_VALUE',
+          field: 'value'
+        })
+      }
+      if (typeof shared !== 'boolean') {
+        return res.status(400).json({
+          error: 'shared must be a boolean',
+          code: 'INVALID_SHARED',
+          field: 'shared'
+        })
+      }
+
+      const store = await storeReady
+      const record = await store.put(req.params.resource, req.params.id, req.userId, value, shared)
+      res.json(record)
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message })
+    }
+  })
+
+  router.delete('/:resource/:id', async (req, res) => {
+    try {
+      const store = await storeReady
+      const removed = await store.remove(req.params.resource, req.params.id, req.userId)
+      if (!removed) {
+        return res.status(404).json({ error: `No ${req.params.resource} record ${req.params.id}` })
+      }
+      res.status(204).end()
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message })
+    }
+  })
+
+  return router
+}
+
+module.exports = { createStorageRouter }
@@ -1,41 +1,198 @@
 const express = require('express')
 const cors = require('cors')
 require('dotenv').config()
+const { createWeatherService } = require('./services/weatherService')
+const { createForecastCache } = require('./services/forecastCache')
+const { createStoreFromEnv } = require('./db/stores')
+const { createStorageRouter } = require('./routes/storageRoutes')
+
+// The recommendation engine and activity catalog are ES modules shared with the frontend
+const recommendationEngine = import('../shared/recommendations.js')
+const activityCatalog = import('../shared/activityCatalog.js')
+const gearCloset = import('../shared/gearCloset.js')
+const layeringPlan = import('../shared/layeringPlan.js')
+const unitConversions = import('../shared/units.js')
+const calibration = import('../shared/calibration.js')
 
 const app = express()
 const PORT = process.env.PORT || 3001
 
+// Upstream URLs are configurable so tests can point them at a local fake server
+const weatherService = createWeatherService({
+  forecastUrl: process.env.WEATHER_API_URL,
+  geocodingUrl: process.env.GEOCODING_API_URL,
+  gridDegrees: process.env.WEATHER_GRID_DEGREES ? Number(process.env.WEATHER_GRID_DEGREES) : undefined,
+  cache: createForecastCache({
+    ttlMs: Number(process.env.WEATHER_CACHE_TTL_MINUTES || 30) * 60 * 1000
+  })
+})
+
+// Saved routes, feedback and profiles; see db/stores.js for how the backend is chosen
+const store = createStoreFromEnv()
+// A misconfigured store would fail every storage request, so don't start without one
+store.catch(error => {
+  console.error('Storage failed to start:', error.message)
+  process.exit(1)
+})
+
 // Middleware
 app.use(cors())
-app.use(express.json())
+app.use(express.json({ limit: '6mb' }))
 
 // Test route
 app.get('/', (req, res) => {
   res.json({ message: 'What Should I Wear API is running!' })
 })
 
-// Weather endpoint (we'll implement this next)
+const isValidLocation = (location) => {
+  if (typeof location === 'string') return location.trim().length > 0
+  return Boolean(location) && Number.isFinite(location.lat) && Number.isFinite(location.lon)
+}
+
+// Numeric fields the shared engine reads from a weather record besides temperature and
+// windSpeed. Each may be left out or null; precipitationChance then counts as 0, the way the
+// forecast fetchers fill it in, and the engine already skips the others when missing.
+const OPTIONAL_WEATHER_FIELDS = [
+  'precipitationChance', 'precipitation', 'snowfall', 'humidity', 'weatherCode',
+  'uvIndex', 'cloudCover', 'temperatureMin', 'temperatureMax'
+]
+
+const weatherRecordProblems = (record, i) => {
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    return [`weather[${i}] must be an object`]
+  }
+  const problems = ['temperature', 'windSpeed']
+    .filter(field => !Number.isFinite(record[field]))
+    .map(field => `weather[${i}].${field} must be a number`)
+  OPTIONAL_WEATHER_FIELDS.forEach(field => {
+    if (record[field] != null && !Number.isFinite(record[field])) {
+      problems.push(`weather[${i}].${field} must be a number when given`)
+    }
+  })
+  return problems
+}
+
+// Weather endpoint: geocode locations and return hourly forecasts for the activity window
 app.post('/api/weather', async (req, res) => {
   try {
-    const { locations, startTime } = req.body
-    // TODO: Fetch weather data
-    res.json({ message: 'Weather endpoint - coming soon' })
+    const { locations, startTime, hours = 5 } = req.body || {}
+
+    if (!Array.isArray(locations) || locations.length === 0 || !locations.every(isValidLocation)) {
+      return res.status(400).json({ error: 'locations must be a non-empty array of place names or { lat, lon } objects' })
+    }
+    if (!startTime || isNaN(new Date(startTime).getTime())) {
+      return res.status(400).json({ error: 'startTime must be a valid date' })
+    }
+    if (!Number.isInteger(hours) || hours < 1 || hours > 48) {
+      return res.status(400).json({ error: 'hours must be an integer between 1 and 48' })
+    }
+
+    const result = await weatherService.getWeather(locations, startTime, hours)
+    res.json(result)
   } catch (error) {
-    res.status(500).json({ error: error.message })
+    if (Number.isFinite(error.retryAfterMs)) {
+      res.set('Retry-After', String(Math.ceil(error.retryAfterMs / 1000)))
+    }
+    res.status(error.status || 500).json({ error: error.message, ...(error.code && { code: error.code }) })
   }
 })
 
-// Recommendations endpoint
+// Recommendations endpoint: run the shared clothing engine against a forecast window
 app.post('/api/recommendations', async (req, res) => {
   try {
-    const { activity, weather, effort } = req.body
-    // TODO: Generate recommendations
-    res.json({ message: 'Recommendations endpoint - coming soon' })
+    const { ACTIVITIES, EFFORT_LEVELS, generateRecommendations, assessConditions } = await recommendationEngine
+    const { validateActivity } = await activityCatalog
+    const { validateGearItem } = await gearCloset
+    const { buildLayeringPlan } = await layeringPlan
+    const { validateUnits, resolveUnits } = await unitConversions
+    const { validateFeedbackRecord } = await calibration
+    // activity is a built-in activity id or a full user-defined activity definition.
+    // feedback is optional: the caller's own past feedback records, used for personal calibration.
+    // closet is optional: the caller's gear items, so layers name things they own.
+    // units is optional and only changes the figures quoted in layer reasons; weather and
+    // the returned conditions are always °F, mph, km, m and inches
+    const { activity, weather, effort, feedback = [], closet = [], units = {} } = req.body || {}
+
+    if (activity && typeof activity === 'object') {
+      const problems = validateActivity(activity)
+      if (problems.length) {
+        return res.status(400).json({
+          error: `Invalid activity definition: ${problems.join('; ')}`,
+          code: 'INVALID_ACTIVITY',
+          field: 'activity'
+        })
+      }
+    } else if (!ACTIVITIES.some(a => a.id === activity)) {
+      return res.status(400).json({
+        error: `Unknown activity: ${activity}`,
+        code: 'INVALID_ACTIVITY',
+        field: 'activity',
+        allowed: ACTIVITIES.map(a => a.id)
+      })
+    }
+    if (!EFFORT_LEVELS.some(e => e.id === effort)) {
+      return res.status(400).json({
+        error: `Unknown effort level: ${effort}`,
+        code: 'INVALID_EFFORT',
+        field: 'effort',
+        allowed: EFFORT_LEVELS.map(e => e.id)
+      })
+    }
+    const feedbackProblems = Array.isArray(feedback)
+      ? feedback.flatMap((record, i) => validateFeedbackRecord(record).map(problem => `feedback[${i}]: ${problem}`))
+      : ['feedback must be an array of feedback records']
+    if (feedbackProblems.length) {
+      return res.status(400).json({
+        error: feedbackProblems.join('; '),
+        code: 'INVALID_FEEDBACK',
+        field: 'feedback'
+      })
+    }
+    const closetProblems = Array.isArray(closet)
+      ? closet.flatMap((item, i) => validateGearItem(item).map(problem => `closet[${i}]: ${problem}`))
+      : ['closet must be an array of gear items']
+    if (closetProblems.length) {
+      return res.status(400).json({
+        error: closetProblems.join('; '),
+        code: 'INVALID_CLOSET',
+        field: 'closet'
+      })
+    }
+    const unitProblems = validateUnits(units)
+    if (unitProblems.length) {
+      return res.status(400).json({
+        error: unitProblems.join('; '),
+        code: 'INVALID_UNITS',
+        field: 'units'
+      })
+    }
+    const weatherProblems = Array.isArray(weather) && weather.length > 0
+      ? weather.flatMap(weatherRecordProblems)
+      : ['weather must be a non-empty array of hourly records with temperature and windSpeed']
+    if (weatherProblems.length) {
+      return res.status(400).json({
+        error: weatherProblems.join('; '),
+        code: 'INVALID_WEATHER',
+        field: 'weather'
+      })
+    }
+    const records = weather.map(w => ({ ...w, precipitationChance: w.precipitationChance ?? 0 }))
+
+    const layers = generateRecommendations(activity, records, effort, feedback, closet, resolveUnits(units))
+    res.json({
+      activity: typeof activity === 'object' ? activity.id : activity,
+      effort,
+      conditions: assessConditions(activity, records, effort, feedback),
+      layers,
+      plan: buildLayeringPlan(activity, records, effort, feedback, closet)
+    })
   } catch (error) {
     res.status(500).json({ error: error.message })
   }
 })
 
+app.use('/api', createStorageRouter(store))
+
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`)
 })
\ No newline at end of file
@@ -0,0 +1,78 @@
+// In-memory cache of hourly forecast records keyed by grid cell and forecast hour.
+// Several people checking the same trailhead resolve to the same cell, so only
+// the first request for that cell reaches the upstream provider. The span of hours each
+// cell's last fetch covered is kept too, so hours outside it are known to be unavailable
+// without asking again.
+
+const HOUR_MS = 60 * 60 * 1000
+
+const cellKey = (cell) => `${cell.lat.toFixed(3)},${cell.lon.toFixed(3)}`
+const cacheKey = (cell, hourMs) => `${cellKey(cell)}@${hourMs}`
+
+const createForecastCache = ({ ttlMs = 30 * 60 * 1000, now = Date.now } = {}) => {
+  const entries = new Map()
+  const ranges = new Map()
+
+  const get = (cell, hourMs) => {
+    const key = cacheKey(cell, hourMs)
+    const entry = entries.get(key)
+    if (!entry) return null
+    if (entry.expiresAt <= now()) {
+      entries.delete(key)
+      return null
+    }
+    return entry.record
+  }
+
+  const set = (cell, hourMs, record) => {
+    entries.set(cacheKey(cell, hourMs), { record, expiresAt: now() + ttlMs })
+  }
+
+  /**
+   * First and last forecast hour the cell's last fetch returned, while that fetch is fresh
+   * @returns {{fromMs: number, toMs: number}|null}
+   */
+  const getRange = (cell) => {
+    const key = cellKey(cell)
+    const range = ranges.get(key)
+    if (!range) return null
+    if (range.expiresAt <= now()) {
+      ranges.delete(key)
+      return null
+    }
+    return { fromMs: range.fromMs, toMs: range.toMs }
+  }
+
+  const setRange = (cell, fromMs, toMs) => {
+    ranges.set(cellKey(cell), { fromMs, toMs, expiresAt: now() + ttlMs })
+  }
+
+  // Drop expired entries so a long-running server doesn't grow without bound
+  const prune = () => {
+    const currentTime = now()
+    for (const map of [entries, ranges]) {
+      for (const [key, entry] of map) {
+        if (entry.expiresAt <= currentTime) {
+          map.delete(key)
+        }
+      }
+    }
+  }
+
+  return {
+    get,
+    set,
+    getRange,
+    setRange,
+    prune,
+    clear: () => {
+      entries.clear()
+      ranges.clear()
+    },
+    get size() {
+      return entries.size
+    }
+  }
+}
+
+module.exports = { createForecastCache, HOUR_MS }
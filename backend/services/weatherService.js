@@ -0,0 +1,238 @@
+const { createForecastCache, HOUR_MS } = require('./forecastCache')
+
+// Shared with the frontend, which is ESM
+const weatherErrors = import('../../shared/weatherErrors.js')
+const retry = import('../../shared/retry.js')
+
+const DEFAULT_FORECAST_URL = 'https://api.open-meteo.com/v1'
+const DEFAULT_GEOCODING_URL = 'https://geocoding-api.open-meteo.com/v1'
+const DEFAULT_GRID_DEGREES = 0.05
+const HOURLY_FIELDS = 'temperature_2m,precipitation_probability,precipitation,snowfall,wind_speed_10m,relative_humidity_2m,weather_code,uv_index,cloud_cover'
+
+// Errors carry an HTTP status so the route handler can pass them straight through, and
+// weather failures also carry their code from shared/weatherErrors.js
+const httpError = (status, message, code) => {
+  const error = new Error(message)
+  error.status = status
+  if (code) {
+    error.code = code
+  }
+  return error
+}
+
+// Status to answer with for each weather error code. Upstream rate limits are our problem,
+// not the caller's, so they surface as the service being briefly unavailable.
+const STATUS_FOR_CODE = {
+  GEOCODING_FAILED: 404,
+  PROVIDER_OUTAGE: 502,
+  OUT_OF_RANGE: 422,
+  RATE_LIMITED: 503
+}
+
+// Snap coordinates to the centre of their grid cell. Forecasts are fetched for the
+// cell centre so every request that lands in the cell shares one cached answer.
+const toGridCell = (lat, lon, gridDegrees) => ({
+  lat: Math.round(lat / gridDegrees) * gridDegrees,
+  lon: Math.round(lon / gridDegrees) * gridDegrees
+})
+
+// The nearest forecast hour to the given time, matching the frontend's lookup
+const toForecastHour = (timeMs) => Math.round(timeMs / HOUR_MS) * HOUR_MS
+
+/**
+ * Create a weather service that geocodes locations and returns normalized hourly
+ * forecast records, caching forecasts per grid cell and hour.
+ * @param {Object} options
+ * @param {string} options.forecastUrl - Base URL of the Open-Meteo compatible forecast API
+ * @param {string} options.geocodingUrl - Base URL of the Open-Meteo compatible geocoding API
+ * @param {number} options.gridDegrees - Size of a cache grid cell in degrees
+ * @param {Object} options.cache - Forecast cache (see forecastCache.js)
+ * @param {Object} options.retryPolicy - Overrides for retrying upstream calls (see shared/retry.js)
+ * @returns {{ geocodeLocation: Function, getWeather: Function, cache: Object }}
+ */
+const createWeatherService = ({
+  forecastUrl = DEFAULT_FORECAST_URL,
+  geocodingUrl = DEFAULT_GEOCODING_URL,
+  gridDegrees = DEFAULT_GRID_DEGREES,
+  cache = createForecastCache(),
+  retryPolicy = {}
+} = {}) => {
+  // Outages and rate limits are retried with backoff before they reach the caller
+  const fetchJson = async (url) => {
+    const { weatherError, errorFromResponse, WEATHER_ERROR_CODES } = await weatherErrors
+    const { withRetry } = await retry
+
+    try {
+      return await withRetry(async () => {
+        let response
+        try {
+          response = await fetch(url)
+        } catch (error) {
+          throw weatherError(WEATHER_ERROR_CODES.PROVIDER_OUTAGE, `Weather provider unreachable: ${error.message}`)
+        }
+        if (!response.ok) {
+          // Open-Meteo explains rejected requests in a `reason` field
+          const body = await response.json().catch(() => ({}))
+          throw errorFromResponse(response.status, response.headers.get('Retry-After'), body.reason || '')
+        }
+        return response.json()
+      }, retryPolicy)
+    } catch (error) {
+      error.status = STATUS_FOR_CODE[error.code] || 502
+      throw error
+    }
+  }
+
+  // Place names rarely move, so geocoding results are kept for the life of the process
+  const geocodeCache = new Map()
+
+  const geocodeLocation = async (locationName) => {
+    const cacheKey = locationName.trim().toLowerCase()
+    if (geocodeCache.has(cacheKey)) {
+      return geocodeCache.get(cacheKey)
+    }
+
+    const data = await fetchJson(
+      `${geocodingUrl}/search?name=${encodeURIComponent(locationName)}&count=1&language=en&format=json`
+    )
+    if (!data.results || data.results.length === 0) {
+      throw httpError(404, `Could not find location: ${locationName}`, 'GEOCODING_FAILED')
+    }
+    const coords = {
+      lat: data.results[0].latitude,
+      lon: data.results[0].longitude,
+      name: data.results[0].name
+    }
+    geocodeCache.set(cacheKey, coords)
+    return coords
+  }
+
+  // Locations may be place names or { lat, lon, name } objects
+  const resolveLocation = async (location) => {
+    if (typeof location === 'string') {
+      return geocodeLocation(location)
+    }
+    return {
+      lat: location.lat,
+      lon: location.lon,
+      name: location.name || `Lat ${location.lat.toFixed(2)}, Lon ${location.lon.toFixed(2)}`
+    }
+  }
+
+  // Fetch the full hourly forecast for a cell and cache every hour it contains
+  const fetchCellForecast = async (cell) => {
+    const data = await fetchJson(
+      `${forecastUrl}/forecast?latitude=${cell.lat}&longitude=${cell.lon}&hourly=${HOURLY_FIELDS}&temperature_unit=fahrenheit&wind_speed_unit=mph&precipitation_unit=inch&daily=sunrise,sunset&timeformat=unixtime&timezone=auto&forecast_days=16`
+    )
+    if (!data.hourly || !Array.isArray(data.hourly.time)) {
+      throw httpError(502, 'Weather provider returned no hourly forecast', 'PROVIDER_OUTAGE')
+    }
+
+    // Local days start at the daily times, so each hour takes the last day begun by then
+    const daily = data.daily && Array.isArray(data.daily.time) ? data.daily : null
+    const dayOf = (seconds) => {
+      if (!daily) return -1
+      let day = -1
+      daily.time.forEach((start, d) => { if (start <= seconds) day = d })
+      return day
+    }
+    const toIso = (seconds) => (Number.isFinite(seconds) ? new Date(seconds * 1000).toISOString() : null)
+
+    data.hourly.time.forEach((seconds, i) => {
+      const day = dayOf(seconds)
+      cache.set(cell, seconds * 1000, {
+        temperature: Math.round(data.hourly.temperature_2m[i]),
+        windSpeed: Math.round(data.hourly.wind_speed_10m[i]),
+        precipitationChance: data.hourly.precipitation_probability[i] || 0,
+        // Hourly amounts in inches; snowfall is the depth of fresh snow
+        precipitation: data.hourly.precipitation?.[i] || 0,
+        snowfall: data.hourly.snowfall?.[i] || 0,
+        humidity: data.hourly.relative_humidity_2m[i],
+        weatherCode: data.hourly.weather_code[i],
+        uvIndex: data.hourly.uv_index?.[i] ?? null,
+        cloudCover: data.hourly.cloud_cover?.[i] ?? null,
+        sunrise: day >= 0 ? toIso(daily.sunrise[day]) : null,
+        sunset: day >= 0 ? toIso(daily.sunset[day]) : null,
+        gridElevation: data.elevation
+      })
+    })
+    const times = data.hourly.time.filter(Number.isFinite)
+    if (times.length) {
+      cache.setRange(cell, Math.min(...times) * 1000, Math.max(...times) * 1000)
+    }
+  }
+
+  // Concurrent requests for the same cell share one upstream fetch
+  const inFlight = new Map()
+  const refreshCell = (cell) => {
+    const key = `${cell.lat.toFixed(3)},${cell.lon.toFixed(3)}`
+    if (!inFlight.has(key)) {
+      const pending = fetchCellForecast(cell).finally(() => inFlight.delete(key))
+      inFlight.set(key, pending)
+    }
+    return inFlight.get(key)
+  }
+
+  const getLocationWeather = async (coords, startMs, hours) => {
+    const cell = toGridCell(coords.lat, coords.lon, gridDegrees)
+    const slots = Array.from({ length: hours }, (_, i) => startMs + i * HOUR_MS)
+
+    // Hours outside what the cell's last fetch covered won't turn up by fetching again
+    const range = cache.getRange(cell)
+    const needsFetch = slots.some(slotMs => {
+      const hourMs = toForecastHour(slotMs)
+      return !cache.get(cell, hourMs) && (!range || (hourMs >= range.fromMs && hourMs <= range.toMs))
+    })
+    if (needsFetch) {
+      cache.prune()
+      await refreshCell(cell)
+    }
+
+    const weatherData = []
+    slots.forEach(slotMs => {
+      const record = cache.get(cell, toForecastHour(slotMs))
+      if (record) {
+        weatherData.push({
+          location: coords.name,
+          time: new Date(slotMs).toISOString(),
+          ...record
+        })
+      }
+    })
+    if (weatherData.length === 0) {
+      throw httpError(422, `No forecast for ${coords.name} at ${new Date(startMs).toISOString()}`, 'OUT_OF_RANGE')
+    }
+    return weatherData
+  }
+
+  /**
+   * Geocode each location and return hourly forecast records for the activity window
+   * @param {Array<string|Object>} locations - Place names or { lat, lon, name } objects
+   * @param {string} startTime - ISO start time of the activity
+   * @param {number} hours - Number of hourly slots to return (default: 5)
+   * @returns {Promise<{weatherData: Array, coords: Array, coverage: Array, truncated: boolean}>}
+   *   coverage gives, per location, the first and last hour returned and how many there are;
+   *   truncated is true when the forecast ends before the window does for any location
+   */
+  const getWeather = async (locations, startTime, hours = 5) => {
+    const startMs = new Date(startTime).getTime()
+    const coords = await Promise.all(locations.map(resolveLocation))
+    const perLocation = await Promise.all(coords.map(c => getLocationWeather(c, startMs, hours)))
+    const coverage = perLocation.map(records => ({
+      from: records[0].time,
+      to: records[records.length - 1].time,
+      hours: records.length
+    }))
+
+    return {
+      weatherData: perLocation.flat(),
+      coords,
+      coverage,
+      truncated: coverage.some(span => span.hours < hours)
+    }
+  }
+
+  return { geocodeLocation, getWeather, cache }
+}
+
+module.exports = { createWeatherService, httpError }
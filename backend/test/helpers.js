@@ -0,0 +1,41 @@
+const express = require('express')
+
+// node:sqlite only exists on newer Nodes; SQL tests are skipped without it
+const hasNodeSqlite = (() => {
+  try {
+    require('node:sqlite')
+    return true
+  } catch (error) {
+    return false
+  }
+})()
+
+/**
+ * Serve an Express app or plain request handler on a free local port
+ * @param {Function} handler - Express app or (req, res) handler
+ * @returns {Promise<{url: string, close: Function}>}
+ */
+const listen = (handler) => new Promise((resolve, reject) => {
+  const server = require('node:http').createServer(handler)
+  server.once('error', reject)
+  server.listen(0, '127.0.0.1', () => {
+    resolve({
+      url: `http://127.0.0.1:${server.address().port}`,
+      close: () => new Promise(done => server.close(done))
+    })
+  })
+})
+
+/**
+ * Express app with JSON parsing, for mounting a router under test
+ * @param {express.Router} router
+ * @returns {express.Application}
+ */
+const jsonApp = (router) => {
+  const app = express()
+  app.use(express.json())
+  app.use('/api', router)
+  return app
+}
+
+module.exports = { hasNodeSqlite, listen, jsonApp }
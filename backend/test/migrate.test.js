@@ -0,0 +1,52 @@
+const { describe, it } = require('node:test')
+const assert = require('node:assert/strict')
+const { migrate } = require('../db/migrate')
+const { migrations } = require('../db/migrations')
+const { RESOURCES } = require('../db/stores')
+const { createSqliteDriver } = require('../db/drivers')
+const { hasNodeSqlite } = require('./helpers')
+
+describe('migrate', () => {
+  it('runs each pending migration in its own transaction and records it', async () => {
+    // Records what migrate asks of the driver; schema_migrations starts with the first version applied
+    const transactions = []
+    const driver = {
+      query: async (sql) => (/SELECT version/.test(sql) ? [{ version: migrations[0].version }] : []),
+      transaction: async (fn) => {
+        const statements = []
+        transactions.push(statements)
+        return fn(async (sql, params = []) => statements.push({ sql, params }))
+      }
+    }
+
+    const applied = await migrate(driver)
+
+    assert.deepEqual(applied, migrations.slice(1).map(m => m.version))
+    assert.equal(transactions.length, migrations.length - 1)
+    transactions.forEach((statements, i) => {
+      const migration = migrations[i + 1]
+      assert.deepEqual(statements.slice(0, -1).map(s => s.sql), migration.statements)
+      assert.equal(statements.at(-1).params[0], migration.version)
+    })
+  })
+
+  it('has unique versions in order', () => {
+    const versions = migrations.map(m => m.version)
+    assert.deepEqual(versions, [...new Set(versions)].sort())
+  })
+
+  it('creates a table for every resource and is idempotent', { skip: !hasNodeSqlite && 'node:sqlite needs Node 22.5 or later' }, async () => {
+    const driver = createSqliteDriver()
+    try {
+      assert.equal((await migrate(driver)).length, migrations.length)
+      assert.deepEqual(await migrate(driver), [])
+
+      const tables = await driver.query("SELECT name FROM sqlite_master WHERE type = 'table'")
+      Object.values(RESOURCES).forEach(table => {
+        assert.ok(tables.some(row => row.name === table), `missing table ${table}`)
+      })
+    } finally {
+      await driver.close()
+    }
+  })
+})
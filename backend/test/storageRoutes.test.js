@@ -0,0 +1,64 @@
+const { describe, it, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+const { createMemoryStore } = require('../db/stores')
+const { createStorageRouter } = require('../routes/storageRoutes')
+const { listen, jsonApp } = require('./helpers')
+
+describe('storage routes', () => {
+  let server
+
+  before(async () => {
+    server = await listen(jsonApp(createStorageRouter(Promise.resolve(createMemoryStore()))))
+  })
+
+  after(() => server.close())
+
+  const request = (method, path, { userId = 'alice', body } = {}) => fetch(`${server.url}/api${path}`, {
+    method,
+    headers: {
+      ...(userId && { 'X-User-Id': userId }),
+      ...(body && { 'Content-Type': 'application/json' })
+    },
+    body: body && JSON.stringify(body)
+  })
+
+  it('requires X-User-Id', async () => {
+    const response = await request('GET', '/routes', { userId: null })
+    assert.equal(response.status, 401)
+    assert.equal((await response.json()).code, 'MISSING_USER')
+  })
+
+  it('stores, lists, reads and deletes a record', async () => {
+    const put = await request('PUT', '/trips/t1', { body: { value: '{"name":"Alps"}' } })
+    assert.equal(put.status, 200)
+    assert.equal((await put.json()).value, '{"name":"Alps"}')
+
+    assert.deepEqual(await (await request('GET', '/trips')).json(), { ids: ['t1'] })
+    assert.equal((await (await request('GET', '/trips/t1')).json()).value, '{"name":"Alps"}')
+
+    assert.equal((await request('DELETE', '/trips/t1')).status, 204)
+    assert.equal((await request('GET', '/trips/t1')).status, 404)
+    assert.equal((await request('DELETE', '/trips/t1')).status, 404)
+  })
+
+  it('rejects values that are not strings and non-boolean shared flags', async () => {
+    const badValue = await request('PUT', '/routes/r1', { body: { value: { name: 'Loop' } } })
+    assert.equal(badValue.status, 400)
+    assert.equal((await badValue.json()).code, 'INVALID_VALUE')
+
+    const badShared = await request('PUT', '/routes/r1', { body: { value: 'x', shared: 'yes' } })
+    assert.equal(badShared.status, 400)
+    assert.equal((await badShared.json()).code, 'INVALID_SHARED')
+  })
+
+  it('returns 403 when writing another user\'s record', async () => {
+    await request('PUT', '/gear/g1', { body: { value: 'jacket', shared: true } })
+    assert.equal((await (await request('GET', '/gear/g1', { userId: 'bob' })).json()).value, 'jacket')
+    assert.equal((await request('PUT', '/gear/g1', { userId: 'bob', body: { value: 'mine' } })).status, 403)
+    assert.equal((await request('DELETE', '/gear/g1', { userId: 'bob' })).status, 403)
+  })
+
+  it('leaves unknown resources to other routes', async () => {
+    assert.equal((await request('GET', '/nothing-here')).status, 404)
+  })
+})
@@ -0,0 +1,76 @@
+const { describe, it, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert/strict')
+const { RESOURCES, createMemoryStore, createSqlStore } = require('../db/stores')
+const { createSqliteDriver } = require('../db/drivers')
+const { hasNodeSqlite } = require('./helpers')
+
+// Both stores must behave the same, so they share one suite
+const storeSuite = (name, createStore, options = {}) => {
+  describe(name, options, () => {
+    let store
+
+    beforeEach(async () => {
+      store = await createStore()
+    })
+
+    afterEach(async () => {
+      await store.close()
+    })
+
+    it('stores and reads back a value', async () => {
+      const record = await store.put('routes', 'r1', 'alice', '{"name":"Loop"}')
+      assert.equal(record.id, 'r1')
+      assert.equal(record.userId, 'alice')
+      assert.equal(record.shared, false)
+
+      const read = await store.get('routes', 'r1', 'alice')
+      assert.equal(read.value, '{"name":"Loop"}')
+      assert.equal(read.createdAt, record.createdAt)
+    })
+
+    it('keeps createdAt and updates the value on a second put', async () => {
+      const first = await store.put('feedback', 'f1', 'alice', 'one')
+      const second = await store.put('feedback', 'f1', 'alice', 'two')
+      assert.equal(second.createdAt, first.createdAt)
+      assert.equal((await store.get('feedback', 'f1', 'alice')).value, 'two')
+    })
+
+    it('hides records from other users until they are shared', async () => {
+      await store.put('gear', 'g1', 'alice', 'jacket')
+      assert.equal(await store.get('gear', 'g1', 'bob'), null)
+      assert.deepEqual(await store.list('gear', 'bob'), [])
+
+      await store.put('gear', 'g1', 'alice', 'jacket', true)
+      assert.equal((await store.get('gear', 'g1', 'bob')).value, 'jacket')
+      assert.deepEqual(await store.list('gear', 'bob'), ['g1'])
+    })
+
+    it('refuses to overwrite or remove another user\'s record', async () => {
+      await store.put('trips', 't1', 'alice', 'trip', true)
+      await assert.rejects(store.put('trips', 't1', 'bob', 'mine now'), { status: 403 })
+      await assert.rejects(store.remove('trips', 't1', 'bob'), { status: 403 })
+      assert.equal((await store.get('trips', 't1', 'alice')).value, 'trip')
+    })
+
+    it('removes records and reports missing ones', async () => {
+      await store.put('activities', 'a1', 'alice', 'hike')
+      assert.equal(await store.remove('activities', 'a1', 'alice'), true)
+      assert.equal(await store.remove('activities', 'a1', 'alice'), false)
+      assert.equal(await store.get('activities', 'a1', 'alice'), null)
+    })
+
+    it('keeps each resource separate', async () => {
+      for (const resource of Object.keys(RESOURCES)) {
+        await store.put(resource, 'same-id', 'alice', resource)
+      }
+      for (const resource of Object.keys(RESOURCES)) {
+        assert.equal((await store.get(resource, 'same-id', 'alice')).value, resource)
+      }
+    })
+  })
+}
+
+storeSuite('memory store', () => createMemoryStore())
+storeSuite('SQLite store', () => createSqlStore(createSqliteDriver()), {
+  skip: !hasNodeSqlite && 'node:sqlite needs Node 22.5 or later'
+})
@@ -0,0 +1,86 @@
+const { describe, it, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert/strict')
+const { createWeatherService } = require('../services/weatherService')
+const { createForecastCache, HOUR_MS } = require('../services/forecastCache')
+const { listen } = require('./helpers')
+
+const FORECAST_HOURS = 48
+const place = { lat: 46.5, lon: 8.0, name: 'Trailhead' }
+
+// Stands in for Open-Meteo: a forecast of FORECAST_HOURS from the start of the current hour
+const createFakeProvider = () => {
+  const provider = { hits: 0, delayMs: 0 }
+  provider.handler = (req, res) => {
+    provider.hits++
+    const firstHour = Math.floor(Date.now() / HOUR_MS) * HOUR_MS / 1000
+    const time = Array.from({ length: FORECAST_HOURS }, (_, i) => firstHour + i * 3600)
+    const body = JSON.stringify({
+      elevation: 1000,
+      hourly: {
+        time,
+        temperature_2m: time.map(() => 40),
+        wind_speed_10m: time.map(() => 5),
+        precipitation_probability: time.map(() => 10),
+        relative_humidity_2m: time.map(() => 60),
+        weather_code: time.map(() => 1)
+      }
+    })
+    setTimeout(() => res.end(body), provider.delayMs)
+  }
+  return provider
+}
+
+describe('weather service', () => {
+  let provider
+  let server
+  let service
+
+  beforeEach(async () => {
+    provider = createFakeProvider()
+    server = await listen(provider.handler)
+    service = createWeatherService({
+      forecastUrl: server.url,
+      cache: createForecastCache(),
+      retryPolicy: { attempts: 1 }
+    })
+  })
+
+  afterEach(() => server.close())
+
+  const inHours = (hours) => new Date(Date.now() + hours * HOUR_MS).toISOString()
+
+  it('answers repeat requests for a cell from the cache', async () => {
+    const first = await service.getWeather([place], inHours(2), 5)
+    const second = await service.getWeather([{ ...place, lat: place.lat + 0.001 }], inHours(3), 5)
+
+    assert.equal(provider.hits, 1)
+    assert.equal(first.weatherData.length, 5)
+    assert.equal(second.weatherData.length, 5)
+    assert.equal(first.weatherData[0].temperature, 40)
+    assert.equal(first.truncated, false)
+    assert.deepEqual(first.coverage, [{ from: first.weatherData[0].time, to: first.weatherData[4].time, hours: 5 }])
+  })
+
+  it('shares one upstream fetch between concurrent requests', async () => {
+    provider.delayMs = 50
+    const results = await Promise.all([1, 2, 3].map(hour => service.getWeather([place], inHours(hour), 3)))
+
+    assert.equal(provider.hits, 1)
+    results.forEach(result => assert.equal(result.weatherData.length, 3))
+  })
+
+  it('answers 422 OUT_OF_RANGE from the cache for hours past the forecast', async () => {
+    const beyond = inHours(FORECAST_HOURS + 24)
+    for (let i = 0; i < 3; i++) {
+      await assert.rejects(service.getWeather([place], beyond, 5), { status: 422, code: 'OUT_OF_RANGE' })
+    }
+    assert.equal(provider.hits, 1)
+
+    // A window running off the end returns what the forecast has, flagged, still from the cache
+    const partial = await service.getWeather([place], inHours(FORECAST_HOURS - 3), 6)
+    assert.ok(partial.weatherData.length > 0 && partial.weatherData.length < 6)
+    assert.equal(partial.truncated, true)
+    assert.equal(partial.coverage[0].hours, partial.weatherData.length)
+    assert.equal(provider.hits, 1)
+  })
+})
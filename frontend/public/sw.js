@@ -0,0 +1,128 @@
+// Service worker: keeps the app shell and map tiles available offline. Forecasts are not
+// cached here; the app keeps its own copy so it can say how old a forecast is.
+
+const APP_CACHE = 'wsiw-app';
+const TILE_CACHE = 'wsiw-tiles';
+// Tiles are small, but routes add up; the oldest are dropped past this
+const MAX_TILES = 3000;
+
+const scopeUrl = (path) => new URL(path, self.registration.scope).href;
+
+// The built scripts, styles and icons an index.html refers to
+const assetsOf = (html) => {
+  const urls = [...html.matchAll(/(?:src|href)="([^"]+)"/g)]
+    .map(match => new URL(match[1], self.registration.scope))
+    .filter(url => url.origin === self.location.origin)
+    .map(url => url.href);
+  return [...new Set(urls)];
+};
+
+// Cache the page and everything it loads. When the page comes from a new build, drop the
+// assets of older ones: their names carry a content hash, so they won't be asked for again.
+const cacheAppShell = async (response) => {
+  const cache = await caches.open(APP_CACHE);
+  const html = await response.clone().text();
+  const assets = assetsOf(html);
+  const previous = await cache.match(scopeUrl('./'));
+  const isNewBuild = !previous || (await previous.text()) !== html;
+  await cache.put(scopeUrl('./'), response);
+  await Promise.all(assets.map(async (url) => {
+    if (!(await cache.match(url))) {
+      await cache.add(url);
+    }
+  }));
+  if (!isNewBuild) return;
+  const keep = new Set([scopeUrl('./'), ...assets]);
+  const stale = (await cache.keys()).filter(request => !keep.has(request.url));
+  await Promise.all(stale.map(request => cache.delete(request)));
+};
+
+const trimTiles = async () => {
+  const cache = await caches.open(TILE_CACHE);
+  const keys = await cache.keys();
+  // Keys come back in insertion order, so the front of the list is the oldest
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - MAX_TILES)).map(request => cache.delete(request)));
+};
+
+const isTile = (url) => /(^|\.)tile\.openstreetmap\.org$/.test(url.hostname);
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    fetch(scopeUrl('./'), { cache: 'no-store' })
+      .then(cacheAppShell)
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(self.clients.claim());
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  // Pages: the network when it answers, so new builds are picked up, otherwise the last copy
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      fetch(request)
+        .then(response => {
+          if (response.ok) {
+            event.waitUntil(cacheAppShell(response.clone()));
+          }
+          return response;
+        })
+        .catch(async () => (await caches.match(scopeUrl('./'))) || Response.error())
+    );
+    return;
+  }
+
+  // Built assets never change under the same name
+  if (url.href.startsWith(self.registration.scope)) {
+    event.respondWith(
+      caches.match(request).then(cached => cached || fetch(request).then(response => {
+        if (response.ok) {
+          const copy = response.clone();
+          event.waitUntil(caches.open(APP_CACHE).then(cache => cache.put(request, copy)));
+        }
+        return response;
+      }))
+    );
+    return;
+  }
+
+  // Tiles are served from the cache once seen, and kept when fetched
+  if (isTile(url)) {
+    event.respondWith(
+      caches.match(request).then(cached => cached || fetch(request).then(response => {
+        if (response.ok || response.type === 'opaque') {
+          const copy = response.clone();
+          event.waitUntil(caches.open(TILE_CACHE).then(cache => cache.put(request, copy)).then(trimTiles));
+        }
+        return response;
+      }))
+    );
+  }
+});
+
+// The app asks for a planned route's tiles ahead of time, so the map works at the trailhead
+self.addEventListener('message', (event) => {
+  if (event.data?.type !== 'CACHE_TILES') return;
+  event.waitUntil((async () => {
+    const cache = await caches.open(TILE_CACHE);
+    for (const url of event.data.urls) {
+      if (await cache.match(url)) continue;
+      try {
+        const response = await fetch(url, { mode: 'cors' });
+        if (response.ok) {
+          await cache.put(url, response);
+        }
+      } catch (error) {
+        // Offline again, or the tile server is refusing; the rest would fail the same way
+        break;
+      }
+    }
+    await trimTiles();
+  })());
+});
@@ -1,396 +1,240 @@
 import React, { useState, useEffect } from 'react';
 import { MapContainer, TileLayer, Marker, Popup, useMap, Polyline, CircleMarker } from 'react-leaflet';
-import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, Area, AreaChart, ComposedChart } from 'recharts';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, Area, AreaChart, ComposedChart, ReferenceArea } from 'recharts';
 import 'leaflet/dist/leaflet.css';
 import RouteInput from './components/RouteInput';
-import { samplePoints } from './utils/gpxParser';
-
-// Fix Leaflet default marker icons
+import ElevationProfile from './components/ElevationProfile';
+import ActivityManager from './components/ActivityManager';
+import GearCloset from './components/GearCloset';
+import UnitSettings from './components/UnitSettings';
+import ActivityReport from './components/ActivityReport';
+import TripPlanner from './components/TripPlanner';
+import { samplePoints, getSampleCount, addCumulativeDistance } from './utils/gpxParser';
+import { geocodeLocation } from './utils/geocoding';
+import { getUserId } from './utils/user';
+import { ROUTE_PREFIX, createSavedRoute, parseSavedRoute, nextWeekdayAt } from './utils/savedRoutes';
+import { mergeActivities, loadCustomActivities, saveCustomActivity, deleteCustomActivity } from './utils/customActivities';
+import { loadCloset, saveGearItem, deleteGearItem } from './utils/gearStore';
+import { loadProfile, saveProfile } from './utils/profileStore';
+import { loadTrips, saveTrip, deleteTrip } from './utils/tripStore';
+import { estimateArrivalTimes, buildRouteTimeline, estimateDuration, formatDuration, recordedWindow } from './utils/routeTimeline';
+import { adjustTemperatureForElevation } from './utils/lapseRate';
+import { fetchForecast, fetchHistory, fetchNormals, loadCachedForecast, describeAge, chooseWeatherSource, WEATHER_SOURCES, SOURCE_LABELS } from './utils/forecastClient';
+import { TILE_URL, cacheRouteTiles, saveLastPlan, loadLastPlan } from './utils/offlineCache';
+import { ACTIVITIES, EFFORT_LEVELS, generateRecommendations, assessConditions } from '../../shared/recommendations.js';
+import { describeCalibration } from '../../shared/calibration.js';
+import { describePrecipitation } from '../../shared/precipitation.js';
+import { uvCategory, darkSpans } from '../../shared/daylight.js';
+import { DEFAULT_UNITS, toDisplay, formatMeasure, formatMeasureRange, unitLabel, convertRecord } from '../../shared/units.js';
+import { buildLayeringPlan } from '../../shared/layeringPlan.js';
+import { planTripLegs, buildPackingList } from '../../shared/tripPlanner.js';
+import { weatherError, describeWeatherError, WEATHER_ERROR_CODES } from '../../shared/weatherErrors.js';
+
+// Fix Leaflet default marker icons, bundled so they show offline
 import L from 'leaflet';
+import markerIcon2x from 'leaflet/dist/images/marker-icon-2x.png';
+import markerIcon from 'leaflet/dist/images/marker-icon.png';
+import markerShadow from 'leaflet/dist/images/marker-shadow.png';
 delete L.Icon.Default.prototype._getIconUrl;
 L.Icon.Default.mergeOptions({
-  iconRetinaUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.7.1/images/marker-icon-2x.png',
-  iconUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.7.1/images/marker-icon.png',
-  shadowUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.7.1/images/marker-shadow.png',
+  iconRetinaUrl: markerIcon2x,
+  iconUrl: markerIcon,
+  shadowUrl: markerShadow,
 });
 
-const ACTIVITIES = [
-  { id: 'run', name: 'Run', icon: '🏃', speed: 10 },
-  { id: 'mountain-bike', name: 'Mountain Bike', icon: '🚵', speed: 15 },
-  { id: 'road-bike', name: 'Road Bike', icon: '🚴', speed: 25 },
-  { id: 'downhill-ski', name: 'Downhill Ski', icon: '⛷️', speed: 30 },
-  { id: 'backcountry-ski', name: 'Backcountry Ski', icon: '🎿', speed: 8 },
-  { id: 'nordic-ski', name: 'Nordic Ski', icon: '⛷️', speed: 12 }
-];
-
-const EFFORT_LEVELS = [
-  { id: 'easy', name: 'Easy', description: 'Conversational pace', heatFactor: 0.7 },
-  { id: 'endurance', name: 'Endurance', description: 'Steady, sustained effort', heatFactor: 1.0 },
-  { id: 'tempo', name: 'Tempo', description: 'Comfortably hard', heatFactor: 1.3 },
-  { id: 'all-out', name: 'All Out', description: 'Maximum effort', heatFactor: 1.6 }
-];
+// Forecast window for location searches, where there is no route to time
+const DEFAULT_WINDOW_HOURS = 5;
 
 // Component to update map center when coordinates change
 function MapUpdater({ center }) {
   const map = useMap();
+  const [lat, lon] = center || [];
+  // Depend on the coordinates, not the array, so re-renders don't reset the view
   useEffect(() => {
-    if (center) {
-      map.setView(center, 12);
+    if (lat !== undefined && lon !== undefined) {
+      map.setView([lat, lon], 12);
     }
-  }, [center, map]);
+  }, [lat, lon, map]);
   return null;
 }
 
-// Geocode location to get coordinates
-const geocodeLocation = async (locationName) => {
-  try {
-    const response = await fetch(
-      `https://geocoding-api.open-meteo.com/v1/search?name=${encodeURIComponent(locationName)}&count=1&language=en&format=json`
-    );
-    const data = await response.json();
-    if (data.results && data.results.length > 0) {
-      return {
-        lat: data.results[0].latitude,
-        lon: data.results[0].longitude,
-        name: data.results[0].name
-      };
+// Component to zoom the map to show every stop of a multi-stop route
+function FitBounds({ positions }) {
+  const map = useMap();
+  const boundsKey = positions.map(p => p.join(',')).join(';');
+  useEffect(() => {
+    if (positions.length > 1) {
+      map.fitBounds(positions, { padding: [40, 40] });
     }
-    return null;
-  } catch (error) {
-    console.error('Geocoding error:', error);
-    return null;
+  }, [boundsKey, map]);
+  return null;
+}
+
+// Fetch real weather data from Open-Meteo API (free, no API key required). Windows
+// in the forecast range use the forecast; earlier ones use the recorded weather and later
+// ones climate normals, and each record says which it came from.
+// Failures throw typed weather errors; with allowStale, a place whose live forecast is
+// unavailable falls back to the last forecast saved for it, and its records say when
+// that was fetched.
+const fetchWeatherData = async (locations, startTime, providedCoords = null, hours = DEFAULT_WINDOW_HOURS, { allowStale = false } = {}) => {
+  // Use provided coordinates or geocode the location
+  const coords = providedCoords || await geocodeLocation(locations[0]);
+  if (!coords) {
+    throw weatherError(WEATHER_ERROR_CODES.GEOCODING_FAILED, `Could not find location: ${locations[0]}`);
   }
-};
 
-// Fetch real weather data from Open-Meteo API (free, no API key required)
-const fetchWeatherData = async (locations, startTime, providedCoords = null) => {
+  const now = new Date();
+  const windowStart = new Date(startTime);
+  const windowEnd = new Date(windowStart.getTime() + hours * 60 * 60 * 1000);
+  const source = chooseWeatherSource(windowStart, now);
+
+  let data;
+  let cachedAt = null;
   try {
-    // Use provided coordinates or geocode the location
-    let coords = providedCoords;
-    if (!coords) {
-      coords = await geocodeLocation(locations[0]);
-      if (!coords) {
-        throw new Error('Could not find location');
-      }
+    if (source === WEATHER_SOURCES.HISTORICAL) {
+      data = await fetchHistory(coords, windowStart, windowEnd, now);
+    } else if (source === WEATHER_SOURCES.CLIMATOLOGY) {
+      data = await fetchNormals(coords, windowStart, windowEnd, now);
+    } else {
+      data = await fetchForecast(coords);
     }
+  } catch (error) {
+    // Only forecasts are saved; recorded weather and normals are fetched fresh
+    const cached = error.retryable && source === WEATHER_SOURCES.FORECAST ? loadCachedForecast(coords) : null;
+    if (!cached) {
+      throw error;
+    }
+    if (!allowStale) {
+      // Let the caller offer the saved forecast rather than using it unasked
+      error.cachedAt = cached.fetchedAt;
+      throw error;
+    }
+    data = cached.data;
+    cachedAt = cached.fetchedAt;
+  }
 
-    // Fetch 5 hours of weather data starting from startTime
-    const response = await fetch(
-      `https://api.open-meteo.com/v1/forecast?latitude=${coords.lat}&longitude=${coords.lon}&hourly=temperature_2m,precipitation_probability,wind_speed_10m,relative_humidity_2m,weather_code&temperature_unit=fahrenheit&wind_speed_unit=mph&timezone=auto`
-    );
-    const data = await response.json();
-
-    // Parse start time and get 5 hours of data
-    const startDate = new Date(startTime);
-    const weatherData = [];
-
-    for (let i = 0; i < 5; i++) {
-      const currentTime = new Date(startDate.getTime() + i * 60 * 60 * 1000);
-      const hourIndex = data.hourly.time.findIndex(t => {
-        const apiTime = new Date(t);
-        return apiTime.getTime() >= currentTime.getTime();
+  // Times come as local times at the place; the offset turns them into instants
+  const toInstant = (localTime) => localTime
+    ? new Date(Date.parse(`${localTime}Z`) - data.utc_offset_seconds * 1000).toISOString()
+    : null;
+  const forecastTimes = data.hourly.time.map(t => new Date(toInstant(t)).getTime());
+
+  // Get the requested hours of data
+  const weatherData = [];
+
+  for (let i = 0; i < hours; i++) {
+    const currentTime = new Date(windowStart.getTime() + i * 60 * 60 * 1000);
+    // Match the forecast hour nearest to this one, if the forecast reaches it
+    const hourIndex = forecastTimes.findIndex(t => Math.abs(t - currentTime.getTime()) <= 30 * 60 * 1000);
+
+    if (hourIndex !== -1) {
+      const dayIndex = data.daily ? data.daily.time.indexOf(data.hourly.time[hourIndex].slice(0, 10)) : -1;
+      weatherData.push({
+        location: coords.name,
+        time: currentTime.toISOString(),
+        temperature: Math.round(data.hourly.temperature_2m[hourIndex]),
+        windSpeed: Math.round(data.hourly.wind_speed_10m[hourIndex]),
+        precipitationChance: data.hourly.precipitation_probability[hourIndex] || 0,
+        precipitation: data.hourly.precipitation?.[hourIndex] || 0,
+        snowfall: data.hourly.snowfall?.[hourIndex] || 0,
+        humidity: data.hourly.relative_humidity_2m[hourIndex],
+        weatherCode: data.hourly.weather_code[hourIndex],
+        uvIndex: data.hourly.uv_index?.[hourIndex] ?? null,
+        cloudCover: data.hourly.cloud_cover?.[hourIndex] ?? null,
+        sunrise: toInstant(data.daily?.sunrise[dayIndex]),
+        sunset: toInstant(data.daily?.sunset[dayIndex]),
+        gridElevation: data.elevation,
+        // Forecast hours already past are the model's record of them
+        source: source === WEATHER_SOURCES.FORECAST && currentTime < now ? WEATHER_SOURCES.HISTORICAL : source,
+        ...(cachedAt && { cachedAt })
       });
-
-      if (hourIndex !== -1) {
-        weatherData.push({
-          location: coords.name,
-          time: currentTime.toISOString(),
-          temperature: Math.round(data.hourly.temperature_2m[hourIndex]),
-          windSpeed: Math.round(data.hourly.wind_speed_10m[hourIndex]),
-          precipitationChance: data.hourly.precipitation_probability[hourIndex] || 0,
-          humidity: data.hourly.relative_humidity_2m[hourIndex],
-          weatherCode: data.hourly.weather_code[hourIndex]
-        });
-      }
     }
-
-    return { weatherData, coords };
-  } catch (error) {
-    console.error('Weather fetch error:', error);
-    // Fallback to mock data if API fails
-    return { weatherData: generateMockWeather(locations, startTime), coords: null };
   }
-};
 
-// Fetch weather data for multiple GPX points and aggregate
-const fetchGPXWeatherData = async (sampledPoints, startTime) => {
-  try {
-    // Fetch weather for each sampled point in parallel
-    const weatherPromises = sampledPoints.map(point =>
-      fetchWeatherData(
-        [point.name || `Point ${point.index}`],
-        startTime,
-        {
-          lat: point.lat,
-          lon: point.lon,
-          name: point.name || `Lat ${point.lat.toFixed(2)}, Lon ${point.lon.toFixed(2)}`
-        }
-      )
+  if (weatherData.length === 0) {
+    const first = new Date(forecastTimes[0]).toLocaleDateString();
+    const last = new Date(forecastTimes[forecastTimes.length - 1]).toLocaleDateString();
+    throw weatherError(
+      WEATHER_ERROR_CODES.OUT_OF_RANGE,
+      `The ${SOURCE_LABELS[source].toLowerCase()} for ${coords.name} covers ${first} to ${last}, which doesn't include ${windowStart.toLocaleString()}`
     );
-
-    const allWeatherResults = await Promise.all(weatherPromises);
-
-    // Aggregate weather data by time slot
-    const aggregatedWeather = [];
-    for (let hourIndex = 0; hourIndex < 5; hourIndex++) {
-      const hourDataPoints = allWeatherResults
-        .map(result => result.weatherData[hourIndex])
-        .filter(Boolean);
-
-      if (hourDataPoints.length > 0) {
-        const temps = hourDataPoints.map(d => d.temperature);
-        const winds = hourDataPoints.map(d => d.windSpeed);
-        const precips = hourDataPoints.map(d => d.precipitationChance);
-        const humidities = hourDataPoints.map(d => d.humidity);
-
-        aggregatedWeather.push({
-          location: 'GPX Route',
-          time: hourDataPoints[0].time,
-          temperature: Math.round((Math.min(...temps) + Math.max(...temps)) / 2), // Average of min and max
-          temperatureMin: Math.min(...temps),
-          temperatureMax: Math.max(...temps),
-          windSpeed: Math.max(...winds),
-          precipitationChance: Math.max(...precips),
-          humidity: Math.round(humidities.reduce((sum, h) => sum + h, 0) / humidities.length),
-          weatherCode: hourDataPoints[0].weatherCode,
-          isAggregated: true
-        });
-      }
-    }
-
-    return {
-      weatherData: aggregatedWeather,
-      coords: sampledPoints[0] ? {
-        lat: sampledPoints[0].lat,
-        lon: sampledPoints[0].lon,
-        name: 'GPX Route'
-      } : null
-    };
-  } catch (error) {
-    console.error('GPX weather fetch error:', error);
-    // Fallback to mock data if API fails
-    return { weatherData: generateMockWeather(['GPX Route'], startTime), coords: null };
   }
-};
 
-// Fallback mock weather data generator
-const generateMockWeather = (locations, startTime) => {
-  return Array.from({ length: 5 }, (_, i) => {
-    const baseTemp = 50 + Math.random() * 30;
-    return {
-      location: locations[0],
-      time: new Date(new Date(startTime).getTime() + i * 60 * 60 * 1000).toISOString(),
-      temperature: Math.round(baseTemp + (Math.random() - 0.5) * 10),
-      windSpeed: Math.round(5 + Math.random() * 15),
-      precipitationChance: Math.round(Math.random() * 100),
-      humidity: Math.round(40 + Math.random() * 40),
-      weatherCode: 0
-    };
-  });
+  return { weatherData, coords };
 };
 
-// Clothing recommendation engine
-const generateRecommendations = (activity, weatherData, effortLevel, historicalFeedback = []) => {
-  // For GPX routes with aggregated data, use minimum temperature for conservative recommendations
-  const isAggregated = weatherData.length > 0 && weatherData[0].isAggregated;
-  let avgTemp;
-
-  if (isAggregated) {
-    // Use the coldest temperature across all sampled points
-    avgTemp = Math.min(...weatherData.map(w => w.temperatureMin || w.temperature));
-  } else {
-    // Standard average for single location
-    avgTemp = weatherData.reduce((sum, w) => sum + w.temperature, 0) / weatherData.length;
-  }
+// Fetch weather at each sampled GPX point for the hour we expect to reach it,
+// then group the points into a per-hour route timeline
+const fetchGPXWeatherData = async (sampledPoints, startTime, activity, options = {}) => {
+  const arrivalTimes = estimateArrivalTimes(sampledPoints, startTime, activity.speed);
+
+  // Fetch weather for each sampled point in parallel
+  const weatherPromises = sampledPoints.map((point, i) =>
+    fetchWeatherData(
+      [point.name || `Point ${point.index}`],
+      arrivalTimes[i].toISOString(),
+      {
+        lat: point.lat,
+        lon: point.lon,
+        name: point.name || `Lat ${point.lat.toFixed(2)}, Lon ${point.lon.toFixed(2)}`
+      },
+      1,
+      options
+    )
+  );
 
-  const maxWind = Math.max(...weatherData.map(w => w.windSpeed));
-  const hasRain = weatherData.some(w => w.precipitationChance > 30);
-  const effort = EFFORT_LEVELS.find(e => e.id === effortLevel);
-
-  // Adjust felt temperature based on effort
-  const feltTemp = avgTemp + (effort.heatFactor - 1) * 15;
-  
-  const layers = {
-    'run': getRunningLayers(feltTemp, maxWind, hasRain),
-    'mountain-bike': getMountainBikeLayers(feltTemp, maxWind, hasRain),
-    'road-bike': getRoadBikeLayers(feltTemp, maxWind, hasRain),
-    'downhill-ski': getDownhillSkiLayers(feltTemp, maxWind, hasRain),
-    'backcountry-ski': getBackcountrySkiLayers(feltTemp, maxWind, hasRain),
-    'nordic-ski': getNordicSkiLayers(feltTemp, maxWind, hasRain)
+  const allWeatherResults = await Promise.all(weatherPromises);
+
+  // Correct each grid-cell forecast to the point's GPX elevation
+  const pointWeather = sampledPoints
+    .map((point, i) => {
+      const record = allWeatherResults[i].weatherData[0];
+      return record && {
+        ...record,
+        temperature: adjustTemperatureForElevation(record.temperature, point.elevation, record.gridElevation),
+        gridTemperature: record.temperature,
+        distance: point.distance || 0,
+        elevation: point.elevation,
+        eta: arrivalTimes[i].toISOString()
+      };
+    })
+    .filter(Boolean);
+
+  const elevations = sampledPoints.map(p => p.elevation).filter(Number.isFinite);
+  const referenceElevations = Number.isFinite(sampledPoints[0]?.elevation) && elevations.length > 1
+    ? { trailhead: sampledPoints[0].elevation, summit: Math.max(...elevations) }
+    : null;
+
+  return {
+    weatherData: buildRouteTimeline(pointWeather, referenceElevations),
+    pointWeather,
+    coords: sampledPoints[0] ? {
+      lat: sampledPoints[0].lat,
+      lon: sampledPoints[0].lon,
+      name: 'GPX Route'
+    } : null
   };
-  
-  return layers[activity] || [];
-};
-
-const getRunningLayers = (temp, wind, rain) => {
-  const layers = [];
-  
-  if (temp < 32) {
-    layers.push({ type: 'Base Layer', item: 'Thermal long-sleeve top', reason: 'Cold protection' });
-    layers.push({ type: 'Base Layer', item: 'Thermal tights', reason: 'Leg warmth' });
-    layers.push({ type: 'Mid Layer', item: 'Light insulated vest', reason: 'Core warmth' });
-    layers.push({ type: 'Accessories', item: 'Running gloves', reason: 'Hand protection' });
-    layers.push({ type: 'Accessories', item: 'Headband or beanie', reason: 'Ear warmth' });
-  } else if (temp < 50) {
-    layers.push({ type: 'Base Layer', item: 'Long-sleeve tech shirt', reason: 'Moisture wicking' });
-    layers.push({ type: 'Base Layer', item: 'Running tights or pants', reason: 'Leg comfort' });
-    layers.push({ type: 'Accessories', item: 'Light gloves', reason: 'Hand warmth' });
-  } else if (temp < 65) {
-    layers.push({ type: 'Base Layer', item: 'Short-sleeve tech shirt', reason: 'Breathability' });
-    layers.push({ type: 'Base Layer', item: 'Running shorts or capris', reason: 'Mobility' });
-  } else {
-    layers.push({ type: 'Base Layer', item: 'Lightweight singlet', reason: 'Maximum cooling' });
-    layers.push({ type: 'Base Layer', item: 'Running shorts', reason: 'Comfort' });
-    layers.push({ type: 'Accessories', item: 'Visor or hat', reason: 'Sun protection' });
-  }
-  
-  if (wind > 15) {
-    layers.push({ type: 'Outer Layer', item: 'Windbreaker jacket', reason: 'Wind protection' });
-  }
-  
-  if (rain) {
-    layers.push({ type: 'Outer Layer', item: 'Waterproof running jacket', reason: 'Rain protection' });
-  }
-  
-  return layers;
 };
 
-const getMountainBikeLayers = (temp, wind, rain) => {
-  const layers = [];
-  
-  if (temp < 40) {
-    layers.push({ type: 'Base Layer', item: 'Thermal long-sleeve jersey', reason: 'Cold protection' });
-    layers.push({ type: 'Base Layer', item: 'Padded thermal bib tights', reason: 'Comfort and warmth' });
-    layers.push({ type: 'Mid Layer', item: 'Softshell jacket', reason: 'Insulation' });
-    layers.push({ type: 'Accessories', item: 'Winter cycling gloves', reason: 'Hand warmth' });
-    layers.push({ type: 'Accessories', item: 'Thermal headband', reason: 'Ear protection' });
-  } else if (temp < 60) {
-    layers.push({ type: 'Base Layer', item: 'Long-sleeve MTB jersey', reason: 'Trail protection' });
-    layers.push({ type: 'Base Layer', item: 'Padded shorts with knee warmers', reason: 'Flexibility' });
-    layers.push({ type: 'Accessories', item: 'Light gloves', reason: 'Grip and protection' });
-  } else {
-    layers.push({ type: 'Base Layer', item: 'Short-sleeve MTB jersey', reason: 'Breathability' });
-    layers.push({ type: 'Base Layer', item: 'Padded shorts', reason: 'Comfort' });
-    layers.push({ type: 'Accessories', item: 'Full-finger gloves', reason: 'Trail protection' });
-  }
-  
-  if (rain) {
-    layers.push({ type: 'Outer Layer', item: 'Waterproof MTB jacket', reason: 'Weather protection' });
-  }
-  
-  layers.push({ type: 'Safety', item: 'Helmet', reason: 'Essential safety' });
-  layers.push({ type: 'Safety', item: 'Eye protection', reason: 'Debris protection' });
-  
-  return layers;
-};
-
-const getRoadBikeLayers = (temp, wind, rain) => {
-  const layers = [];
-  
-  if (temp < 45) {
-    layers.push({ type: 'Base Layer', item: 'Thermal cycling jersey', reason: 'Warmth' });
-    layers.push({ type: 'Base Layer', item: 'Thermal bib tights', reason: 'Leg warmth' });
-    layers.push({ type: 'Mid Layer', item: 'Wind vest', reason: 'Core protection' });
-    layers.push({ type: 'Accessories', item: 'Winter cycling gloves', reason: 'Hand warmth' });
-    layers.push({ type: 'Accessories', item: 'Thermal cap under helmet', reason: 'Head warmth' });
-  } else if (temp < 65) {
-    layers.push({ type: 'Base Layer', item: 'Long-sleeve cycling jersey', reason: 'Comfort' });
-    layers.push({ type: 'Base Layer', item: 'Bib shorts with leg warmers', reason: 'Adaptability' });
-    layers.push({ type: 'Accessories', item: 'Light gloves', reason: 'Grip' });
-  } else {
-    layers.push({ type: 'Base Layer', item: 'Short-sleeve cycling jersey', reason: 'Cooling' });
-    layers.push({ type: 'Base Layer', item: 'Bib shorts', reason: 'Comfort' });
-    layers.push({ type: 'Accessories', item: 'Cycling cap', reason: 'Sun protection' });
-  }
-  
-  if (wind > 15) {
-    layers.push({ type: 'Outer Layer', item: 'Wind jacket', reason: 'Aerodynamics' });
-  }
-  
-  if (rain) {
-    layers.push({ type: 'Outer Layer', item: 'Waterproof cycling jacket', reason: 'Rain protection' });
-  }
-  
-  layers.push({ type: 'Safety', item: 'Helmet', reason: 'Essential safety' });
-  layers.push({ type: 'Safety', item: 'Cycling glasses', reason: 'Eye protection' });
-  
-  return layers;
-};
-
-const getDownhillSkiLayers = (temp, wind, rain) => {
-  const layers = [];
-  
-  if (temp < 20) {
-    layers.push({ type: 'Base Layer', item: 'Heavyweight thermal top', reason: 'Extreme cold' });
-    layers.push({ type: 'Base Layer', item: 'Heavyweight thermal bottoms', reason: 'Leg warmth' });
-    layers.push({ type: 'Mid Layer', item: 'Insulated ski jacket', reason: 'Core warmth' });
-    layers.push({ type: 'Outer Layer', item: 'Waterproof ski pants', reason: 'Snow protection' });
-    layers.push({ type: 'Accessories', item: 'Insulated ski gloves', reason: 'Hand warmth' });
-    layers.push({ type: 'Accessories', item: 'Balaclava or neck gaiter', reason: 'Face protection' });
-  } else {
-    layers.push({ type: 'Base Layer', item: 'Midweight thermal top', reason: 'Moisture management' });
-    layers.push({ type: 'Base Layer', item: 'Midweight thermal bottoms', reason: 'Comfort' });
-    layers.push({ type: 'Mid Layer', item: 'Lightweight insulated jacket', reason: 'Warmth' });
-    layers.push({ type: 'Outer Layer', item: 'Waterproof ski pants', reason: 'Snow protection' });
-    layers.push({ type: 'Accessories', item: 'Ski gloves', reason: 'Hand protection' });
-    layers.push({ type: 'Accessories', item: 'Neck gaiter', reason: 'Versatility' });
-  }
-  
-  layers.push({ type: 'Safety', item: 'Ski helmet', reason: 'Essential safety' });
-  layers.push({ type: 'Safety', item: 'Ski goggles', reason: 'Vision protection' });
-  
-  return layers;
-};
-
-const getBackcountrySkiLayers = (temp, wind, rain) => {
-  const layers = [];
-  
-  if (temp < 20) {
-    layers.push({ type: 'Base Layer', item: 'Merino wool top', reason: 'Temperature regulation' });
-    layers.push({ type: 'Base Layer', item: 'Merino wool bottoms', reason: 'Warmth and breathability' });
-    layers.push({ type: 'Mid Layer', item: 'Lightweight down jacket', reason: 'Packable warmth' });
-    layers.push({ type: 'Outer Layer', item: 'Hardshell jacket', reason: 'Weather protection' });
-    layers.push({ type: 'Outer Layer', item: 'Hardshell pants', reason: 'Snow protection' });
-  } else {
-    layers.push({ type: 'Base Layer', item: 'Lightweight merino top', reason: 'Breathability' });
-    layers.push({ type: 'Base Layer', item: 'Lightweight merino bottoms', reason: 'Comfort' });
-    layers.push({ type: 'Mid Layer', item: 'Fleece or softshell', reason: 'Active insulation' });
-    layers.push({ type: 'Outer Layer', item: 'Softshell pants', reason: 'Mobility' });
-  }
-  
-  layers.push({ type: 'Accessories', item: 'Lightweight gloves', reason: 'Hand warmth while touring' });
-  layers.push({ type: 'Accessories', item: 'Beanie or headband', reason: 'Head warmth' });
-  layers.push({ type: 'Safety', item: 'Ski helmet', reason: 'Safety' });
-  layers.push({ type: 'Safety', item: 'Ski goggles + sunglasses', reason: 'Variable conditions' });
-  
-  return layers;
-};
-
-const getNordicSkiLayers = (temp, wind, rain) => {
-  const layers = [];
-  
-  if (temp < 20) {
-    layers.push({ type: 'Base Layer', item: 'Thermal racing suit or top/bottom', reason: 'Warmth' });
-    layers.push({ type: 'Mid Layer', item: 'Light vest', reason: 'Core warmth' });
-    layers.push({ type: 'Accessories', item: 'Insulated gloves', reason: 'Hand warmth' });
-    layers.push({ type: 'Accessories', item: 'Headband or light beanie', reason: 'Ear protection' });
-  } else if (temp < 40) {
-    layers.push({ type: 'Base Layer', item: 'XC ski suit or jersey/tights', reason: 'Aerodynamics' });
-    layers.push({ type: 'Accessories', item: 'Light gloves', reason: 'Grip and warmth' });
-    layers.push({ type: 'Accessories', item: 'Headband', reason: 'Ear warmth' });
-  } else {
-    layers.push({ type: 'Base Layer', item: 'Lightweight XC top', reason: 'Cooling' });
-    layers.push({ type: 'Base Layer', item: 'Lightweight XC tights', reason: 'Mobility' });
-    layers.push({ type: 'Accessories', item: 'Thin gloves', reason: 'Pole grip' });
-  }
-  
-  if (wind > 15 || rain) {
-    layers.push({ type: 'Outer Layer', item: 'Wind vest or light shell', reason: 'Weather protection' });
-  }
-  
-  layers.push({ type: 'Accessories', item: 'Sunglasses or light goggles', reason: 'Eye protection' });
-  
-  return layers;
+// Treat the stops as a point-to-point route: each leg's forecast is fetched at the
+// stop it starts from, for the hours we expect to spend on it, and the final stop
+// gets the forecast for the hour we arrive
+const fetchMultiStopWeatherData = async (stops, startTime, activity, options = {}) => {
+  const routeStops = addCumulativeDistance(stops);
+  const arrivalTimes = estimateArrivalTimes(routeStops, startTime, activity.speed);
+
+  const legResults = await Promise.all(routeStops.map((stop, i) => {
+    const nextArrival = arrivalTimes[i + 1];
+    const hours = nextArrival
+      ? Math.max(1, Math.ceil((nextArrival - arrivalTimes[i]) / (60 * 60 * 1000)))
+      : 1;
+    return fetchWeatherData([stop.name], arrivalTimes[i].toISOString(), stop, hours, options);
+  }));
+
+  return {
+    weatherData: legResults.flatMap((result, i) => result.weatherData.map(w => ({ ...w, leg: i }))),
+    stops: routeStops.map((stop, i) => ({ ...stop, eta: arrivalTimes[i].toISOString() }))
+  };
 };
 
 export default function WhatShouldIWear() {
@@ -400,132 +244,257 @@ export default function WhatShouldIWear() {
   const [startTime, setStartTime] = useState('');
   const [selectedEffort, setSelectedEffort] = useState(null);
   const [weatherData, setWeatherData] = useState([]);
+  // Forecast, recorded weather and/or climate normals, whichever the window drew on
+  const [weatherSources, setWeatherSources] = useState([]);
   const [recommendations, setRecommendations] = useState([]);
+  const [conditions, setConditions] = useState(null);
+  // Start outfit, timed changes and packable layers over the activity
+  const [layeringPlan, setLayeringPlan] = useState(null);
   const [showFeedback, setShowFeedback] = useState(false);
   const [savedRoutes, setSavedRoutes] = useState([]);
+  // User-defined activities, merged over the built-in catalog
+  const [customActivities, setCustomActivities] = useState([]);
+  const [showActivityManager, setShowActivityManager] = useState(false);
+  const activities = mergeActivities(ACTIVITIES, customActivities);
+  // Gear this person owns, which recommendations pick from
+  const [closet, setCloset] = useState([]);
+  const [showCloset, setShowCloset] = useState(false);
+  // Per-user profile; units only change what is shown, never the data
+  const [profile, setProfile] = useState({ units: DEFAULT_UNITS });
+  const [showUnits, setShowUnits] = useState(false);
+  // Multi-day trips, each a run of legs with their own activity, place and time
+  const [trips, setTrips] = useState([]);
+  const [showTrips, setShowTrips] = useState(false);
+  const units = profile.units;
+  // Bumped to remount RouteInput with a restored route
+  const [routeInputKey, setRouteInputKey] = useState(0);
+  // Set when a saved route should be run as soon as its state is in place
+  const [pendingRun, setPendingRun] = useState(false);
+  // This user's past feedback, used to calibrate recommendations
+  const [feedbackHistory, setFeedbackHistory] = useState([]);
   const [locationCoords, setLocationCoords] = useState(null);
-  const [locationSuggestions, setLocationSuggestions] = useState([]);
-  const [activeInputIndex, setActiveInputIndex] = useState(null);
-  const [searchTimeout, setSearchTimeout] = useState(null);
+  // Coordinates picked from suggestions, one entry per location input
+  const [stopCoords, setStopCoords] = useState([]);
+  // Resolved stops of a multi-stop search route, with arrival times
+  const [routeStops, setRouteStops] = useState([]);
 
   // GPX-related state
   const [inputMethod, setInputMethod] = useState('search');
   const [gpxPoints, setGpxPoints] = useState([]);
   const [sampledGpxPoints, setSampledGpxPoints] = useState([]);
   const [gpxMetadata, setGpxMetadata] = useState(null);
-
-  // Load saved routes on mount
+  const [routePointWeather, setRoutePointWeather] = useState([]);
+  // Evaluating a recorded activity at its own timestamps, for a post-activity report
+  const [replayMode, setReplayMode] = useState(false);
+  const [hoveredRoutePoint, setHoveredRoutePoint] = useState(null);
+
+  // Forecast fetch state: the last typed failure, and when a saved forecast stood in
+  const [isFetching, setIsFetching] = useState(false);
+  const [weatherFetchError, setWeatherFetchError] = useState(null);
+  const [staleForecastAt, setStaleForecastAt] = useState(null);
+  // When the plan on screen was restored without a connection, when its forecast is from
+  const [offlinePlanAt, setOfflinePlanAt] = useState(null);
+
+  // Load saved routes and feedback history on mount
   useEffect(() => {
     loadSavedRoutes();
+    loadFeedbackHistory();
+    refreshCustomActivities();
+    refreshCloset();
+    refreshProfile();
+    refreshTrips();
+
+    // Opened without a connection: show the last plan made here rather than an empty form
+    const lastPlan = navigator.onLine ? null : loadLastPlan();
+    if (lastPlan) {
+      showPlan(lastPlan);
+      setOfflinePlanAt(lastPlan.forecastAt);
+    }
   }, []);
 
-  const loadSavedRoutes = async () => {
+  const refreshProfile = async () => {
     try {
-      const result = await window.storage.list('route:');
-      if (result && result.keys) {
-        const routes = [];
-        for (const key of result.keys) {
-          const data = await window.storage.get(key);
-          if (data) {
-            routes.push(JSON.parse(data.value));
-          }
-        }
-        setSavedRoutes(routes);
-      }
+      setProfile(await loadProfile());
     } catch (error) {
-      console.log('No saved routes yet');
+      console.log('No profile yet');
     }
   };
 
-  const handleAddLocation = () => {
-    if (locations.length < 3) {
-      setLocations([...locations, '']);
+  const handleUnitsChange = async (nextUnits) => {
+    const nextProfile = { ...profile, units: nextUnits };
+    setProfile(nextProfile);
+    try {
+      await saveProfile(nextProfile);
+    } catch (error) {
+      alert('Failed to save unit preference');
     }
   };
 
-  const searchLocationSuggestions = async (query) => {
-    if (!query || query.length < 2) {
-      setLocationSuggestions([]);
-      return;
+  const refreshTrips = async () => {
+    try {
+      setTrips(await loadTrips());
+    } catch (error) {
+      console.log('No trips yet');
     }
+  };
+
+  const handleSaveTrip = async (trip) => {
+    await saveTrip(trip);
+    await refreshTrips();
+  };
+
+  const handleDeleteTrip = async (trip) => {
+    if (!confirm(`Delete "${trip.name}"?`)) return;
 
     try {
-      const response = await fetch(
-        `https://geocoding-api.open-meteo.com/v1/search?name=${encodeURIComponent(query)}&count=5&language=en&format=json`
-      );
-      const data = await response.json();
-
-      if (data.results) {
-        const suggestions = data.results.map(result => ({
-          name: result.name,
-          country: result.country,
-          admin1: result.admin1,
-          lat: result.latitude,
-          lon: result.longitude,
-          displayName: `${result.name}${result.admin1 ? ', ' + result.admin1 : ''}, ${result.country}`
-        }));
-        setLocationSuggestions(suggestions);
-      } else {
-        setLocationSuggestions([]);
+      await deleteTrip(trip.id);
+      await refreshTrips();
+    } catch (error) {
+      alert('Failed to delete trip');
+    }
+  };
+
+  // Each leg gets its own forecast and recommendations; the packing list covers them all
+  const handlePlanTrip = async (trip) => {
+    const legs = await Promise.all(trip.legs.map(async (leg) => {
+      const activity = activities.find(a => a.id === leg.activity);
+      if (!activity) {
+        throw new Error(`Unknown activity: ${leg.activity}`);
+      }
+      const coords = leg.coords || await geocodeLocation(leg.location);
+      if (!coords) {
+        throw weatherError(WEATHER_ERROR_CODES.GEOCODING_FAILED, `Could not find location: ${leg.location}`);
       }
+      const { weatherData } = await fetchWeatherData([leg.location], leg.startTime, coords, leg.hours);
+      return { activity, effort: leg.effort, weather: weatherData, coords };
+    }));
+
+    const results = planTripLegs(legs, feedbackHistory, closet, units);
+    return {
+      legs: legs.map((leg, i) => ({ ...leg, ...results[i] })),
+      packing: buildPackingList(results, units)
+    };
+  };
+
+  const refreshCloset = async () => {
+    try {
+      setCloset(await loadCloset());
     } catch (error) {
-      console.error('Location search error:', error);
-      setLocationSuggestions([]);
+      console.log('No gear closet yet');
     }
   };
 
-  const handleLocationChange = (index, value) => {
-    const newLocations = [...locations];
-    newLocations[index] = value;
-    setLocations(newLocations);
-    setActiveInputIndex(index);
+  const handleSaveGear = async (item) => {
+    await saveGearItem(item);
+    await refreshCloset();
+  };
+
+  const handleDeleteGear = async (item) => {
+    if (!confirm(`Remove "${item.name}" from your closet?`)) return;
 
-    // Clear previous timeout
-    if (searchTimeout) {
-      clearTimeout(searchTimeout);
+    try {
+      await deleteGearItem(item.id);
+      await refreshCloset();
+    } catch (error) {
+      alert('Failed to remove gear');
     }
+  };
 
-    // Debounce the search
-    const timeout = setTimeout(() => {
-      searchLocationSuggestions(value);
-    }, 300);
-    setSearchTimeout(timeout);
+  const refreshCustomActivities = async () => {
+    try {
+      setCustomActivities(await loadCustomActivities());
+    } catch (error) {
+      console.log('No custom activities yet');
+    }
   };
 
-  const selectLocationSuggestion = (index, suggestion) => {
-    const newLocations = [...locations];
-    newLocations[index] = suggestion.displayName;
-    setLocations(newLocations);
-    setLocationSuggestions([]);
-    setActiveInputIndex(null);
-
-    // Store the coordinates for the selected location
-    setLocationCoords({
-      lat: suggestion.lat,
-      lon: suggestion.lon,
-      name: suggestion.displayName
-    });
+  const handleSaveActivity = async (activity) => {
+    await saveCustomActivity(activity);
+    await refreshCustomActivities();
+  };
+
+  const handleImportActivities = async (imported) => {
+    for (const activity of imported) {
+      await saveCustomActivity(activity);
+    }
+    await refreshCustomActivities();
+  };
+
+  const handleDeleteActivity = async (activity) => {
+    if (!confirm(`Delete "${activity.name}"?`)) return;
+
+    try {
+      await deleteCustomActivity(activity.id);
+      if (selectedActivity === activity.id && !ACTIVITIES.some(a => a.id === activity.id)) {
+        setSelectedActivity(null);
+      }
+      await refreshCustomActivities();
+    } catch (error) {
+      alert('Failed to delete activity');
+    }
   };
 
-  const handleRemoveLocation = (index) => {
-    const newLocations = locations.filter((_, i) => i !== index);
-    setLocations(newLocations.length === 0 ? [''] : newLocations);
+  const loadFeedbackHistory = async () => {
+    try {
+      const result = await window.storage.list('feedback:');
+      if (result && result.keys) {
+        const userId = getUserId();
+        const records = [];
+        for (const key of result.keys) {
+          const data = await window.storage.get(key);
+          if (data) {
+            records.push(JSON.parse(data.value));
+          }
+        }
+        setFeedbackHistory(records.filter(record => record.userId === userId));
+      }
+    } catch (error) {
+      console.log('No feedback history yet');
+    }
   };
 
+  const loadSavedRoutes = async () => {
+    try {
+      const result = await window.storage.list(ROUTE_PREFIX);
+      if (result && result.keys) {
+        const routes = [];
+        for (const key of result.keys) {
+          const data = await window.storage.get(key);
+          if (data) {
+            routes.push(parseSavedRoute(data.value));
+          }
+        }
+        setSavedRoutes(routes);
+      }
+    } catch (error) {
+      console.log('No saved routes yet');
+    }
+  };
+
+  // Run a restored route once its state has been applied
+  useEffect(() => {
+    if (pendingRun) {
+      setPendingRun(false);
+      handleGetRecommendations();
+    }
+  }, [pendingRun]);
+
   const handleRouteChange = (routeData) => {
     console.log('handleRouteChange called with:', routeData);
 
     setInputMethod(routeData.inputMethod || 'search');
     setLocations(routeData.locations || ['']);
+    setStopCoords(routeData.locationCoords || []);
     setStartTime(routeData.startTime || '');
+    setReplayMode(Boolean(routeData.replay) && routeData.inputMethod === 'gpx');
 
     if (routeData.inputMethod === 'gpx' && routeData.gpxPoints) {
       console.log('GPX mode detected, gpxPoints:', routeData.gpxPoints.length);
       setGpxPoints(routeData.gpxPoints);
       setGpxMetadata(routeData.gpxMetadata);
 
-      // Sample points for weather fetching (10-12 points)
-      const sampled = samplePoints(routeData.gpxPoints, 10);
+      // Sample points for weather fetching, scaled to route length
+      const sampled = samplePoints(routeData.gpxPoints, getSampleCount(routeData.gpxMetadata.totalDistance));
       console.log('Sampled points:', sampled.length);
       setSampledGpxPoints(sampled);
 
@@ -545,61 +514,148 @@ export default function WhatShouldIWear() {
     }
   };
 
-  const handleGetRecommendations = async () => {
+  // allowStale: use a place's last saved forecast when its live forecast can't be fetched
+  const handleGetRecommendations = async ({ allowStale = false } = {}) => {
     if (!startTime || !selectedActivity || !selectedEffort) {
       alert('Please fill in all fields');
       return;
     }
 
-    let weather, coords;
+    let weather, coords, fetchedRecords;
+    // Where the route goes and how it was forecast, for the map and the offline copy
+    let routePoints = [];
+    let planStops = [];
+    let pointWeather = [];
+    const activity = activities.find(a => a.id === selectedActivity);
+    const validLocations = locations.filter(loc => loc.trim());
+    if (inputMethod !== 'gpx' && !validLocations.length) {
+      alert('Please enter a location');
+      return;
+    }
 
-    // Handle GPX mode
-    if (inputMethod === 'gpx' && sampledGpxPoints.length > 0) {
-      const result = await fetchGPXWeatherData(sampledGpxPoints, startTime);
-      weather = result.weatherData;
-      coords = result.coords;
-    } else {
-      // Handle search mode
-      const validLocations = locations.filter(loc => loc.trim());
-      if (!validLocations.length) {
-        alert('Please enter a location');
-        return;
-      }
+    setWeatherFetchError(null);
+    setIsFetching(true);
+    try {
+      // Handle GPX mode
+      if (inputMethod === 'gpx' && sampledGpxPoints.length > 0) {
+        // A replay starts exactly when the recording did, not at the minute shown; a route
+        // without timestamps has nothing to replay, so it starts at the time shown
+        const recording = replayMode ? recordedWindow(sampledGpxPoints) : null;
+        const gpxStart = recording ? recording.start.toISOString() : startTime;
+        const result = await fetchGPXWeatherData(sampledGpxPoints, gpxStart, activity, { allowStale });
+        weather = result.weatherData;
+        coords = result.coords;
+        fetchedRecords = result.pointWeather;
+        pointWeather = result.pointWeather || [];
+        routePoints = sampledGpxPoints;
+      } else {
+        // Resolve every stop, geocoding any that weren't picked from the suggestions
+        const stops = [];
+        for (let i = 0; i < locations.length; i++) {
+          if (!locations[i].trim()) continue;
+          const stop = stopCoords[i] || await geocodeLocation(locations[i]);
+          if (!stop) {
+            throw weatherError(WEATHER_ERROR_CODES.GEOCODING_FAILED, `Could not find location: ${locations[i]}`);
+          }
+          stops.push(stop);
+        }
 
-      if (!locationCoords) {
-        alert('Please select a location from the dropdown suggestions');
-        return;
+        if (stops.length > 1) {
+          const result = await fetchMultiStopWeatherData(stops, startTime, activity, { allowStale });
+          weather = result.weatherData;
+          coords = result.stops[0];
+          planStops = result.stops;
+        } else {
+          const result = await fetchWeatherData(validLocations, startTime, stops[0], DEFAULT_WINDOW_HOURS, { allowStale });
+          weather = result.weatherData;
+          coords = result.coords;
+        }
+        fetchedRecords = weather;
+        routePoints = stops;
       }
-
-      const result = await fetchWeatherData(validLocations, startTime, locationCoords);
-      weather = result.weatherData;
-      coords = result.coords;
+    } catch (error) {
+      console.error('Weather fetch error:', error);
+      setWeatherFetchError(error);
+      return;
+    } finally {
+      setIsFetching(false);
     }
 
-    setWeatherData(weather);
-    // Update coords in case they changed
-    if (coords) {
-      setLocationCoords(coords);
-    }
+    // The oldest saved forecast used in place of a live one, if any
+    const cachedTimes = fetchedRecords.map(w => w.cachedAt).filter(Boolean).sort();
+    const staleAt = cachedTimes[0] || null;
+    const sources = Object.values(WEATHER_SOURCES).filter(source => fetchedRecords.some(w => w.source === source));
+
+    const recs = generateRecommendations(activity, weather, selectedEffort, feedbackHistory, closet, units);
+    const planConditions = assessConditions(activity, weather, selectedEffort, feedbackHistory);
+    const plan = {
+      forecastAt: staleAt || new Date().toISOString(),
+      staleForecastAt: staleAt,
+      activity: selectedActivity,
+      effort: selectedEffort,
+      startTime,
+      inputMethod,
+      replay: replayMode,
+      locations,
+      stopCoords,
+      locationCoords: coords || locationCoords,
+      routeStops: planStops,
+      gpxPoints,
+      gpxMetadata,
+      sampledGpxPoints,
+      routePointWeather: pointWeather,
+      weatherData: weather,
+      weatherSources: sources,
+      recommendations: recs,
+      conditions: planConditions,
+      layeringPlan: buildLayeringPlan(activity, weather, selectedEffort, feedbackHistory, closet)
+    };
+    showPlan(plan);
+    setOfflinePlanAt(null);
 
-    const recs = generateRecommendations(selectedActivity, weather, selectedEffort);
-    setRecommendations(recs);
+    // Keep this plan and its map for when there's no signal at the trailhead
+    saveLastPlan(plan);
+    cacheRouteTiles(routePoints);
+  };
 
+  // Put a plan's route, forecast and recommendations on screen
+  const showPlan = (plan) => {
+    setSelectedActivity(plan.activity);
+    setSelectedEffort(plan.effort);
+    setStartTime(plan.startTime);
+    setInputMethod(plan.inputMethod);
+    setReplayMode(Boolean(plan.replay));
+    setLocations(plan.locations);
+    setStopCoords(plan.stopCoords);
+    setLocationCoords(plan.locationCoords);
+    setRouteStops(plan.routeStops);
+    setGpxPoints(plan.gpxPoints);
+    setGpxMetadata(plan.gpxMetadata);
+    setSampledGpxPoints(plan.sampledGpxPoints);
+    setRoutePointWeather(plan.routePointWeather);
+    setWeatherData(plan.weatherData);
+    setWeatherSources(plan.weatherSources || [WEATHER_SOURCES.FORECAST]);
+    setStaleForecastAt(plan.staleForecastAt);
+    setRecommendations(plan.recommendations);
+    setConditions(plan.conditions);
+    setLayeringPlan(plan.layeringPlan);
     setStep(2);
   };
 
   const handleSaveRoute = async () => {
-    const routeData = {
-      id: Date.now().toString(),
+    const routeData = createSavedRoute({
       activity: selectedActivity,
-      locations: locations.filter(l => l.trim()),
-      startTime,
       effort: selectedEffort,
-      savedAt: new Date().toISOString()
-    };
-    
+      startTime,
+      inputMethod,
+      locations,
+      locationCoords: stopCoords,
+      gpxPoints,
+      gpxMetadata
+    });
+
     try {
-      await window.storage.set(`route:${routeData.id}`, JSON.stringify(routeData));
+      await window.storage.set(`${ROUTE_PREFIX}${routeData.id}`, JSON.stringify(routeData));
       alert('Route saved successfully!');
       loadSavedRoutes();
     } catch (error) {
@@ -607,8 +663,41 @@ export default function WhatShouldIWear() {
     }
   };
 
+  const handleRenameRoute = async (route) => {
+    const name = prompt('Route name', route.name);
+    if (!name || !name.trim()) return;
+
+    try {
+      await window.storage.set(`${ROUTE_PREFIX}${route.id}`, JSON.stringify(createSavedRoute({ ...route, name: name.trim() })));
+      loadSavedRoutes();
+    } catch (error) {
+      alert('Failed to rename route');
+    }
+  };
+
+  const handleDeleteRoute = async (route) => {
+    if (!confirm(`Delete "${route.name}"?`)) return;
+
+    try {
+      await window.storage.delete(`${ROUTE_PREFIX}${route.id}`);
+      loadSavedRoutes();
+    } catch (error) {
+      alert('Failed to delete route');
+    }
+  };
+
+  const saveFeedback = async (feedbackData) => {
+    await window.storage.set(
+      `feedback:${Date.now()}`, 
+      JSON.stringify(feedbackData),
+      true // shared - visible to all users
+    );
+    setFeedbackHistory([...feedbackHistory, feedbackData]);
+  };
+
   const handleSubmitFeedback = async (feedback) => {
     const feedbackData = {
+      userId: getUserId(),
       activity: selectedActivity,
       effort: selectedEffort,
       avgTemp: weatherData.reduce((sum, w) => sum + w.temperature, 0) / weatherData.length,
@@ -617,11 +706,7 @@ export default function WhatShouldIWear() {
     };
     
     try {
-      await window.storage.set(
-        `feedback:${Date.now()}`, 
-        JSON.stringify(feedbackData),
-        true // shared - visible to all users
-      );
+      await saveFeedback(feedbackData);
       alert('Thank you for your feedback! This will help improve recommendations for everyone.');
       setShowFeedback(false);
     } catch (error) {
@@ -629,14 +714,51 @@ export default function WhatShouldIWear() {
     }
   };
 
+  // Feedback from a replayed recording carries what was worn and the weather each point
+  // actually had, not just one average for the window
+  const handleSubmitReport = async ({ worn, comfort, comparison }) => {
+    const temperatures = routePointWeather.map(w => w.temperature).filter(Number.isFinite);
+    const recording = recordedWindow(sampledGpxPoints);
+    // Without any point's temperature the outfit vote still counts, but there is no weather
+    // to summarize; calibration weighs a record without avgTemp the same at any temperature
+    const temperatureSummary = temperatures.length > 0 && {
+      avgTemp: temperatures.reduce((sum, t) => sum + t, 0) / temperatures.length,
+      minTemp: Math.min(...temperatures),
+      maxTemp: Math.max(...temperatures)
+    };
+    await saveFeedback({
+      userId: getUserId(),
+      activity: selectedActivity,
+      effort: selectedEffort,
+      ...(temperatureSummary && { avgTemp: temperatureSummary.avgTemp }),
+      feedback: comfort,
+      recommendationVote: comparison.vote,
+      worn,
+      recommended: recommendations.map(layer => layer.item),
+      replay: {
+        startedAt: recording?.start.toISOString(),
+        endedAt: recording?.end.toISOString(),
+        ...(temperatureSummary && { minTemp: temperatureSummary.minTemp, maxTemp: temperatureSummary.maxTemp }),
+        feltTemp: conditions?.feltTemp
+      },
+      timestamp: new Date().toISOString()
+    });
+  };
+
   const loadSavedRoute = (route) => {
     setSelectedActivity(route.activity);
-    setLocations(route.locations);
-    setStartTime(route.startTime);
     setSelectedEffort(route.effort);
+    handleRouteChange(route);
+    setRouteInputKey(key => key + 1);
     setStep(1);
   };
 
+  // Same route, same activity, planned for the coming Saturday morning
+  const runRouteNextSaturday = (route) => {
+    loadSavedRoute({ ...route, startTime: nextWeekdayAt(6, 7) });
+    setPendingRun(true);
+  };
+
   if (step === 1) {
     return (
       <div style={{ minHeight: '100vh', background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)', padding: '20px' }}>
@@ -647,11 +769,118 @@ export default function WhatShouldIWear() {
           </div>
 
           <div style={{ background: 'white', borderRadius: '20px', padding: '40px', boxShadow: '0 20px 60px rgba(0,0,0,0.3)' }}>
+            {/* Units */}
+            <div style={{ marginBottom: '30px' }}>
+              <button
+                onClick={() => setShowUnits(!showUnits)}
+                style={{
+                  padding: '8px 14px',
+                  background: 'none',
+                  border: 'none',
+                  color: '#667eea',
+                  cursor: 'pointer',
+                  fontSize: '0.95rem'
+                }}
+              >
+                {showUnits ? '▾' : '▸'} 📏 Units ({unitLabel('temperature', units)}, {unitLabel('speed', units)}, {unitLabel('distance', units)})
+              </button>
+              {showUnits && <UnitSettings units={units} onChange={handleUnitsChange} />}
+            </div>
+
+            {/* Trips */}
+            <div style={{ marginBottom: '30px' }}>
+              <button
+                onClick={() => setShowTrips(!showTrips)}
+                style={{
+                  padding: '8px 14px',
+                  background: 'none',
+                  border: 'none',
+                  color: '#667eea',
+                  cursor: 'pointer',
+                  fontSize: '0.95rem'
+                }}
+              >
+                {showTrips ? '▾' : '▸'} 🧭 Multi-day trips ({trips.length} saved)
+              </button>
+              {showTrips && (
+                <TripPlanner
+                  trips={trips}
+                  activities={activities}
+                  units={units}
+                  onSave={handleSaveTrip}
+                  onDelete={handleDeleteTrip}
+                  onPlan={handlePlanTrip}
+                />
+              )}
+            </div>
+
+            {/* Saved Routes */}
+            {savedRoutes.length > 0 && (
+              <div style={{ marginBottom: '40px' }}>
+                <h2 style={{ fontSize: '1.5rem', marginBottom: '15px', color: '#333' }}>Saved Routes</h2>
+                <div style={{ display: 'grid', gap: '10px' }}>
+                  {savedRoutes.map(route => (
+                    <div
+                      key={route.id}
+                      style={{
+                        display: 'flex',
+                        alignItems: 'center',
+                        gap: '10px',
+                        padding: '15px',
+                        background: '#f5f5f5',
+                        border: '1px solid #e0e0e0',
+                        borderRadius: '8px'
+                      }}
+                    >
+                      <button
+                        onClick={() => loadSavedRoute(route)}
+                        style={{ flex: 1, background: 'none', border: 'none', cursor: 'pointer', textAlign: 'left', padding: 0 }}
+                      >
+                        <div style={{ fontWeight: '600', marginBottom: '5px' }}>
+                          {route.name}
+                        </div>
+                        <div style={{ fontSize: '0.9rem', color: '#666' }}>
+                          {activities.find(a => a.id === route.activity)?.name} - {EFFORT_LEVELS.find(e => e.id === route.effort)?.name}
+                          {' • '}
+                          {route.inputMethod === 'gpx'
+                            ? `${route.gpxMetadata?.format || 'GPX'} track, ${formatMeasure('distance', route.gpxMetadata?.totalDistance, units, 1)}`
+                            : route.locations.filter(l => l.trim()).join(' → ')}
+                        </div>
+                      </button>
+                      {[
+                        { label: '▶ Next Sat 7am', title: 'Run this route for next Saturday at 7am', onClick: () => runRouteNextSaturday(route) },
+                        { label: 'Rename', onClick: () => handleRenameRoute(route) },
+                        { label: 'Delete', onClick: () => handleDeleteRoute(route) }
+                      ].map(action => (
+                        <button
+                          key={action.label}
+                          onClick={action.onClick}
+                          title={action.title}
+                          style={{
+                            padding: '8px 12px',
+                            background: 'white',
+                            border: '1px solid #667eea',
+                            borderRadius: '8px',
+                            color: '#667eea',
+                            cursor: 'pointer',
+                            fontSize: '0.85rem',
+                            whiteSpace: 'nowrap'
+                          }}
+                        >
+                          {action.label}
+                        </button>
+                      ))}
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
             {/* Activity Selection */}
             <div style={{ marginBottom: '40px' }}>
               <h2 style={{ fontSize: '1.8rem', marginBottom: '20px', color: '#333' }}>1. Select Your Activity</h2>
               <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(150px, 1fr))', gap: '15px' }}>
-                {ACTIVITIES.map(activity => (
+                {activities.map(activity => (
                   <button
                     key={activity.id}
                     onClick={() => setSelectedActivity(activity.id)}
@@ -676,14 +905,42 @@ export default function WhatShouldIWear() {
                   </button>
                 ))}
               </div>
+              <button
+                onClick={() => setShowActivityManager(!showActivityManager)}
+                style={{
+                  marginTop: '15px',
+                  padding: '8px 14px',
+                  background: 'none',
+                  border: 'none',
+                  color: '#667eea',
+                  cursor: 'pointer',
+                  fontSize: '0.95rem'
+                }}
+              >
+                {showActivityManager ? '▾' : '▸'} Add or edit activities
+              </button>
+              {showActivityManager && (
+                <ActivityManager
+                  activities={activities}
+                  customActivities={customActivities}
+                  units={units}
+                  onSave={handleSaveActivity}
+                  onDelete={handleDeleteActivity}
+                  onImport={handleImportActivities}
+                />
+              )}
             </div>
 
             {selectedActivity && (
               <>
                 {/* Route Input */}
                 <div style={{ marginBottom: '40px' }}>
-                  <h2 style={{ fontSize: '1.8rem', marginBottom: '20px', color: '#333' }}>2. Enter Your Location or Upload GPX</h2>
-                  <RouteInput onRouteChange={handleRouteChange} />
+                  <h2 style={{ fontSize: '1.8rem', marginBottom: '20px', color: '#333' }}>2. Enter Your Location or Upload a Route</h2>
+                  <RouteInput
+                    key={routeInputKey}
+                    onRouteChange={handleRouteChange}
+                    initialRoute={{ inputMethod, locations, locationCoords: stopCoords, startTime, gpxPoints, gpxMetadata, replay: replayMode }}
+                  />
                 </div>
 
                 {/* Effort Level */}
@@ -713,35 +970,30 @@ export default function WhatShouldIWear() {
                   </div>
                 </div>
 
-                {/* Saved Routes */}
-                {savedRoutes.length > 0 && (
-                  <div style={{ marginBottom: '40px' }}>
-                    <h2 style={{ fontSize: '1.5rem', marginBottom: '15px', color: '#333' }}>Saved Routes</h2>
-                    <div style={{ display: 'grid', gap: '10px' }}>
-                      {savedRoutes.map(route => (
-                        <button
-                          key={route.id}
-                          onClick={() => loadSavedRoute(route)}
-                          style={{
-                            padding: '15px',
-                            background: '#f5f5f5',
-                            border: '1px solid #e0e0e0',
-                            borderRadius: '8px',
-                            cursor: 'pointer',
-                            textAlign: 'left'
-                          }}
-                        >
-                          <div style={{ fontWeight: '600', marginBottom: '5px' }}>
-                            {ACTIVITIES.find(a => a.id === route.activity)?.name} - {EFFORT_LEVELS.find(e => e.id === route.effort)?.name}
-                          </div>
-                          <div style={{ fontSize: '0.9rem', color: '#666' }}>
-                            {route.locations.join(' → ')}
-                          </div>
-                        </button>
-                      ))}
-                    </div>
-                  </div>
-                )}
+                {/* Gear Closet */}
+                <div style={{ marginBottom: '40px' }}>
+                  <button
+                    onClick={() => setShowCloset(!showCloset)}
+                    style={{
+                      padding: '8px 14px',
+                      background: 'none',
+                      border: 'none',
+                      color: '#667eea',
+                      cursor: 'pointer',
+                      fontSize: '0.95rem'
+                    }}
+                  >
+                    {showCloset ? '▾' : '▸'} 🧥 My gear closet ({closet.length} {closet.length === 1 ? 'item' : 'items'})
+                  </button>
+                  {showCloset && (
+                    <GearCloset
+                      closet={closet}
+                      activities={activities}
+                      onSave={handleSaveGear}
+                      onDelete={handleDeleteGear}
+                    />
+                  )}
+                </div>
 
                 {/* Debug info */}
                 {console.log('Button state check:', {
@@ -755,12 +1007,13 @@ export default function WhatShouldIWear() {
                 })}
 
                 <button
-                  onClick={handleGetRecommendations}
+                  onClick={() => handleGetRecommendations()}
                   disabled={
                     !selectedActivity ||
                     !selectedEffort ||
                     !startTime ||
-                    (inputMethod === 'gpx' ? sampledGpxPoints.length === 0 : !locations.some(l => l.trim()))
+                    (inputMethod === 'gpx' ? sampledGpxPoints.length === 0 : !locations.some(l => l.trim())) ||
+                    isFetching
                   }
                   style={{
                     width: '100%',
@@ -775,19 +1028,50 @@ export default function WhatShouldIWear() {
                       !selectedActivity ||
                       !selectedEffort ||
                       !startTime ||
-                      (inputMethod === 'gpx' ? sampledGpxPoints.length === 0 : !locations.some(l => l.trim()))
+                      (inputMethod === 'gpx' ? sampledGpxPoints.length === 0 : !locations.some(l => l.trim())) ||
+                      isFetching
                     ) ? 'not-allowed' : 'pointer',
                     opacity: (
                       !selectedActivity ||
                       !selectedEffort ||
                       !startTime ||
-                      (inputMethod === 'gpx' ? sampledGpxPoints.length === 0 : !locations.some(l => l.trim()))
+                      (inputMethod === 'gpx' ? sampledGpxPoints.length === 0 : !locations.some(l => l.trim())) ||
+                      isFetching
                     ) ? 0.5 : 1,
                     boxShadow: '0 4px 12px rgba(102, 126, 234, 0.3)'
                   }}
                 >
-                  Get My Recommendations
+                  {isFetching ? 'Fetching forecast…' : 'Get My Recommendations'}
                 </button>
+
+                {weatherFetchError && (
+                  <div style={{ marginTop: '16px', padding: '16px', background: '#fdecea', border: '1px solid #f5c2c0', borderRadius: '12px', color: '#8a1c1c' }}>
+                    <strong>{describeWeatherError(weatherFetchError)}</strong>
+                    <p style={{ margin: '6px 0 0' }}>{weatherFetchError.message}</p>
+                    {(weatherFetchError.retryable || weatherFetchError.cachedAt) && (
+                      <div style={{ display: 'flex', gap: '10px', flexWrap: 'wrap', marginTop: '12px' }}>
+                        {weatherFetchError.retryable && (
+                          <button
+                            onClick={() => handleGetRecommendations()}
+                            disabled={isFetching}
+                            style={{ padding: '8px 14px', background: '#8a1c1c', color: 'white', border: 'none', borderRadius: '8px', cursor: 'pointer', fontWeight: '600' }}
+                          >
+                            Try again
+                          </button>
+                        )}
+                        {weatherFetchError.cachedAt && (
+                          <button
+                            onClick={() => handleGetRecommendations({ allowStale: true })}
+                            disabled={isFetching}
+                            style={{ padding: '8px 14px', background: 'white', color: '#8a1c1c', border: '1px solid #8a1c1c', borderRadius: '8px', cursor: 'pointer', fontWeight: '600' }}
+                          >
+                            Use forecast saved {describeAge(weatherFetchError.cachedAt)} ago
+                          </button>
+                        )}
+                      </div>
+                    )}
+                  </div>
+                )}
               </>
             )}
           </div>
@@ -817,42 +1101,125 @@ export default function WhatShouldIWear() {
           ← Back to Input
         </button>
 
+        {offlinePlanAt && (
+          <div style={{ padding: '14px 18px', background: '#e8eaf6', border: '1px solid #c5cae9', borderRadius: '12px', color: '#283593', marginBottom: '20px' }}>
+            📴 You're offline, so this is the last plan made on this device. Forecast as of {new Date(offlinePlanAt).toLocaleString([], { weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })} ({describeAge(offlinePlanAt)} ago).
+          </div>
+        )}
+
+        {staleForecastAt && !offlinePlanAt && (
+          <div style={{ padding: '14px 18px', background: '#fff4e5', border: '1px solid #ffcc80', borderRadius: '12px', color: '#7a4b00', marginBottom: '20px' }}>
+            ⚠️ The weather service couldn't be reached, so these recommendations use a forecast saved {describeAge(staleForecastAt)} ago. Conditions may have changed since.
+          </div>
+        )}
+
         {/* Header */}
         <div style={{ background: 'linear-gradient(135deg, #667eea, #764ba2)', borderRadius: '20px', padding: '30px', color: 'white', marginBottom: '20px' }}>
-          <h1 style={{ fontSize: '2.5rem', marginBottom: '10px' }}>Your Clothing Recommendations</h1>
+          <h1 style={{ fontSize: '2.5rem', marginBottom: '10px' }}>{replayMode ? 'What You Should Have Worn' : 'Your Clothing Recommendations'}</h1>
           <p style={{ fontSize: '1.2rem' }}>
-            {ACTIVITIES.find(a => a.id === selectedActivity)?.name} • {EFFORT_LEVELS.find(e => e.id === selectedEffort)?.name} Effort
+            {activities.find(a => a.id === selectedActivity)?.name} • {EFFORT_LEVELS.find(e => e.id === selectedEffort)?.name} Effort
           </p>
+          {weatherSources.length > 0 && (
+            <p style={{ display: 'inline-block', fontSize: '0.9rem', marginTop: '10px', padding: '4px 12px', background: 'rgba(255, 255, 255, 0.2)', borderRadius: '12px' }}>
+              {weatherSources.includes(WEATHER_SOURCES.CLIMATOLOGY) ? '📊' : weatherSources.includes(WEATHER_SOURCES.HISTORICAL) ? '📜' : '📡'}
+              {' '}{weatherSources.map(source => SOURCE_LABELS[source]).join(' + ')}
+              {weatherSources.includes(WEATHER_SOURCES.CLIMATOLOGY) && ': typical conditions, not a forecast'}
+              {weatherSources.length === 1 && weatherSources[0] === WEATHER_SOURCES.HISTORICAL && ': what you should have worn'}
+            </p>
+          )}
+          {conditions && (
+            <p style={{ fontSize: '1rem', marginTop: '10px', opacity: 0.9 }}>
+              Feels like <strong>{formatMeasure('temperature', conditions.feltTemp, units)}</strong>: {formatMeasure('temperature', conditions.airTemp, units)} air
+              {conditions.hasWindChill && `, wind chill from ${formatMeasure('speed', conditions.maxAirspeed, units)} airflow (${formatMeasure('speed', conditions.maxWind, units)} wind + ${formatMeasure('speed', conditions.movingSpeed, units)} moving)`}
+              {conditions.hasHeatIndex && `, heat index with humidity`}
+              {conditions.effortOffset !== 0 && `, ${conditions.effortOffset > 0 ? '+' : ''}${formatMeasure('temperatureChange', conditions.effortOffset, units)} for effort`}
+            </p>
+          )}
+          {conditions && conditions.hasRain && (
+            <p style={{ fontSize: '1rem', marginTop: '5px', opacity: 0.9 }}>
+              {conditions.precipitation.types.includes('snow') ? '🌨️' : '🌧️'} Expect {describePrecipitation(conditions.precipitation)}
+              {conditions.precipitation.maxAmount > 0 && `, up to ${formatMeasure('precipitation', conditions.precipitation.maxAmount, units, units.precipitation === 'mm' ? 1 : 2)}/h`}
+              {conditions.precipitation.totalSnowfall > 0 && `, ${formatMeasure('precipitation', conditions.precipitation.totalSnowfall, units, units.precipitation === 'mm' ? 0 : 1)} of snow`}
+            </p>
+          )}
+          {conditions && (conditions.sun.sunrise || conditions.sun.maxUv > 0) && (
+            <p style={{ fontSize: '1rem', marginTop: '5px', opacity: 0.9 }}>
+              {conditions.sun.daylight ? '☀️' : '🌙'}
+              {conditions.sun.daylight && ` UV ${conditions.sun.maxUv} (${uvCategory(conditions.sun.maxUv)})`}
+              {conditions.sun.daylight && conditions.sun.cloudCover !== null && `, ${conditions.sun.cloudCover}% cloud cover`}
+              {conditions.sun.sunrise && ` • Sunrise ${new Date(conditions.sun.sunrise).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}, sunset ${new Date(conditions.sun.sunset).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}`}
+              {conditions.sun.darkPhase && (conditions.sun.daylight ? ` • Partly ${conditions.sun.darkPhase}` : ' In the dark throughout')}
+            </p>
+          )}
+          {conditions && describeCalibration(conditions.calibration, units) && (
+            <p style={{ fontSize: '1rem', marginTop: '5px', opacity: 0.9 }}>
+              🎯 {describeCalibration(conditions.calibration, units)}
+            </p>
+          )}
         </div>
 
+        {/* Route Stats */}
+        {inputMethod === 'gpx' && gpxMetadata && (
+          <div style={{ background: 'white', borderRadius: '20px', padding: '30px', marginBottom: '20px', boxShadow: '0 2px 10px rgba(0,0,0,0.1)' }}>
+            <h2 style={{ fontSize: '1.8rem', marginBottom: '20px', color: '#333' }}>{gpxMetadata.name}</h2>
+            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(150px, 1fr))', gap: '15px' }}>
+              {[
+                { label: 'Distance', value: formatMeasure('distance', gpxMetadata.totalDistance, units, 1) },
+                { label: 'Elevation Gain', value: formatMeasure('elevation', gpxMetadata.elevationGain, units) },
+                { label: 'Elevation Loss', value: formatMeasure('elevation', gpxMetadata.elevationLoss, units) },
+                gpxMetadata.maxElevation !== null && {
+                  label: 'High / Low Point',
+                  value: `${Math.round(toDisplay('elevation', gpxMetadata.maxElevation, units))} / ${formatMeasure('elevation', gpxMetadata.minElevation, units)}`
+                },
+                {
+                  label: gpxMetadata.movingTime ? 'Recorded Moving Time' : 'Estimated Duration',
+                  value: formatDuration(estimateDuration(gpxMetadata, activities.find(a => a.id === selectedActivity)?.speed))
+                }
+              ].filter(Boolean).map(stat => (
+                <div key={stat.label} style={{ padding: '15px', background: '#f5f5f5', borderRadius: '12px', textAlign: 'center' }}>
+                  <div style={{ fontSize: '0.9rem', color: '#666', marginBottom: '5px' }}>{stat.label}</div>
+                  <div style={{ fontSize: '1.3rem', fontWeight: '600', color: '#333' }}>{stat.value}</div>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
         {/* Weather Chart */}
         <div style={{ background: 'white', borderRadius: '20px', padding: '30px', marginBottom: '20px', boxShadow: '0 2px 10px rgba(0,0,0,0.1)' }}>
           <h2 style={{ fontSize: '1.8rem', marginBottom: '20px', color: '#333' }}>
-            Weather Forecast (5 Hours from Start)
+            {inputMethod === 'gpx' || routeStops.length > 1
+              ? 'Weather Along Your Route'
+              : `Weather Forecast (${DEFAULT_WINDOW_HOURS} Hours from Start)`}
             {inputMethod === 'gpx' && <span style={{ fontSize: '1rem', color: '#667eea', marginLeft: '10px' }}>• Route Range</span>}
           </h2>
           <ResponsiveContainer width="100%" height={300}>
-            <ComposedChart data={weatherData}>
+            <ComposedChart data={weatherData.map(w => convertRecord(w, units))}>
               <CartesianGrid strokeDasharray="3 3" />
               <XAxis
                 dataKey="time"
                 tickFormatter={(time) => new Date(time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
               />
-              <YAxis yAxisId="left" label={{ value: 'Temperature (°F)', angle: -90, position: 'insideLeft' }} />
-              <YAxis yAxisId="right" orientation="right" label={{ value: 'Wind (mph) / Precip %', angle: 90, position: 'insideRight' }} />
+              <YAxis yAxisId="left" label={{ value: `Temperature (${unitLabel('temperature', units)})`, angle: -90, position: 'insideLeft' }} />
+              <YAxis yAxisId="right" orientation="right" label={{ value: `Wind (${unitLabel('speed', units)}) / Precip %`, angle: 90, position: 'insideRight' }} />
               <Tooltip
                 labelFormatter={(time) => new Date(time).toLocaleString()}
                 formatter={(value, name) => {
-                  if (name === 'temperature') return [value, 'Temp (°F)'];
-                  if (name === 'temperatureMin') return [value, 'Min Temp (°F)'];
-                  if (name === 'temperatureMax') return [value, 'Max Temp (°F)'];
-                  if (name === 'windSpeed') return [value, 'Wind (mph)'];
+                  if (name === 'temperature') return [value, `Temp (${unitLabel('temperature', units)})`];
+                  if (name === 'temperatureMin') return [value, `Min Temp (${unitLabel('temperature', units)})`];
+                  if (name === 'temperatureMax') return [value, `Max Temp (${unitLabel('temperature', units)})`];
+                  if (name === 'windSpeed') return [value, `Wind (${unitLabel('speed', units)})`];
                   if (name === 'precipitationChance') return [value + '%', 'Precip Chance'];
                   return [value, name];
                 }}
               />
               <Legend />
 
+              {/* Shade the hours before sunrise and after sunset */}
+              {darkSpans(weatherData).map(span => (
+                <ReferenceArea key={span.from} yAxisId="left" x1={span.from} x2={span.to} fill="#1e293b" fillOpacity={0.12} label={{ value: 'Night', position: 'insideTop', fill: '#475569' }} />
+              ))}
+
               {/* Temperature display - range for GPX, single line for search */}
               {inputMethod === 'gpx' && weatherData.length > 0 && weatherData[0].isAggregated ? (
                 <>
@@ -884,6 +1251,13 @@ export default function WhatShouldIWear() {
                     name="Avg Temp"
                     dot={false}
                   />
+                  {/* Lapse-rate corrected spread between the bottom and top of the route */}
+                  {weatherData[0].summitTemperature !== undefined && (
+                    <>
+                      <Line yAxisId="left" type="monotone" dataKey="trailheadTemperature" stroke="#e67e22" strokeWidth={2} name="Trailhead Temp" />
+                      <Line yAxisId="left" type="monotone" dataKey="summitTemperature" stroke="#8e44ad" strokeWidth={2} name="Summit Temp" />
+                    </>
+                  )}
                 </>
               ) : (
                 <Line
@@ -900,6 +1274,78 @@ export default function WhatShouldIWear() {
               <Line yAxisId="right" type="monotone" dataKey="precipitationChance" stroke="#3b82f6" strokeWidth={2} name="Precip Chance %" strokeDasharray="5 5" />
             </ComposedChart>
           </ResponsiveContainer>
+
+          {inputMethod === 'gpx' && weatherData.length > 0 && weatherData[0].summitTemperature !== undefined && (() => {
+            const elevations = sampledGpxPoints.map(p => p.elevation).filter(Number.isFinite);
+            const spreads = weatherData.map(w => w.trailheadTemperature - w.summitTemperature);
+            return (
+              <p style={{ marginTop: '15px', color: '#666', fontSize: '0.95rem' }}>
+                Summit ({formatMeasure('elevation', Math.max(...elevations), units)}) runs about {formatMeasure('temperatureChange', Math.max(...spreads), units)} colder
+                than the trailhead ({formatMeasure('elevation', sampledGpxPoints[0].elevation, units)}) after correcting the forecast for elevation.
+              </p>
+            );
+          })()}
+
+          {/* Multi-stop legs - forecast at each stop for the time we're there */}
+          {inputMethod !== 'gpx' && routeStops.length > 1 && (
+            <div style={{ marginTop: '20px', display: 'grid', gap: '8px' }}>
+              {routeStops.map((stop, idx) => {
+                const legWeather = weatherData.filter(w => w.leg === idx);
+                const next = routeStops[idx + 1];
+                if (legWeather.length === 0) return null;
+                const temps = legWeather.map(w => w.temperature);
+                return (
+                  <div
+                    key={idx}
+                    style={{
+                      padding: '12px 15px',
+                      background: '#f5f5f5',
+                      borderLeft: '4px solid #667eea',
+                      borderRadius: '8px',
+                      fontSize: '0.95rem',
+                      color: '#333'
+                    }}
+                  >
+                    <strong>
+                      {next ? `${stop.name} → ${next.name}` : `Arrive ${stop.name}`} at {new Date(stop.eta).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}:
+                    </strong>{' '}
+                    {formatMeasureRange('temperature', Math.min(...temps), Math.max(...temps), units)}
+                    , wind up to {formatMeasure('speed', Math.max(...legWeather.map(w => w.windSpeed)), units)}
+                    {next && <span style={{ color: '#666' }}> • {formatMeasure('distance', next.distance - stop.distance, units)}</span>}
+                  </div>
+                );
+              })}
+            </div>
+          )}
+
+          {/* Route timeline - conditions for each stretch at the hour we reach it */}
+          {inputMethod === 'gpx' && weatherData.length > 0 && weatherData[0].startKm !== undefined && (
+            <div style={{ marginTop: '20px', display: 'grid', gap: '8px' }}>
+              {weatherData.map((segment, idx) => (
+                <div
+                  key={idx}
+                  style={{
+                    padding: '12px 15px',
+                    background: '#f5f5f5',
+                    borderLeft: '4px solid #667eea',
+                    borderRadius: '8px',
+                    fontSize: '0.95rem',
+                    color: '#333'
+                  }}
+                >
+                  <strong>
+                    {formatMeasureRange('distance', segment.startKm, segment.endKm, units)} at {new Date(segment.time).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}:
+                  </strong>{' '}
+                  {formatMeasureRange('temperature', segment.temperatureMin, segment.temperatureMax, units)}
+                  , {formatMeasure('speed', segment.windSpeed, units)} wind
+                  {segment.precipitationChance > 0 && `, ${segment.precipitationChance}% precip`}
+                  {segment.maxElevation !== null && (
+                    <span style={{ color: '#666' }}> • high point {formatMeasure('elevation', segment.maxElevation, units)}</span>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
         </div>
 
         {/* Map */}
@@ -915,7 +1361,7 @@ export default function WhatShouldIWear() {
               >
                 <TileLayer
                   attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a>'
-                  url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+                  url={TILE_URL}
                 />
                 <MapUpdater center={[locationCoords.lat, locationCoords.lon]} />
 
@@ -940,17 +1386,51 @@ export default function WhatShouldIWear() {
                         fillOpacity={0.8}
                       >
                         <Popup>
-                          <strong>Point {idx + 1}</strong><br />
+                          <strong>Point {idx + 1}{point.terrain && ` (${point.terrain})`}</strong><br />
                           {point.name || `Lat: ${point.lat.toFixed(4)}, Lon: ${point.lon.toFixed(4)}`}
                         </Popup>
                       </CircleMarker>
                     ))}
+                    {/* Position hovered on the elevation profile */}
+                    {hoveredRoutePoint && (
+                      <CircleMarker
+                        center={[hoveredRoutePoint.lat, hoveredRoutePoint.lon]}
+                        radius={10}
+                        fillColor="#ffeb3b"
+                        color="#333"
+                        weight={3}
+                        fillOpacity={1}
+                      />
+                    )}
                   </>
                 ) : (
-                  /* Single location marker for search mode */
-                  <Marker position={[locationCoords.lat, locationCoords.lon]}>
-                    <Popup>{locationCoords.name}</Popup>
-                  </Marker>
+                  routeStops.length > 1 ? (
+                    <>
+                      {/* Multi-stop route: every stop connected in order */}
+                      <FitBounds positions={routeStops.map(stop => [stop.lat, stop.lon])} />
+                      <Polyline
+                        positions={routeStops.map(stop => [stop.lat, stop.lon])}
+                        color="#667eea"
+                        weight={3}
+                        opacity={0.7}
+                        dashArray="8 8"
+                      />
+                      {routeStops.map((stop, idx) => (
+                        <Marker key={idx} position={[stop.lat, stop.lon]}>
+                          <Popup>
+                            <strong>Stop {idx + 1}</strong><br />
+                            {stop.name}<br />
+                            ETA {new Date(stop.eta).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}
+                          </Popup>
+                        </Marker>
+                      ))}
+                    </>
+                  ) : (
+                    /* Single location marker for search mode */
+                    <Marker position={[locationCoords.lat, locationCoords.lon]}>
+                      <Popup>{locationCoords.name}</Popup>
+                    </Marker>
+                  )
                 )}
               </MapContainer>
             ) : (
@@ -968,6 +1448,19 @@ export default function WhatShouldIWear() {
           </div>
         </div>
 
+        {/* Elevation Profile */}
+        {inputMethod === 'gpx' && gpxPoints.some(p => Number.isFinite(p.elevation)) && (
+          <div style={{ background: 'white', borderRadius: '20px', padding: '30px', marginBottom: '20px', boxShadow: '0 2px 10px rgba(0,0,0,0.1)' }}>
+            <h2 style={{ fontSize: '1.8rem', marginBottom: '20px', color: '#333' }}>Elevation Profile</h2>
+            <ElevationProfile
+              points={gpxPoints}
+              pointWeather={routePointWeather}
+              units={units}
+              onHoverPoint={setHoveredRoutePoint}
+            />
+          </div>
+        )}
+
         {/* Recommendations */}
         <div style={{ background: 'white', borderRadius: '20px', padding: '30px', marginBottom: '20px', boxShadow: '0 2px 10px rgba(0,0,0,0.1)' }}>
           <h2 style={{ fontSize: '1.8rem', marginBottom: '20px', color: '#333' }}>Recommended Layers</h2>
@@ -993,6 +1486,16 @@ export default function WhatShouldIWear() {
                     <div style={{ fontSize: '0.95rem', color: '#666' }}>
                       {layer.reason}
                     </div>
+                    {layer.owned === true && (
+                      <div style={{ fontSize: '0.85rem', color: '#2e7d32', marginTop: '5px' }}>
+                        ✓ From your closet (for: {layer.genericItem})
+                      </div>
+                    )}
+                    {layer.owned === false && (
+                      <div style={{ fontSize: '0.85rem', color: '#e65100', marginTop: '5px' }}>
+                        🛒 You don't own this
+                      </div>
+                    )}
                   </div>
                 </div>
               </div>
@@ -1000,6 +1503,56 @@ export default function WhatShouldIWear() {
           </div>
         </div>
 
+        {/* Post-activity report for a replayed recording */}
+        {replayMode && routePointWeather.length > 0 && (
+          <ActivityReport
+            recommendations={recommendations}
+            closet={closet}
+            pointWeather={routePointWeather}
+            units={units}
+            onSubmit={handleSubmitReport}
+          />
+        )}
+
+        {/* Layering Plan */}
+        {layeringPlan && layeringPlan.changes.length > 0 && (
+          <div style={{ background: 'white', borderRadius: '20px', padding: '30px', marginBottom: '20px', boxShadow: '0 2px 10px rgba(0,0,0,0.1)' }}>
+            <h2 style={{ fontSize: '1.8rem', marginBottom: '10px', color: '#333' }}>Layering Plan</h2>
+            <p style={{ fontSize: '0.95rem', color: '#666', marginBottom: '20px' }}>
+              Conditions change over the activity, so start in: {layeringPlan.start.map(layer => layer.item).join(', ')}
+            </p>
+            <div style={{ display: 'grid', gap: '10px', marginBottom: '20px' }}>
+              {layeringPlan.changes.map((change, index) => (
+                <div
+                  key={index}
+                  style={{
+                    display: 'flex',
+                    gap: '15px',
+                    alignItems: 'baseline',
+                    padding: '12px 15px',
+                    background: '#f5f5f5',
+                    borderLeft: `4px solid ${change.action === 'remove' ? '#ff6b6b' : '#3b82f6'}`,
+                    borderRadius: '8px'
+                  }}
+                >
+                  <strong style={{ minWidth: '90px', color: '#333' }}>
+                    ~{new Date(change.time).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}
+                  </strong>
+                  <span style={{ color: '#333' }}>
+                    {change.action === 'remove' ? 'Shed' : 'Put on'} {change.layer.item}
+                  </span>
+                  <span style={{ fontSize: '0.9rem', color: '#666' }}>feels like {formatMeasure('temperature', change.feltTemp, units)}</span>
+                </div>
+              ))}
+            </div>
+            {layeringPlan.packable.length > 0 && (
+              <p style={{ fontSize: '0.95rem', color: '#666' }}>
+                🎒 Needs to be packable: <strong>{layeringPlan.packable.map(layer => layer.item).join(', ')}</strong>
+              </p>
+            )}
+          </div>
+        )}
+
         {/* Action Buttons */}
         <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '15px', marginBottom: '20px' }}>
           <button
@@ -0,0 +1,230 @@
+import React, { useState, useRef } from 'react'
+import './ActivityManager.css'
+import { exportActivities, importActivities, validateActivity } from '../../../shared/activityCatalog.js'
+import { toDisplay, fromDisplay, unitLabel } from '../../../shared/units.js'
+import { slugify } from '../utils/customActivities'
+
+// Rule thresholds are stored in °F and mph and edited in the preferred units; convert
+// is toDisplay or fromDisplay. Shown to the hundredth and stored to the tenth, so a
+// threshold that isn't edited reads back exactly as it was. Anything that isn't a number
+// is left for validation to catch.
+const convertThreshold = (convert, kind, value, units) => {
+  if (!Number.isFinite(value)) return value
+  const scale = convert === toDisplay ? 100 : 10
+  return Math.round(convert(kind, value, units) * scale) / scale
+}
+
+const convertCondition = (when, convert, units) => {
+  if (!when || typeof when !== 'object' || Array.isArray(when)) return when
+  const converted = { ...when }
+  if ('windAbove' in when) {
+    converted.windAbove = convertThreshold(convert, 'speed', when.windAbove, units)
+  }
+  if (Array.isArray(when.any)) {
+    converted.any = when.any.map(inner => convertCondition(inner, convert, units))
+  }
+  return converted
+}
+
+const convertRules = (rules, convert, units) => ({
+  ...rules,
+  temperatureBands: Array.isArray(rules.temperatureBands)
+    ? rules.temperatureBands.map(band => band && typeof band === 'object' && 'below' in band
+      ? { ...band, below: convertThreshold(convert, 'temperature', band.below, units) }
+      : band)
+    : rules.temperatureBands,
+  modifiers: Array.isArray(rules.modifiers)
+    ? rules.modifiers.map(modifier => modifier && typeof modifier === 'object'
+      ? { ...modifier, when: convertCondition(modifier.when, convert, units) }
+      : modifier)
+    : rules.modifiers
+})
+
+// Only the rules are edited as JSON; name, icon and speed have their own fields
+const rulesOf = (activity, units) => JSON.stringify(convertRules({
+  temperatureBands: activity.temperatureBands,
+  modifiers: activity.modifiers || [],
+  alwaysInclude: activity.alwaysInclude || []
+}, toDisplay, units), null, 2)
+
+// Speeds are stored in km/h and edited in the preferred distance unit
+const speedField = (speedKmh, units) => Math.round(toDisplay('activitySpeed', speedKmh, units) * 10) / 10
+
+const emptyDraft = (template, units) => ({
+  id: null,
+  name: '',
+  icon: '🏷️',
+  speed: speedField(template?.speed || 10, units),
+  rules: template ? rulesOf(template, units) : ''
+})
+
+function ActivityManager({ activities, customActivities, units, onSave, onDelete, onImport }) {
+  const [draft, setDraft] = useState(null)
+  const [error, setError] = useState(null)
+  const importInput = useRef(null)
+
+  const startNew = () => {
+    setError(null)
+    setDraft(emptyDraft(activities[0], units))
+  }
+
+  const startEdit = (activity) => {
+    setError(null)
+    setDraft({ id: activity.id, name: activity.name, icon: activity.icon, speed: speedField(activity.speed, units), rules: rulesOf(activity, units) })
+  }
+
+  const handleTemplateChange = (id) => {
+    const template = activities.find(a => a.id === id)
+    if (template) {
+      setDraft({ ...draft, speed: speedField(template.speed, units), rules: rulesOf(template, units) })
+    }
+  }
+
+  const handleSave = async () => {
+    let rules
+    try {
+      rules = JSON.parse(draft.rules)
+      if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+        throw new Error('expected an object')
+      }
+    } catch (parseError) {
+      setError(`Rules are not valid JSON: ${parseError.message}`)
+      return
+    }
+
+    const activity = {
+      id: draft.id || slugify(draft.name),
+      name: draft.name.trim(),
+      icon: draft.icon.trim() || '🏷️',
+      speed: fromDisplay('activitySpeed', Number(draft.speed), units),
+      ...convertRules(rules, fromDisplay, units)
+    }
+    const problems = validateActivity(activity)
+    if (problems.length) {
+      setError(problems.join('; '))
+      return
+    }
+
+    try {
+      await onSave(activity)
+      setDraft(null)
+      setError(null)
+    } catch (saveError) {
+      setError(saveError.message)
+    }
+  }
+
+  const handleExport = () => {
+    const blob = new Blob([exportActivities(activities)], { type: 'application/json' })
+    const url = URL.createObjectURL(blob)
+    const link = document.createElement('a')
+    link.href = url
+    link.download = 'activities.json'
+    link.click()
+    URL.revokeObjectURL(url)
+  }
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0]
+    e.target.value = ''
+    if (!file) return
+
+    try {
+      const imported = importActivities(await file.text())
+      await onImport(imported)
+      setError(null)
+      alert(`Imported ${imported.length} ${imported.length === 1 ? 'activity' : 'activities'}`)
+    } catch (importError) {
+      setError(importError.message)
+    }
+  }
+
+  return (
+    <div className="activity-manager">
+      <div className="activity-manager-actions">
+        <button onClick={startNew}>+ New Activity</button>
+        <button onClick={() => importInput.current.click()}>Import JSON</button>
+        <button onClick={handleExport}>Export JSON</button>
+        <input
+          ref={importInput}
+          type="file"
+          accept=".json,application/json"
+          onChange={handleImport}
+          style={{ display: 'none' }}
+        />
+      </div>
+
+      {error && <div className="activity-manager-error">{error}</div>}
+
+      {customActivities.length > 0 && (
+        <ul className="custom-activity-list">
+          {customActivities.map(activity => (
+            <li key={activity.id}>
+              <span>{activity.icon} {activity.name}</span>
+              <button onClick={() => startEdit(activity)}>Edit</button>
+              <button onClick={() => onDelete(activity)}>Delete</button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {draft && (
+        <div className="activity-form">
+          <div className="activity-form-row">
+            <label>
+              Name
+              <input
+                type="text"
+                value={draft.name}
+                placeholder="e.g. Trail Running"
+                onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+              />
+            </label>
+            <label className="activity-form-icon">
+              Icon
+              <input
+                type="text"
+                value={draft.icon}
+                onChange={(e) => setDraft({ ...draft, icon: e.target.value })}
+              />
+            </label>
+            <label className="activity-form-speed">
+              Speed ({unitLabel('activitySpeed', units)})
+              <input
+                type="number"
+                min="1"
+                value={draft.speed}
+                onChange={(e) => setDraft({ ...draft, speed: e.target.value })}
+              />
+            </label>
+          </div>
+          {!draft.id && (
+            <label>
+              Start from the rules of
+              <select defaultValue={activities[0]?.id} onChange={(e) => handleTemplateChange(e.target.value)}>
+                {activities.map(a => (
+                  <option key={a.id} value={a.id}>{a.icon} {a.name}</option>
+                ))}
+              </select>
+            </label>
+          )}
+          <label>
+            Rules (felt temperatures in {unitLabel('temperature', units)}, wind in {unitLabel('speed', units)}): temperature bands, weather modifiers and always-included gear
+            <textarea
+              value={draft.rules}
+              rows={16}
+              spellCheck={false}
+              onChange={(e) => setDraft({ ...draft, rules: e.target.value })}
+            />
+          </label>
+          <div className="activity-manager-actions">
+            <button className="primary" onClick={handleSave}>Save Activity</button>
+            <button onClick={() => { setDraft(null); setError(null) }}>Cancel</button>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default ActivityManager
@@ -0,0 +1,134 @@
+import React, { useState } from 'react'
+import './ActivityReport.css'
+import { compareOutfit } from '../../../shared/activityReport.js'
+import { formatMeasure, formatMeasureRange } from '../../../shared/units.js'
+
+const COMFORT_CHOICES = [
+  { id: 'too-cold', label: '❄️ Too cold' },
+  { id: 'just-right', label: '✅ Just right' },
+  { id: 'too-hot', label: '🔥 Too hot' }
+]
+
+// Post-activity report for a replayed recording: log what was worn and how it felt, then
+// compare it with what the actual weather called for
+function ActivityReport({ recommendations, closet, pointWeather, units, onSubmit }) {
+  const [worn, setWorn] = useState([])
+  const [otherItem, setOtherItem] = useState('')
+  const [comfort, setComfort] = useState(null)
+  const [report, setReport] = useState(null)
+  const [error, setError] = useState(null)
+
+  const recommendedItems = recommendations.map(layer => layer.item)
+  const closetItems = closet.map(item => item.name).filter(name => !recommendedItems.includes(name))
+  const otherWorn = worn.filter(name => !recommendedItems.includes(name) && !closetItems.includes(name))
+
+  const temperatures = pointWeather.map(w => w.temperature).filter(Number.isFinite)
+  const winds = pointWeather.map(w => w.windSpeed).filter(Number.isFinite)
+
+  const toggleWorn = (name) => {
+    setWorn(worn.includes(name) ? worn.filter(n => n !== name) : [...worn, name])
+  }
+
+  const addOtherItem = () => {
+    const name = otherItem.trim()
+    if (name && !worn.includes(name)) {
+      setWorn([...worn, name])
+    }
+    setOtherItem('')
+  }
+
+  const handleSubmit = async () => {
+    const comparison = compareOutfit(recommendations, worn, comfort)
+    try {
+      await onSubmit({ worn, comfort, comparison })
+      setReport(comparison)
+      setError(null)
+    } catch (submitError) {
+      setError('Failed to save your report')
+    }
+  }
+
+  const renderCheck = (name) => (
+    <label key={name} className="worn-item">
+      <input type="checkbox" checked={worn.includes(name)} onChange={() => toggleWorn(name)} disabled={Boolean(report)} />
+      {name}
+    </label>
+  )
+
+  return (
+    <div className="activity-report">
+      <h2>Post-Activity Report</h2>
+      {temperatures.length > 0 && (
+        <p className="report-conditions">
+          Along your recording it was {formatMeasureRange('temperature', Math.min(...temperatures), Math.max(...temperatures), units)}
+          {winds.length > 0 && ` with wind up to ${formatMeasure('speed', Math.max(...winds), units)}`}.
+        </p>
+      )}
+
+      <div className="report-section">
+        <h3>What did you wear?</h3>
+        <div className="worn-list">
+          {recommendedItems.map(renderCheck)}
+        </div>
+        {closetItems.length > 0 && (
+          <>
+            <div className="worn-subheading">Also from your closet</div>
+            <div className="worn-list">
+              {closetItems.map(renderCheck)}
+            </div>
+          </>
+        )}
+        {otherWorn.length > 0 && (
+          <div className="worn-list">
+            {otherWorn.map(renderCheck)}
+          </div>
+        )}
+        {!report && (
+          <div className="other-item">
+            <input
+              type="text"
+              placeholder="Something else you wore"
+              value={otherItem}
+              onChange={(e) => setOtherItem(e.target.value)}
+              onKeyDown={(e) => e.key === 'Enter' && addOtherItem()}
+            />
+            <button onClick={addOtherItem}>Add</button>
+          </div>
+        )}
+      </div>
+
+      <div className="report-section">
+        <h3>How did it feel?</h3>
+        <div className="comfort-choices">
+          {COMFORT_CHOICES.map(choice => (
+            <button
+              key={choice.id}
+              className={comfort === choice.id ? 'active' : ''}
+              onClick={() => setComfort(choice.id)}
+              disabled={Boolean(report)}
+            >
+              {choice.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {error && <div className="report-error">{error}</div>}
+
+      {report ? (
+        <div className="report-result">
+          <p className="report-verdict">{report.verdict}</p>
+          {report.matched.length > 0 && <p>✓ Worn as recommended: {report.matched.join(', ')}</p>}
+          {report.skipped.length > 0 && <p>✗ Recommended but not worn: {report.skipped.join(', ')}</p>}
+          {report.extra.length > 0 && <p>＋ Worn beyond the recommendation: {report.extra.join(', ')}</p>}
+        </div>
+      ) : (
+        <button className="report-submit" onClick={handleSubmit} disabled={!comfort}>
+          Compare and save
+        </button>
+      )}
+    </div>
+  )
+}
+
+export default ActivityReport
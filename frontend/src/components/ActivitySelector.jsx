@@ -1,21 +1,14 @@
 import React from 'react'
 import './ActivitySelector.css'
+import { ACTIVITIES } from '../../../shared/recommendations.js'
 
-const ACTIVITIES = [
-  { id: 'run', name: 'Run', icon: '🏃' },
-  { id: 'mountain-bike', name: 'Mountain Bike', icon: '🚵' },
-  { id: 'road-bike', name: 'Road Bike', icon: '🚴' },
-  { id: 'downhill-ski', name: 'Downhill Ski', icon: '⛷️' },
-  { id: 'backcountry-ski', name: 'Backcountry Ski', icon: '🎿' },
-  { id: 'nordic-ski', name: 'Nordic Ski', icon: '⛷️' }
-]
-
-function ActivitySelector({ selectedActivity, onSelectActivity }) {
+// activities defaults to the built-in catalog; pass the merged list to include user-defined ones
+function ActivitySelector({ selectedActivity, onSelectActivity, activities = ACTIVITIES }) {
   return (
     <div className="activity-selector">
       <h2>Select Your Activity</h2>
       <div className="activity-grid">
-        {ACTIVITIES.map(activity => (
+        {activities.map(activity => (
           <button
             key={activity.id}
             className={`activity-card ${selectedActivity === activity.id ? 'selected' : ''}`}
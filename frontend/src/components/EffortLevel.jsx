@@ -1,12 +1,6 @@
 import React from 'react'
 import './EffortLevel.css'
-
-const EFFORT_LEVELS = [
-  { id: 'easy', name: 'Easy', description: 'Conversational pace' },
-  { id: 'endurance', name: 'Endurance', description: 'Steady, sustained effort' },
-  { id: 'tempo', name: 'Tempo', description: 'Comfortably hard' },
-  { id: 'all-out', name: 'All Out', description: 'Maximum effort' }
-]
+import { EFFORT_LEVELS } from '../../../shared/recommendations.js'
 
 function EffortLevel({ selectedEffort, onSelectEffort }) {
   return (
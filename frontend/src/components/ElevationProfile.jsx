@@ -0,0 +1,118 @@
+import React, { useState } from 'react'
+import { ComposedChart, Area, XAxis, YAxis, CartesianGrid, Tooltip, ReferenceArea, ResponsiveContainer } from 'recharts'
+import './ElevationProfile.css'
+import { toDisplay, formatMeasure, unitLabel } from '../../../shared/units.js'
+
+// Long tracks are thinned so the chart stays responsive
+const MAX_PROFILE_POINTS = 300
+
+// Ranges are in the internal units (°F, mph), so colors don't shift with the display units
+const OVERLAYS = [
+  { id: 'temperature', name: 'Temperature', kind: 'temperature', range: [0, 80], colors: ['#3b82f6', '#ff6b6b'] },
+  { id: 'windSpeed', name: 'Wind', kind: 'speed', range: [0, 30], colors: ['#e0f2f1', '#00796b'] },
+  { id: 'precipitationChance', name: 'Precipitation', range: [0, 100], colors: ['#e3f2fd', '#1565c0'] }
+]
+
+const hexToRgb = (hex) => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16))
+
+// Blend between the overlay's two colors according to where the value sits in its range
+const overlayColor = (overlay, value) => {
+  const [min, max] = overlay.range
+  const t = Math.min(1, Math.max(0, (value - min) / (max - min)))
+  const [from, to] = overlay.colors.map(hexToRgb)
+  const rgb = from.map((c, i) => Math.round(c + (to[i] - c) * t))
+  return `rgb(${rgb.join(',')})`
+}
+
+function ElevationProfile({ points, pointWeather, units, onHoverPoint }) {
+  const [overlayId, setOverlayId] = useState('temperature')
+  const overlay = OVERLAYS.find(o => o.id === overlayId)
+
+  const step = Math.max(1, Math.ceil(points.length / MAX_PROFILE_POINTS))
+  const profile = points.filter((p, i) => Number.isFinite(p.elevation) && (i % step === 0 || i === points.length - 1))
+
+  if (profile.length < 2) {
+    return null
+  }
+
+  // Charted in the preferred units; hover still reports the original point
+  const distanceOf = (km) => toDisplay('distance', km, units)
+  const chartPoints = profile.map(p => ({ distance: distanceOf(p.distance), elevation: toDisplay('elevation', p.elevation, units) }))
+  const totalDistance = chartPoints[chartPoints.length - 1].distance
+  const distanceUnit = unitLabel('distance', units)
+
+  // Each sampled point shades the stretch halfway to its neighbours
+  const stretches = pointWeather.map((point, i) => ({
+    x1: i === 0 ? 0 : distanceOf((pointWeather[i - 1].distance + point.distance) / 2),
+    x2: i === pointWeather.length - 1 ? totalDistance : distanceOf((point.distance + pointWeather[i + 1].distance) / 2),
+    value: point[overlayId]
+  }))
+
+  const formatOverlay = (value) => overlay.kind ? formatMeasure(overlay.kind, value, units) : `${value}%`
+
+  const handleMouseMove = (state) => {
+    const index = Number(state?.activeTooltipIndex)
+    onHoverPoint(state?.isTooltipActive && Number.isInteger(index) ? profile[index] : null)
+  }
+
+  return (
+    <div className="elevation-profile">
+      <div className="overlay-toggle">
+        {OVERLAYS.map(o => (
+          <button
+            key={o.id}
+            className={overlayId === o.id ? 'active' : ''}
+            onClick={() => setOverlayId(o.id)}
+          >
+            {o.name}
+          </button>
+        ))}
+      </div>
+
+      <ResponsiveContainer width="100%" height={250}>
+        <ComposedChart data={chartPoints} onMouseMove={handleMouseMove} onMouseLeave={() => onHoverPoint(null)}>
+          <CartesianGrid strokeDasharray="3 3" />
+          {stretches.map((stretch, idx) => (
+            <ReferenceArea
+              key={idx}
+              x1={stretch.x1}
+              x2={stretch.x2}
+              fill={overlayColor(overlay, stretch.value)}
+              fillOpacity={0.45}
+              ifOverflow="extendDomain"
+            />
+          ))}
+          <XAxis
+            dataKey="distance"
+            type="number"
+            domain={[0, totalDistance]}
+            tickFormatter={(distance) => distance.toFixed(0)}
+            label={{ value: `Distance (${distanceUnit})`, position: 'insideBottom', offset: -5 }}
+          />
+          <YAxis
+            dataKey="elevation"
+            domain={['dataMin - 50', 'dataMax + 50']}
+            tickFormatter={(elevation) => Math.round(elevation)}
+            label={{ value: `Elevation (${unitLabel('elevation', units)})`, angle: -90, position: 'insideLeft' }}
+          />
+          <Tooltip
+            labelFormatter={(distance) => `${distanceUnit} ${Number(distance).toFixed(1)}`}
+            formatter={(value) => [`${Math.round(value)} ${unitLabel('elevation', units)}`, 'Elevation']}
+          />
+          <Area type="monotone" dataKey="elevation" stroke="#667eea" fill="#667eea" fillOpacity={0.25} isAnimationActive={false} />
+        </ComposedChart>
+      </ResponsiveContainer>
+
+      <div className="overlay-legend">
+        {pointWeather.map((point, idx) => (
+          <span key={idx} className="overlay-legend-item">
+            <span className="overlay-swatch" style={{ background: overlayColor(overlay, point[overlayId]) }} />
+            {distanceUnit} {distanceOf(point.distance).toFixed(0)}: {formatOverlay(point[overlayId])}
+          </span>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+export default ElevationProfile
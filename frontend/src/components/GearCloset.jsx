@@ -0,0 +1,155 @@
+import React, { useState } from 'react'
+import './GearCloset.css'
+import { LAYER_TYPES, SLOTS } from '../../../shared/activityCatalog.js'
+import { validateGearItem } from '../../../shared/gearCloset.js'
+
+const WARMTH_LABELS = ['', 'Hot weather', 'Mild', 'Cool', 'Cold', 'Deep cold']
+
+const emptyItem = () => ({
+  id: null,
+  name: '',
+  type: 'Base Layer',
+  slot: 'torso',
+  warmth: 3,
+  windproof: false,
+  waterproof: false,
+  activities: []
+})
+
+function GearCloset({ closet, activities, onSave, onDelete }) {
+  const [draft, setDraft] = useState(null)
+  const [error, setError] = useState(null)
+
+  const toggleActivity = (id) => {
+    const selected = draft.activities.includes(id)
+      ? draft.activities.filter(a => a !== id)
+      : [...draft.activities, id]
+    setDraft({ ...draft, activities: selected })
+  }
+
+  const handleSave = async () => {
+    const item = { ...draft, id: draft.id || Date.now().toString(), name: draft.name.trim() }
+    const problems = validateGearItem(item)
+    if (problems.length) {
+      setError(problems.join('; '))
+      return
+    }
+
+    try {
+      await onSave(item)
+      setDraft(null)
+      setError(null)
+    } catch (saveError) {
+      setError(saveError.message)
+    }
+  }
+
+  // Group the closet by body area, in SLOTS order
+  const groups = SLOTS
+    .map(slot => ({ slot, items: closet.filter(item => item.slot === slot.id) }))
+    .filter(group => group.items.length > 0)
+
+  return (
+    <div className="gear-closet">
+      {groups.map(({ slot, items }) => (
+        <div key={slot.id} className="gear-group">
+          <h3>{slot.name}</h3>
+          <ul>
+            {items.map(item => (
+              <li key={item.id}>
+                <div className="gear-item-details">
+                  <span className="gear-item-name">{item.name}</span>
+                  <span className="gear-item-meta">
+                    {item.type} • {WARMTH_LABELS[item.warmth]}
+                    {item.windproof && ' • Windproof'}
+                    {item.waterproof && ' • Waterproof'}
+                    {item.activities.length > 0 && ` • ${item.activities.map(id => activities.find(a => a.id === id)?.name || id).join(', ')}`}
+                  </span>
+                </div>
+                <button onClick={() => { setError(null); setDraft({ ...item }) }}>Edit</button>
+                <button onClick={() => onDelete(item)}>Delete</button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      ))}
+
+      {!draft && (
+        <button onClick={() => { setError(null); setDraft(emptyItem()) }}>+ Add Gear</button>
+      )}
+
+      {error && <div className="gear-closet-error">{error}</div>}
+
+      {draft && (
+        <div className="gear-form">
+          <label>
+            Name
+            <input
+              type="text"
+              value={draft.name}
+              placeholder="e.g. Rapha Pro Team winter jacket"
+              onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+            />
+          </label>
+          <div className="gear-form-row">
+            <label>
+              Layer
+              <select value={draft.type} onChange={(e) => setDraft({ ...draft, type: e.target.value })}>
+                {LAYER_TYPES.map(type => <option key={type} value={type}>{type}</option>)}
+              </select>
+            </label>
+            <label>
+              Body area
+              <select value={draft.slot} onChange={(e) => setDraft({ ...draft, slot: e.target.value })}>
+                {SLOTS.map(slot => <option key={slot.id} value={slot.id}>{slot.name}</option>)}
+              </select>
+            </label>
+            <label>
+              Warmth
+              <select value={draft.warmth} onChange={(e) => setDraft({ ...draft, warmth: Number(e.target.value) })}>
+                {[1, 2, 3, 4, 5].map(w => <option key={w} value={w}>{w} - {WARMTH_LABELS[w]}</option>)}
+              </select>
+            </label>
+          </div>
+          <div className="gear-form-row">
+            <label className="gear-checkbox">
+              <input
+                type="checkbox"
+                checked={draft.windproof}
+                onChange={(e) => setDraft({ ...draft, windproof: e.target.checked })}
+              />
+              Windproof
+            </label>
+            <label className="gear-checkbox">
+              <input
+                type="checkbox"
+                checked={draft.waterproof}
+                onChange={(e) => setDraft({ ...draft, waterproof: e.target.checked })}
+              />
+              Waterproof
+            </label>
+          </div>
+          <div className="gear-form-activities">
+            <span>Suits (leave empty for any activity)</span>
+            {activities.map(activity => (
+              <label key={activity.id} className="gear-checkbox">
+                <input
+                  type="checkbox"
+                  checked={draft.activities.includes(activity.id)}
+                  onChange={() => toggleActivity(activity.id)}
+                />
+                {activity.icon} {activity.name}
+              </label>
+            ))}
+          </div>
+          <div className="gear-form-actions">
+            <button className="primary" onClick={handleSave}>Save Gear</button>
+            <button onClick={() => { setDraft(null); setError(null) }}>Cancel</button>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default GearCloset
@@ -1,33 +1,86 @@
-import React, { useState } from 'react'
+import React, { useState, useRef } from 'react'
 import './RouteInput.css'
-import { parseGPXFile } from '../utils/gpxParser'
+import { importRouteFile, SUPPORTED_EXTENSIONS } from '../utils/routeImporter'
+import { searchLocations } from '../utils/geocoding'
+import { recordedWindow } from '../utils/routeTimeline'
+import { toDateTimeInput } from '../utils/savedRoutes'
 
-function RouteInput({ onRouteChange }) {
-  const [inputMethod, setInputMethod] = useState('search')
-  const [locations, setLocations] = useState([''])
-  const [startTime, setStartTime] = useState('')
+// initialRoute seeds the form (e.g. from a saved route or when coming back from the
+// results); it is only read on mount, so give the component a new key to reload it
+function RouteInput({ onRouteChange, initialRoute = {} }) {
+  const [inputMethod, setInputMethod] = useState(initialRoute.inputMethod || 'search')
+  const [locations, setLocations] = useState(initialRoute.locations?.length ? initialRoute.locations : [''])
+  // Coordinates for each stop, set when a suggestion is picked (null while typing)
+  const [locationCoords, setLocationCoords] = useState(
+    () => locations.map((_, i) => initialRoute.locationCoords?.[i] || null)
+  )
+  const [locationSuggestions, setLocationSuggestions] = useState([])
+  const [activeInputIndex, setActiveInputIndex] = useState(null)
+  const searchTimeout = useRef(null)
+  const [startTime, setStartTime] = useState(initialRoute.startTime || '')
+  // A restored route has its points but not the original File
   const [gpxFile, setGpxFile] = useState(null)
-  const [gpxData, setGpxData] = useState(null) // Store parsed GPX data
+  const [gpxData, setGpxData] = useState( // Store parsed GPX data
+    initialRoute.gpxPoints?.length ? { points: initialRoute.gpxPoints, metadata: initialRoute.gpxMetadata } : null
+  )
   const [isParsingGPX, setIsParsingGPX] = useState(false)
   const [gpxError, setGpxError] = useState(null)
+  // Replay a recorded activity at its own timestamps instead of planning a new outing
+  const [replay, setReplay] = useState(Boolean(initialRoute.replay))
+  const recording = gpxData ? recordedWindow(gpxData.points) : null
+  const canReplay = Boolean(recording) && recording.start < new Date()
 
   const handleAddLocation = () => {
     if (locations.length < 3) {
       setLocations([...locations, ''])
+      setLocationCoords([...locationCoords, null])
     }
   }
 
   const handleLocationChange = (index, value) => {
     const newLocations = [...locations]
     newLocations[index] = value
+    const newCoords = [...locationCoords]
+    newCoords[index] = null
+    setLocations(newLocations)
+    setLocationCoords(newCoords)
+    setActiveInputIndex(index)
+    onRouteChange({ locations: newLocations, locationCoords: newCoords, startTime, gpxFile })
+
+    // Debounce the suggestion search
+    clearTimeout(searchTimeout.current)
+    searchTimeout.current = setTimeout(async () => {
+      if (value.length < 2) {
+        setLocationSuggestions([])
+        return
+      }
+      try {
+        setLocationSuggestions(await searchLocations(value))
+      } catch (error) {
+        console.error('Location search error:', error)
+        setLocationSuggestions([])
+      }
+    }, 300)
+  }
+
+  const selectLocationSuggestion = (index, suggestion) => {
+    const newLocations = [...locations]
+    newLocations[index] = suggestion.displayName
+    const newCoords = [...locationCoords]
+    newCoords[index] = { lat: suggestion.lat, lon: suggestion.lon, name: suggestion.displayName }
     setLocations(newLocations)
-    onRouteChange({ locations: newLocations, startTime, gpxFile })
+    setLocationCoords(newCoords)
+    setLocationSuggestions([])
+    setActiveInputIndex(null)
+    onRouteChange({ locations: newLocations, locationCoords: newCoords, startTime, gpxFile })
   }
 
   const handleRemoveLocation = (index) => {
     const newLocations = locations.filter((_, i) => i !== index)
+    const newCoords = locationCoords.filter((_, i) => i !== index)
     setLocations(newLocations)
-    onRouteChange({ locations: newLocations, startTime, gpxFile })
+    setLocationCoords(newCoords)
+    onRouteChange({ locations: newLocations, locationCoords: newCoords, startTime, gpxFile })
   }
 
   const handleFileUpload = async (e) => {
@@ -36,7 +89,7 @@ function RouteInput({ onRouteChange }) {
 
     // File size check (5MB limit)
     if (file.size > 5 * 1024 * 1024) {
-      setGpxError('File too large. Please upload a GPX file smaller than 5MB.')
+      setGpxError('File too large. Please upload a route file smaller than 5MB.')
       setGpxFile(null)
       return
     }
@@ -45,12 +98,13 @@ function RouteInput({ onRouteChange }) {
     setGpxError(null)
 
     try {
-      const { points, metadata } = await parseGPXFile(file)
+      const { points, metadata } = await importRouteFile(file)
       setGpxFile(file)
 
       // Store parsed GPX data in state
       const parsedData = { points, metadata }
       setGpxData(parsedData)
+      setReplay(false)
 
       onRouteChange({
         locations,
@@ -64,7 +118,7 @@ function RouteInput({ onRouteChange }) {
       setGpxError(error.message)
       setGpxFile(null)
       setGpxData(null)
-      onRouteChange({ locations, startTime, gpxFile: null, inputMethod: 'search' })
+      onRouteChange({ locations, locationCoords, startTime, gpxFile: null, inputMethod: 'search' })
     } finally {
       setIsParsingGPX(false)
     }
@@ -76,6 +130,7 @@ function RouteInput({ onRouteChange }) {
     // Include GPX data if in GPX mode
     const changeData = {
       locations,
+      locationCoords,
       startTime: e.target.value,
       gpxFile,
       inputMethod
@@ -89,9 +144,27 @@ function RouteInput({ onRouteChange }) {
     onRouteChange(changeData)
   }
 
+  const handleReplayChange = (enabled) => {
+    setReplay(enabled)
+    // A replay starts when the recording did
+    const newStartTime = enabled ? toDateTimeInput(recording.start) : startTime
+    setStartTime(newStartTime)
+    onRouteChange({
+      locations,
+      locationCoords,
+      startTime: newStartTime,
+      gpxFile,
+      gpxPoints: gpxData.points,
+      gpxMetadata: gpxData.metadata,
+      inputMethod: 'gpx',
+      replay: enabled
+    })
+  }
+
   const handleInputMethodChange = (method) => {
     setInputMethod(method)
     setGpxError(null)
+    setReplay(false)
 
     // Clear GPX data when switching to search mode
     if (method === 'search') {
@@ -101,6 +174,7 @@ function RouteInput({ onRouteChange }) {
 
     const changeData = {
       locations,
+      locationCoords,
       startTime,
       gpxFile: method === 'gpx' ? gpxFile : null,
       inputMethod: method
@@ -130,7 +204,7 @@ function RouteInput({ onRouteChange }) {
           className={inputMethod === 'gpx' ? 'active' : ''}
           onClick={() => handleInputMethodChange('gpx')}
         >
-          Upload GPX
+          Upload Route File
         </button>
       </div>
 
@@ -138,13 +212,26 @@ function RouteInput({ onRouteChange }) {
         <div className="location-search">
           {locations.map((location, index) => (
             <div key={index} className="location-input-group">
-              <input
-                type="text"
-                placeholder={`Location ${index + 1}`}
-                value={location}
-                onChange={(e) => handleLocationChange(index, e.target.value)}
-                className="location-input"
-              />
+              <div className="location-input-wrapper">
+                <input
+                  type="text"
+                  placeholder={index === 0 ? 'Start location' : `Stop ${index + 1}`}
+                  value={location}
+                  onChange={(e) => handleLocationChange(index, e.target.value)}
+                  className="location-input"
+                />
+                {activeInputIndex === index && locationSuggestions.length > 0 && (
+                  <ul className="location-suggestions">
+                    {locationSuggestions.map(suggestion => (
+                      <li key={`${suggestion.lat},${suggestion.lon}`}>
+                        <button onClick={() => selectLocationSuggestion(index, suggestion)}>
+                          {suggestion.displayName}
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
               {locations.length > 1 && (
                 <button 
                   onClick={() => handleRemoveLocation(index)}
@@ -157,7 +244,7 @@ function RouteInput({ onRouteChange }) {
           ))}
           {locations.length < 3 && (
             <button onClick={handleAddLocation} className="add-location-btn">
-              + Add Location (max 3)
+              + Add Stop (max 3)
             </button>
           )}
         </div>
@@ -177,16 +264,29 @@ function RouteInput({ onRouteChange }) {
             </div>
           )}
           <label htmlFor="gpx-file" className="gpx-label">
-            {isParsingGPX ? '⏳ Parsing GPX file...' : gpxFile ? `📁 ${gpxFile.name}` : '📁 Choose GPX File'}
+            {isParsingGPX ? '⏳ Reading route file...' : gpxData ? `📁 ${gpxFile?.name || gpxData.metadata.name} (${gpxData.metadata.format})` : '📁 Choose Route File (GPX, TCX, FIT, KML, GeoJSON)'}
           </label>
           <input
             id="gpx-file"
             type="file"
-            accept=".gpx"
+            accept={SUPPORTED_EXTENSIONS.join(',')}
             onChange={handleFileUpload}
             className="gpx-input"
             disabled={isParsingGPX}
           />
+          {canReplay && (
+            <label className="replay-toggle">
+              <input
+                type="checkbox"
+                checked={replay}
+                onChange={(e) => handleReplayChange(e.target.checked)}
+              />
+              <span>
+                🔁 Replay this recording against the weather it actually had
+                ({recording.start.toLocaleString([], { weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })})
+              </span>
+            </label>
+          )}
         </div>
       )}
 
@@ -198,6 +298,7 @@ function RouteInput({ onRouteChange }) {
           value={startTime}
           onChange={handleStartTimeChange}
           className="time-input"
+          disabled={replay}
         />
       </div>
     </div>
@@ -0,0 +1,253 @@
+import React, { useState } from 'react'
+import './TripPlanner.css'
+import { EFFORT_LEVELS } from '../../../shared/recommendations.js'
+import { validateTrip, MAX_LEGS, MAX_LEG_HOURS } from '../../../shared/tripPlanner.js'
+import { describeWeatherError } from '../../../shared/weatherErrors.js'
+import { formatMeasure } from '../../../shared/units.js'
+import { nextWeekdayAt, toDateTimeInput } from '../utils/savedRoutes'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const formatStart = (startTime) => new Date(startTime).toLocaleString([], {
+  weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit'
+})
+
+// A new leg picks up where the last one left off: same place and activity, a day later
+const nextLeg = (previous, activities) => ({
+  id: Date.now().toString(),
+  activity: previous?.activity || activities[0]?.id || '',
+  effort: previous?.effort || 'endurance',
+  location: previous?.location || '',
+  startTime: previous
+    ? toDateTimeInput(new Date(new Date(previous.startTime).getTime() + DAY_MS))
+    : nextWeekdayAt(6, 7),
+  hours: previous?.hours || 5
+})
+
+const emptyTrip = (activities) => ({ id: null, name: '', legs: [nextLeg(null, activities)] })
+
+// Multi-day, multi-sport trips: edit a trip's legs, then plan it for a forecast and
+// packing list per leg. onPlan resolves to { legs, packing } (see StandAloneApp).
+function TripPlanner({ trips, activities, units, onSave, onDelete, onPlan }) {
+  const [draft, setDraft] = useState(null)
+  const [plan, setPlan] = useState(null)
+  const [isPlanning, setIsPlanning] = useState(false)
+  const [error, setError] = useState(null)
+
+  const activityName = (id) => {
+    const activity = activities.find(a => a.id === id)
+    return activity ? `${activity.icon} ${activity.name}` : id
+  }
+
+  const openTrip = (trip) => {
+    setDraft(trip)
+    setPlan(null)
+    setError(null)
+  }
+
+  const updateLeg = (index, changes) => {
+    // A changed location has to be looked up again
+    const legs = draft.legs.map((leg, i) => (i === index
+      ? { ...leg, ...changes, ...('location' in changes && { coords: null }) }
+      : leg))
+    setDraft({ ...draft, legs })
+    setPlan(null)
+  }
+
+  const addLeg = () => {
+    setDraft({ ...draft, legs: [...draft.legs, nextLeg(draft.legs[draft.legs.length - 1], activities)] })
+    setPlan(null)
+  }
+
+  const removeLeg = (index) => {
+    setDraft({ ...draft, legs: draft.legs.filter((_, i) => i !== index) })
+    setPlan(null)
+  }
+
+  const checkedDraft = () => {
+    const trip = { ...draft, id: draft.id || Date.now().toString(), name: draft.name.trim() }
+    const problems = validateTrip(trip)
+    if (problems.length) {
+      setError(problems.join('; '))
+      return null
+    }
+    return trip
+  }
+
+  const handleSave = async () => {
+    const trip = checkedDraft()
+    if (!trip) return
+    try {
+      await onSave(trip)
+      setDraft(trip)
+      setError(null)
+    } catch (saveError) {
+      setError(saveError.message)
+    }
+  }
+
+  const handlePlan = async () => {
+    const trip = checkedDraft()
+    if (!trip) return
+    setIsPlanning(true)
+    setError(null)
+    try {
+      setPlan(await onPlan(trip))
+    } catch (planError) {
+      setError(planError.code ? `${describeWeatherError(planError)}: ${planError.message}` : planError.message)
+    } finally {
+      setIsPlanning(false)
+    }
+  }
+
+  return (
+    <div className="trip-planner">
+      {!draft && (
+        <>
+          {trips.length > 0 && (
+            <ul className="trip-list">
+              {trips.map(trip => (
+                <li key={trip.id}>
+                  <button className="trip-open" onClick={() => openTrip(trip)}>
+                    <span className="trip-name">{trip.name}</span>
+                    <span className="trip-meta">
+                      {trip.legs.length} {trip.legs.length === 1 ? 'leg' : 'legs'} from {formatStart(trip.legs[0].startTime)}
+                      {' • '}{[...new Set(trip.legs.map(leg => activityName(leg.activity)))].join(', ')}
+                    </span>
+                  </button>
+                  <button onClick={() => onDelete(trip)}>Delete</button>
+                </li>
+              ))}
+            </ul>
+          )}
+          <button onClick={() => openTrip(emptyTrip(activities))}>+ New Trip</button>
+        </>
+      )}
+
+      {draft && (
+        <div className="trip-form">
+          <label>
+            Trip name
+            <input
+              type="text"
+              value={draft.name}
+              placeholder="e.g. Haute Route hut trip"
+              onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+            />
+          </label>
+
+          {draft.legs.map((leg, index) => (
+            <div key={leg.id} className="trip-leg">
+              <div className="trip-leg-title">
+                Leg {index + 1}
+                {draft.legs.length > 1 && (
+                  <button className="trip-leg-remove" onClick={() => removeLeg(index)}>✕</button>
+                )}
+              </div>
+              <div className="trip-leg-fields">
+                <label>
+                  Activity
+                  <select value={leg.activity} onChange={(e) => updateLeg(index, { activity: e.target.value })}>
+                    {activities.map(activity => (
+                      <option key={activity.id} value={activity.id}>{activity.icon} {activity.name}</option>
+                    ))}
+                  </select>
+                </label>
+                <label>
+                  Effort
+                  <select value={leg.effort} onChange={(e) => updateLeg(index, { effort: e.target.value })}>
+                    {EFFORT_LEVELS.map(effort => <option key={effort.id} value={effort.id}>{effort.name}</option>)}
+                  </select>
+                </label>
+                <label className="trip-leg-location">
+                  Location
+                  <input
+                    type="text"
+                    value={leg.location}
+                    placeholder="Trailhead, hut or town"
+                    onChange={(e) => updateLeg(index, { location: e.target.value })}
+                  />
+                </label>
+                <label>
+                  Start
+                  <input
+                    type="datetime-local"
+                    value={leg.startTime}
+                    onChange={(e) => updateLeg(index, { startTime: e.target.value })}
+                  />
+                </label>
+                <label>
+                  Hours
+                  <input
+                    type="number"
+                    min="1"
+                    max={MAX_LEG_HOURS}
+                    value={leg.hours}
+                    onChange={(e) => updateLeg(index, { hours: Number(e.target.value) })}
+                  />
+                </label>
+              </div>
+            </div>
+          ))}
+
+          {draft.legs.length < MAX_LEGS && <button onClick={addLeg}>+ Add Leg</button>}
+
+          {error && <div className="trip-planner-error">{error}</div>}
+
+          <div className="trip-form-actions">
+            <button className="primary" onClick={handlePlan} disabled={isPlanning}>
+              {isPlanning ? 'Fetching forecasts…' : 'Plan Trip'}
+            </button>
+            <button onClick={handleSave}>Save Trip</button>
+            <button onClick={() => { setDraft(null); setPlan(null); setError(null) }}>Close</button>
+          </div>
+        </div>
+      )}
+
+      {draft && plan && (
+        <div className="trip-plan">
+          {plan.legs.map((leg, index) => (
+            <div key={draft.legs[index].id} className="trip-plan-leg">
+              <h3>
+                Leg {index + 1}: {activityName(draft.legs[index].activity)} • {EFFORT_LEVELS.find(e => e.id === draft.legs[index].effort)?.name}
+              </h3>
+              <div className="trip-plan-meta">
+                {formatStart(draft.legs[index].startTime)} • {leg.coords.name}
+                {' • '}Feels like {formatMeasure('temperature', leg.conditions.feltTemp, units)}
+                {leg.conditions.hasRain && ' • Wet'}
+                {leg.conditions.sun?.dark && ' • Partly dark'}
+              </div>
+              <div className="trip-plan-items">
+                {leg.recommendations.map(layer => <span key={layer.item}>{layer.item}</span>)}
+              </div>
+            </div>
+          ))}
+
+          <div className="packing-list">
+            <h3>Packing List</h3>
+            {plan.packing.flags.map(flag => (
+              <div key={flag.condition} className="packing-flag">⚠️ {flag.message}</div>
+            ))}
+            <ul>
+              {plan.packing.items.map(entry => (
+                <li key={`${entry.item}-${entry.legs.join(',')}`}>
+                  <span className="packing-item">{entry.item}</span>
+                  <span className="packing-meta">
+                    {entry.type}
+                    {entry.owned === false && ' • not owned'}
+                    {' • '}
+                    {entry.legs.length === plan.legs.length
+                      ? 'every leg'
+                      : `${entry.legs.length === 1 ? 'leg' : 'legs'} ${entry.legs.map(i => i + 1).join(', ')}`}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default TripPlanner
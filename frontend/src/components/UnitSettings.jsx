@@ -0,0 +1,43 @@
+import React from 'react'
+import './UnitSettings.css'
+import { UNIT_CHOICES, UNIT_PRESETS } from '../../../shared/units.js'
+
+const KIND_LABELS = {
+  temperature: 'Temperature',
+  speed: 'Wind speed',
+  distance: 'Distance',
+  elevation: 'Elevation',
+  precipitation: 'Precipitation'
+}
+
+function UnitSettings({ units, onChange }) {
+  const matchesPreset = (preset) => Object.entries(preset).every(([kind, unit]) => units[kind] === unit)
+
+  return (
+    <div className="unit-settings">
+      <div className="unit-presets">
+        {Object.entries(UNIT_PRESETS).map(([name, preset]) => (
+          <button
+            key={name}
+            className={matchesPreset(preset) ? 'active' : ''}
+            onClick={() => onChange({ ...preset })}
+          >
+            {name === 'metric' ? 'Metric' : 'Imperial'}
+          </button>
+        ))}
+      </div>
+      <div className="unit-choices">
+        {Object.entries(UNIT_CHOICES).map(([kind, choices]) => (
+          <label key={kind}>
+            {KIND_LABELS[kind]}
+            <select value={units[kind]} onChange={(e) => onChange({ ...units, [kind]: e.target.value })}>
+              {choices.map(unit => <option key={unit} value={unit}>{unit}</option>)}
+            </select>
+          </label>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+export default UnitSettings
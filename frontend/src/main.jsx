@@ -2,6 +2,22 @@ import React from 'react'
 import ReactDOM from 'react-dom/client'
 import App from './App'
 import './index.css'
+import { createApiStorage } from './utils/apiStorage'
+import { createBrowserStorage } from './utils/browserStorage'
+import { registerServiceWorker } from './utils/offlineCache'
+
+// Persist through the backend when one is configured, otherwise in this browser.
+// A host page that already provides window.storage keeps its own.
+if (!window.storage) {
+  window.storage = import.meta.env.VITE_API_URL
+    ? createApiStorage(import.meta.env.VITE_API_URL)
+    : createBrowserStorage()
+}
+
+// Offline caching only in built apps; in development it would serve stale modules
+if (import.meta.env.PROD) {
+  registerServiceWorker()
+}
 
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
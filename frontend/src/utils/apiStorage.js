@@ -0,0 +1,123 @@
+import { getUserId } from './user';
+
+// Storage key prefixes and the backend resources they map to
+const RESOURCES = {
+  'route:': 'routes',
+  'feedback:': 'feedback',
+  'profile:': 'profiles',
+  'activity:': 'activities',
+  'gear:': 'gear',
+  'trip:': 'trips'
+};
+
+// Reads are mirrored in this browser so saved routes and settings still load offline
+const MIRROR_PREFIX = 'wsiw:api-mirror:';
+
+const remember = (path, body) => {
+  try {
+    localStorage.setItem(MIRROR_PREFIX + path, JSON.stringify(body));
+  } catch (error) {
+    console.warn('Could not keep an offline copy:', error);
+  }
+};
+
+const recall = (path) => {
+  const raw = localStorage.getItem(MIRROR_PREFIX + path);
+  return raw === null ? undefined : JSON.parse(raw);
+};
+
+const splitKey = (key) => {
+  const prefix = Object.keys(RESOURCES).find(p => key.startsWith(p));
+  if (!prefix) {
+    throw new Error(`Unsupported storage key: ${key}`);
+  }
+  return { prefix, resource: RESOURCES[prefix], id: key.slice(prefix.length) };
+};
+
+/**
+ * window.storage implementation backed by the backend REST API
+ * @param {string} baseUrl - API root, e.g. http://localhost:3001/api
+ * @returns {{list: Function, get: Function, set: Function, delete: Function}}
+ */
+export const createApiStorage = (baseUrl) => {
+  const root = baseUrl.replace(/\/+$/, '');
+
+  const request = async (path, options = {}) => {
+    const response = await fetch(`${root}/${path}`, {
+      ...options,
+      headers: {
+        'Content-Type': 'application/json',
+        'X-User-Id': getUserId(),
+        ...options.headers
+      }
+    });
+    if (response.status === 404) return null;
+    if (response.status === 204) return {};
+
+    const body = await response.json();
+    if (!response.ok) {
+      throw new Error(body.error || `Storage request failed (${response.status})`);
+    }
+    return body;
+  };
+
+  // GET through the mirror: fresh answers are kept, and stand in when the network is down
+  const read = async (path) => {
+    try {
+      const body = await request(path);
+      remember(path, body);
+      return body;
+    } catch (error) {
+      // fetch rejects with a TypeError when there's no connection; server errors still throw
+      const mirrored = error instanceof TypeError ? recall(path) : undefined;
+      if (mirrored === undefined) {
+        throw error;
+      }
+      return mirrored;
+    }
+  };
+
+  return {
+    /**
+     * List keys under a prefix, e.g. 'route:'
+     * @returns {Promise<{keys: Array<string>}>}
+     */
+    list: async (prefix) => {
+      const { prefix: keyPrefix, resource } = splitKey(prefix);
+      const body = await read(resource);
+      return { keys: (body?.ids || []).map(id => `${keyPrefix}${id}`) };
+    },
+
+    /**
+     * @returns {Promise<{key: string, value: string}|null>}
+     */
+    get: async (key) => {
+      const { resource, id } = splitKey(key);
+      const record = await read(`${resource}/${encodeURIComponent(id)}`);
+      return record ? { key, value: record.value } : null;
+    },
+
+    /**
+     * @param {string} key - Storage key
+     * @param {string} value - Serialized value
+     * @param {boolean} shared - Whether other users can read it
+     */
+    set: async (key, value, shared = false) => {
+      const { resource, id } = splitKey(key);
+      await request(`${resource}/${encodeURIComponent(id)}`, {
+        method: 'PUT',
+        body: JSON.stringify({ value, shared })
+      });
+      return { key, value };
+    },
+
+    /**
+     * @returns {Promise<boolean>} Whether a record was removed
+     */
+    delete: async (key) => {
+      const { resource, id } = splitKey(key);
+      const body = await request(`${resource}/${encodeURIComponent(id)}`, { method: 'DELETE' });
+      return body !== null;
+    }
+  };
+};
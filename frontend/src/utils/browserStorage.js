@@ -0,0 +1,123 @@
+// window.storage implementation that keeps everything in this browser. Records live in
+// IndexedDB; where that isn't available (old browsers, some private modes) they fall back
+// to localStorage. Nothing is actually shared with other users, but the flag is kept so
+// records can be migrated to the backend later.
+
+const DB_NAME = 'what-should-i-wear';
+const DB_VERSION = 1;
+const STORE_NAME = 'entries';
+const LOCAL_PREFIX = 'wsiw:storage:';
+
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const openDatabase = () => new Promise((resolve, reject) => {
+  if (typeof indexedDB === 'undefined') {
+    reject(new Error('IndexedDB is not available'));
+    return;
+  }
+  const request = indexedDB.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = () => {
+    request.result.createObjectStore(STORE_NAME, { keyPath: 'key' });
+  };
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+  request.onblocked = () => reject(new Error('IndexedDB upgrade blocked by another tab'));
+});
+
+const createIndexedDbBackend = (db) => {
+  const objectStore = (mode) => db.transaction(STORE_NAME, mode).objectStore(STORE_NAME);
+
+  return {
+    // Keys sort as strings, so everything starting with the prefix sits in one range
+    keys: (prefix) => promisify(
+      objectStore('readonly').getAllKeys(IDBKeyRange.bound(prefix, `${prefix}\uffff`))
+    ),
+    read: (key) => promisify(objectStore('readonly').get(key)),
+    write: (record) => promisify(objectStore('readwrite').put(record)),
+    remove: (key) => promisify(objectStore('readwrite').delete(key))
+  };
+};
+
+const createLocalStorageBackend = () => ({
+  keys: async (prefix) => {
+    const keys = [];
+    for (let i = 0; i < localStorage.length; i++) {
+      const storageKey = localStorage.key(i);
+      if (storageKey.startsWith(LOCAL_PREFIX + prefix)) {
+        keys.push(storageKey.slice(LOCAL_PREFIX.length));
+      }
+    }
+    return keys.sort();
+  },
+  read: async (key) => {
+    const raw = localStorage.getItem(LOCAL_PREFIX + key);
+    return raw ? JSON.parse(raw) : undefined;
+  },
+  write: async (record) => {
+    localStorage.setItem(LOCAL_PREFIX + record.key, JSON.stringify(record));
+  },
+  remove: async (key) => {
+    localStorage.removeItem(LOCAL_PREFIX + key);
+  }
+});
+
+/**
+ * Browser-local window.storage implementation
+ * @returns {{list: Function, get: Function, set: Function, delete: Function}}
+ */
+export const createBrowserStorage = () => {
+  let backendReady = null;
+  const backend = () => {
+    if (!backendReady) {
+      backendReady = openDatabase()
+        .then(createIndexedDbBackend)
+        .catch(error => {
+          console.warn('Falling back to localStorage:', error.message);
+          return createLocalStorageBackend();
+        });
+    }
+    return backendReady;
+  };
+
+  return {
+    /**
+     * List keys under a prefix, e.g. 'route:'
+     * @returns {Promise<{keys: Array<string>}>}
+     */
+    list: async (prefix = '') => {
+      const keys = await (await backend()).keys(prefix);
+      return { keys };
+    },
+
+    /**
+     * @returns {Promise<{key: string, value: string}|null>}
+     */
+    get: async (key) => {
+      const record = await (await backend()).read(key);
+      return record ? { key, value: record.value } : null;
+    },
+
+    /**
+     * @param {string} key - Storage key
+     * @param {string} value - Serialized value
+     * @param {boolean} shared - Whether the record is meant to be visible to other users
+     */
+    set: async (key, value, shared = false) => {
+      await (await backend()).write({ key, value, shared, updatedAt: new Date().toISOString() });
+      return { key, value };
+    },
+
+    /**
+     * @returns {Promise<boolean>} Whether a record was removed
+     */
+    delete: async (key) => {
+      const store = await backend();
+      const existed = Boolean(await store.read(key));
+      await store.remove(key);
+      return existed;
+    }
+  };
+};
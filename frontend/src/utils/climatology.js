@@ -0,0 +1,86 @@
+// Climate normals for dates beyond the forecast: the same dates in recent years, read
+// from the weather archive and averaged hour by hour.
+
+const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+// The code seen most often, preferring the more severe (higher) code on a tie
+const mostCommon = (codes) => {
+  const counts = new Map();
+  codes.forEach(code => counts.set(code, (counts.get(code) || 0) + 1));
+  return [...counts.entries()].sort((a, b) => b[1] - a[1] || b[0] - a[0])[0][0];
+};
+
+/**
+ * The same moment a number of years earlier or later. Feb 29 lands on Mar 1 in other years.
+ * @param {Date} date
+ * @param {number} years - Years to move, negative for earlier
+ * @returns {Date}
+ */
+export const shiftYears = (date, years) => {
+  const shifted = new Date(date);
+  shifted.setUTCFullYear(shifted.getUTCFullYear() + years);
+  return shifted;
+};
+
+// Move a local 'YYYY-MM-DDTHH:MM' (or 'YYYY-MM-DD') time forward by whole years. The local
+// time is treated as UTC only to do the calendar arithmetic, so Feb 29 lands on Mar 1
+// rather than on a date that doesn't exist.
+const shiftLocalTime = (localTime, years) => {
+  const asUtc = new Date(localTime.length > 10 ? `${localTime}Z` : localTime);
+  return shiftYears(asUtc, years).toISOString().slice(0, localTime.length);
+};
+
+/**
+ * Average archive responses for the same dates in several past years into one response
+ * shaped like an Open-Meteo forecast for the target year. Temperatures, wind, humidity,
+ * cloud cover and amounts are means; the precipitation chance is the share of years with
+ * any precipitation that hour; the weather code is the most common one. Sunrise and sunset
+ * come from the most recent year.
+ * @param {Array<{data: Object, yearsBack: number}>} samples - Archive responses, each with
+ *   how many years before the target it covers
+ * @returns {Object} Open-Meteo shaped response
+ */
+export const averageYears = (samples) => {
+  const recent = [...samples].sort((a, b) => a.yearsBack - b.yearsBack)[0];
+
+  // Collect each year's values under the target-year local time they stand in for
+  const byTime = new Map();
+  samples.forEach(({ data, yearsBack }) => {
+    data.hourly.time.forEach((localTime, i) => {
+      const key = shiftLocalTime(localTime, yearsBack);
+      if (!byTime.has(key)) byTime.set(key, []);
+      byTime.get(key).push({ hourly: data.hourly, i });
+    });
+  });
+
+  const times = [...byTime.keys()].sort();
+  const field = (name, combine) => times.map(time => {
+    const values = byTime.get(time)
+      .map(({ hourly, i }) => hourly[name]?.[i])
+      .filter(Number.isFinite);
+    return values.length ? combine(values) : null;
+  });
+
+  return {
+    elevation: recent.data.elevation,
+    utc_offset_seconds: recent.data.utc_offset_seconds,
+    years: samples.length,
+    hourly: {
+      time: times,
+      temperature_2m: field('temperature_2m', mean),
+      wind_speed_10m: field('wind_speed_10m', mean),
+      relative_humidity_2m: field('relative_humidity_2m', values => Math.round(mean(values))),
+      precipitation: field('precipitation', mean),
+      snowfall: field('snowfall', mean),
+      cloud_cover: field('cloud_cover', values => Math.round(mean(values))),
+      precipitation_probability: field('precipitation', values =>
+        Math.round(100 * values.filter(v => v > 0).length / values.length)),
+      weather_code: field('weather_code', mostCommon)
+    },
+    daily: recent.data.daily && {
+      time: recent.data.daily.time.map(day => shiftLocalTime(day, recent.yearsBack)),
+      sunrise: recent.data.daily.sunrise.map(t => t && shiftLocalTime(t, recent.yearsBack)),
+      sunset: recent.data.daily.sunset.map(t => t && shiftLocalTime(t, recent.yearsBack))
+    }
+  };
+};
@@ -0,0 +1,66 @@
+import { validateActivity } from '../../../shared/activityCatalog.js';
+
+export const ACTIVITY_PREFIX = 'activity:';
+
+/**
+ * Turn an activity name into an id, e.g. 'Trail Running' -> 'trail-running'
+ * @param {string} name
+ * @returns {string}
+ */
+export const slugify = (name) => {
+  return name.toLowerCase().trim().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+};
+
+/**
+ * Built-in activities followed by user-defined ones. A user-defined activity with a
+ * built-in id replaces the built-in rules, so imported tweaks take effect.
+ * @param {Array} builtIn - Built-in activity definitions
+ * @param {Array} custom - User-defined activity definitions
+ * @returns {Array} Activity definitions
+ */
+export const mergeActivities = (builtIn, custom) => {
+  const customById = new Map(custom.map(a => [a.id, a]));
+  return [
+    ...builtIn.map(a => customById.get(a.id) || a),
+    ...custom.filter(a => !builtIn.some(b => b.id === a.id))
+  ];
+};
+
+/**
+ * Load the user-defined activities from window.storage, skipping any that no longer validate
+ * @returns {Promise<Array>} Activity definitions
+ */
+export const loadCustomActivities = async () => {
+  const result = await window.storage.list(ACTIVITY_PREFIX);
+  const activities = [];
+  for (const key of result?.keys || []) {
+    const data = await window.storage.get(key);
+    if (!data) continue;
+
+    const activity = JSON.parse(data.value);
+    const errors = validateActivity(activity);
+    if (errors.length) {
+      console.warn(`Skipping invalid activity ${key}:`, errors);
+    } else {
+      activities.push(activity);
+    }
+  }
+  return activities;
+};
+
+/**
+ * Validate and store a user-defined activity
+ * @param {Object} activity - Activity definition
+ * @throws {Error} When the definition is invalid
+ */
+export const saveCustomActivity = async (activity) => {
+  const errors = validateActivity(activity);
+  if (errors.length) {
+    throw new Error(errors.join('; '));
+  }
+  await window.storage.set(`${ACTIVITY_PREFIX}${activity.id}`, JSON.stringify(activity));
+};
+
+export const deleteCustomActivity = async (id) => {
+  await window.storage.delete(`${ACTIVITY_PREFIX}${id}`);
+};
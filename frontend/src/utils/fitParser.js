@@ -0,0 +1,156 @@
+// Minimal decoder for Garmin FIT files: reads the record messages that carry
+// position, altitude and timestamp, and the course name when present.
+
+const FIT_EPOCH_SECONDS = 631065600; // 1989-12-31T00:00:00Z
+const SEMICIRCLES_TO_DEGREES = 180 / 2 ** 31;
+
+const MESG_RECORD = 20;
+const MESG_COURSE = 31;
+
+const FIELD_TIMESTAMP = 253;
+const RECORD_FIELDS = { positionLat: 0, positionLong: 1, altitude: 2, enhancedAltitude: 78 };
+const COURSE_FIELD_NAME = 5;
+
+// Read a numeric field, returning null for the FIT "invalid" sentinel values
+const readField = (view, offset, size, baseType, littleEndian) => {
+  switch (baseType & 0x1f) {
+    case 0x00: case 0x02: case 0x0a: // enum, uint8, uint8z
+      return size === 1 && view.getUint8(offset) !== 0xff ? view.getUint8(offset) : null;
+    case 0x04: case 0x0b: { // uint16, uint16z
+      const value = view.getUint16(offset, littleEndian);
+      return value !== 0xffff ? value : null;
+    }
+    case 0x05: { // sint32
+      const value = view.getInt32(offset, littleEndian);
+      return value !== 0x7fffffff ? value : null;
+    }
+    case 0x06: case 0x0c: { // uint32, uint32z
+      const value = view.getUint32(offset, littleEndian);
+      return value !== 0xffffffff ? value : null;
+    }
+    case 0x07: { // string
+      const bytes = new Uint8Array(view.buffer, view.byteOffset + offset, size);
+      const end = bytes.indexOf(0);
+      return new TextDecoder().decode(end === -1 ? bytes : bytes.subarray(0, end));
+    }
+    default:
+      return null;
+  }
+};
+
+/**
+ * Extract route points from a FIT file
+ * @param {ArrayBuffer} buffer - Raw FIT file contents
+ * @returns {{points: Array, name: string}} Points in file order and the route name
+ */
+export const parseFIT = (buffer) => {
+  const view = new DataView(buffer);
+  if (view.byteLength < 12) {
+    throw new Error('FIT file is too short to contain a header.');
+  }
+
+  const headerSize = view.getUint8(0);
+  const dataSize = view.getUint32(4, true);
+  const signature = String.fromCharCode(...new Uint8Array(buffer, 8, 4));
+  if (signature !== '.FIT') {
+    throw new Error('FIT file header is missing the ".FIT" signature.');
+  }
+
+  const end = Math.min(headerSize + dataSize, view.byteLength);
+  const definitions = {};
+  const points = [];
+  let name = 'FIT Route';
+  let lastTimestamp = null;
+  let offset = headerSize;
+
+  while (offset < end) {
+    const recordHeader = view.getUint8(offset++);
+    let localType;
+    let compressedTimeOffset = null;
+
+    if (recordHeader & 0x80) {
+      // Compressed timestamp header: always a data message
+      localType = (recordHeader >> 5) & 0x03;
+      compressedTimeOffset = recordHeader & 0x1f;
+    } else if (recordHeader & 0x40) {
+      // Definition message
+      localType = recordHeader & 0x0f;
+      const littleEndian = view.getUint8(offset + 1) === 0;
+      const globalNum = view.getUint16(offset + 2, littleEndian);
+      const fieldCount = view.getUint8(offset + 4);
+      offset += 5;
+
+      const fields = [];
+      for (let i = 0; i < fieldCount; i++) {
+        fields.push({ num: view.getUint8(offset), size: view.getUint8(offset + 1), baseType: view.getUint8(offset + 2) });
+        offset += 3;
+      }
+
+      let developerSize = 0;
+      if (recordHeader & 0x20) {
+        const developerCount = view.getUint8(offset++);
+        for (let i = 0; i < developerCount; i++) {
+          developerSize += view.getUint8(offset + 1);
+          offset += 3;
+        }
+      }
+
+      definitions[localType] = { globalNum, littleEndian, fields, developerSize };
+      continue;
+    } else {
+      localType = recordHeader & 0x0f;
+    }
+
+    const definition = definitions[localType];
+    if (!definition) {
+      throw new Error(`FIT file is corrupt: data message for undefined local type ${localType}.`);
+    }
+
+    const values = {};
+    definition.fields.forEach(field => {
+      values[field.num] = readField(view, offset, field.size, field.baseType, definition.littleEndian);
+      offset += field.size;
+    });
+    offset += definition.developerSize;
+
+    if (values[FIELD_TIMESTAMP] !== undefined && values[FIELD_TIMESTAMP] !== null) {
+      lastTimestamp = values[FIELD_TIMESTAMP];
+    } else if (compressedTimeOffset !== null && lastTimestamp !== null) {
+      // The 5-bit offset replaces the low bits of the last full timestamp, rolling over
+      const rollover = compressedTimeOffset < (lastTimestamp & 0x1f) ? 0x20 : 0;
+      lastTimestamp = (lastTimestamp & ~0x1f) + compressedTimeOffset + rollover;
+      values[FIELD_TIMESTAMP] = lastTimestamp;
+    }
+
+    if (definition.globalNum === MESG_COURSE && values[COURSE_FIELD_NAME]) {
+      name = values[COURSE_FIELD_NAME];
+    }
+
+    if (definition.globalNum === MESG_RECORD) {
+      const latRaw = values[RECORD_FIELDS.positionLat];
+      const lonRaw = values[RECORD_FIELDS.positionLong];
+      if (latRaw === null || latRaw === undefined || lonRaw === null || lonRaw === undefined) {
+        continue;
+      }
+
+      // Altitude is stored with scale 5 and offset 500 m
+      const altitudeRaw = values[RECORD_FIELDS.enhancedAltitude] ?? values[RECORD_FIELDS.altitude];
+      const timestamp = values[FIELD_TIMESTAMP];
+
+      points.push({
+        lat: latRaw * SEMICIRCLES_TO_DEGREES,
+        lon: lonRaw * SEMICIRCLES_TO_DEGREES,
+        elevation: altitudeRaw !== null && altitudeRaw !== undefined ? altitudeRaw / 5 - 500 : null,
+        time: timestamp !== null && timestamp !== undefined ? new Date((timestamp + FIT_EPOCH_SECONDS) * 1000) : null,
+        name: `${name} - Point ${points.length + 1}`,
+        index: points.length
+      });
+    }
+  }
+
+  if (points.length === 0) {
+    throw new Error('No route data found in FIT file. File must contain record messages with position_lat and position_long.');
+  }
+
+  return { points, name };
+};
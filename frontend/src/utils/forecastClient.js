@@ -0,0 +1,245 @@
+import { withRetry } from '../../../shared/retry.js';
+import { weatherError, errorFromResponse, WEATHER_ERROR_CODES } from '../../../shared/weatherErrors.js';
+import { averageYears, shiftYears } from './climatology';
+
+const FORECAST_URL = 'https://api.open-meteo.com/v1/forecast';
+const ARCHIVE_URL = 'https://archive-api.open-meteo.com/v1/archive';
+const HOURLY_FIELDS = 'temperature_2m,precipitation_probability,precipitation,snowfall,wind_speed_10m,relative_humidity_2m,weather_code,uv_index,cloud_cover';
+// The archive has no precipitation probability or UV index
+const ARCHIVE_FIELDS = 'temperature_2m,precipitation,snowfall,wind_speed_10m,relative_humidity_2m,weather_code,cloud_cover';
+const UNITS = 'temperature_unit=fahrenheit&wind_speed_unit=mph&precipitation_unit=inch';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// The forecast endpoint also returns this many past days, so last weekend needs no archive
+const PAST_DAYS = 7;
+const FORECAST_DAYS = 16;
+// The archive lags real time by about this much
+const ARCHIVE_DELAY_DAYS = 5;
+// Past years averaged into climate normals
+const NORMAL_YEARS = 5;
+// The archive's reanalysis is about this coarse, so route points in one cell of this size
+// share their archive requests; a GPX route would otherwise ask once per sampled point,
+// and NORMAL_YEARS times over for normals
+const ARCHIVE_GRID_DEGREES = 0.1;
+
+// Where the weather for a window comes from
+export const WEATHER_SOURCES = {
+  FORECAST: 'forecast',
+  HISTORICAL: 'historical',
+  CLIMATOLOGY: 'climatology'
+};
+
+export const SOURCE_LABELS = {
+  forecast: 'Forecast',
+  historical: 'Recorded weather',
+  climatology: `Climate normals (${NORMAL_YEARS}-year average for these dates)`
+};
+
+// The last real forecast for each place is kept so it can stand in during an outage
+const CACHE_PREFIX = 'wsiw:forecast:';
+const MAX_CACHED_PLACES = 30;
+// Older than this, a saved forecast says more about the past than the weather to come
+const MAX_CACHE_AGE_MS = 3 * 24 * 60 * 60 * 1000;
+
+// Places ~1 km apart share a forecast
+const placeKey = (coords) => `${CACHE_PREFIX}${coords.lat.toFixed(2)},${coords.lon.toFixed(2)}`;
+
+const cachedEntries = () => Object.keys(localStorage)
+  .filter(key => key.startsWith(CACHE_PREFIX))
+  .map(key => {
+    try {
+      return { key, fetchedAt: JSON.parse(localStorage.getItem(key)).fetchedAt };
+    } catch (error) {
+      return { key, fetchedAt: null };
+    }
+  })
+  .sort((a, b) => new Date(a.fetchedAt || 0) - new Date(b.fetchedAt || 0));
+
+const saveCachedForecast = (coords, data) => {
+  const value = JSON.stringify({ fetchedAt: new Date().toISOString(), data });
+  // Make room by dropping the oldest places, more of them if storage is full
+  const entries = cachedEntries().filter(entry => entry.key !== placeKey(coords));
+  entries.slice(0, Math.max(0, entries.length - MAX_CACHED_PLACES + 1)).forEach(entry => localStorage.removeItem(entry.key));
+  try {
+    localStorage.setItem(placeKey(coords), value);
+  } catch (error) {
+    cachedEntries().slice(0, 10).forEach(entry => localStorage.removeItem(entry.key));
+    try {
+      localStorage.setItem(placeKey(coords), value);
+    } catch (retryError) {
+      console.warn('Could not cache forecast:', retryError);
+    }
+  }
+};
+
+/**
+ * The last forecast fetched for a place, if it is recent enough to be useful
+ * @param {{lat: number, lon: number}} coords
+ * @returns {{data: Object, fetchedAt: string}|null}
+ */
+export const loadCachedForecast = (coords) => {
+  try {
+    const cached = JSON.parse(localStorage.getItem(placeKey(coords)));
+    if (cached && Date.now() - new Date(cached.fetchedAt).getTime() <= MAX_CACHE_AGE_MS) {
+      return cached;
+    }
+  } catch (error) {
+    console.warn('Ignoring unreadable cached forecast:', error);
+  }
+  return null;
+};
+
+/**
+ * Fetch JSON from an Open-Meteo endpoint, turning network failures and error statuses
+ * into typed weather errors
+ * @param {string} url
+ * @returns {Promise<Object>} Response body
+ * @throws {Error} Typed weather error (see shared/weatherErrors.js)
+ */
+export const requestOpenMeteo = async (url) => {
+  let response;
+  try {
+    response = await fetch(url);
+  } catch (error) {
+    throw weatherError(WEATHER_ERROR_CODES.PROVIDER_OUTAGE, `Weather provider unreachable: ${error.message}`);
+  }
+
+  if (!response.ok) {
+    // Open-Meteo explains rejected requests in a `reason` field
+    const body = await response.json().catch(() => ({}));
+    throw errorFromResponse(response.status, response.headers.get('Retry-After'), body.reason || '');
+  }
+  return response.json();
+};
+
+const requestHourly = async (url) => {
+  const data = await requestOpenMeteo(url);
+  if (!data.hourly || !Array.isArray(data.hourly.time)) {
+    throw weatherError(WEATHER_ERROR_CODES.PROVIDER_OUTAGE, 'Weather provider returned no hourly forecast');
+  }
+  return data;
+};
+
+const requestForecast = (coords) => requestHourly(
+  `${FORECAST_URL}?latitude=${coords.lat}&longitude=${coords.lon}&hourly=${HOURLY_FIELDS}&daily=sunrise,sunset&${UNITS}&timezone=auto&past_days=${PAST_DAYS}&forecast_days=${FORECAST_DAYS}`
+);
+
+// Route points close together resolve to one place; they share a single request
+const inFlight = new Map();
+
+/**
+ * Fetch the hourly forecast for a place from Open-Meteo, retrying outages and rate limits
+ * with backoff, and keep it as the place's fallback forecast
+ * @param {{lat: number, lon: number}} coords
+ * @returns {Promise<Object>} Open-Meteo forecast response
+ * @throws {Error} Typed weather error (see shared/weatherErrors.js)
+ */
+export const fetchForecast = (coords) => {
+  const key = placeKey(coords);
+  if (!inFlight.has(key)) {
+    const pending = withRetry(() => requestForecast(coords))
+      .then(data => {
+        saveCachedForecast(coords, data);
+        return data;
+      })
+      .finally(() => inFlight.delete(key));
+    inFlight.set(key, pending);
+  }
+  return inFlight.get(key);
+};
+
+/**
+ * Which source covers a window starting at a given time: the forecast from a week ago to
+ * two weeks out, the archive before that, and climate normals after
+ * @param {Date} start - Start of the window
+ * @param {Date} now - Reference time (default: now)
+ * @returns {string} One of WEATHER_SOURCES
+ */
+export const chooseWeatherSource = (start, now = new Date()) => {
+  if (start.getTime() < now.getTime() - PAST_DAYS * DAY_MS) {
+    return WEATHER_SOURCES.HISTORICAL;
+  }
+  // The last forecast day ends at local midnight, so leave a day's margin
+  if (start.getTime() > now.getTime() + (FORECAST_DAYS - 1) * DAY_MS) {
+    return WEATHER_SOURCES.CLIMATOLOGY;
+  }
+  return WEATHER_SOURCES.FORECAST;
+};
+
+const isoDate = (date) => date.toISOString().slice(0, 10);
+
+const toArchiveCell = (degrees) => (Math.round(degrees / ARCHIVE_GRID_DEGREES) * ARCHIVE_GRID_DEGREES).toFixed(1);
+
+// Past weather never changes, so each archive request is made once per session
+const archiveRequests = new Map();
+
+/**
+ * Hourly weather recorded at a place between two times, from the Open-Meteo archive. A day
+ * either side is included, since the archive works in the place's local dates, and the
+ * place is snapped to the archive grid so nearby places share one request.
+ * @param {{lat: number, lon: number}} coords
+ * @param {Date} from
+ * @param {Date} to
+ * @param {Date} now - Reference time, which limits how recent the archive can be
+ * @returns {Promise<Object>} Open-Meteo shaped response, with a precipitation chance of
+ *   100 for hours that had any precipitation and 0 otherwise
+ * @throws {Error} Typed weather error (see shared/weatherErrors.js)
+ */
+export const fetchHistory = (coords, from, to, now = new Date()) => {
+  const latest = Math.min(to.getTime() + DAY_MS, now.getTime() - ARCHIVE_DELAY_DAYS * DAY_MS);
+  const url = `${ARCHIVE_URL}?latitude=${toArchiveCell(coords.lat)}&longitude=${toArchiveCell(coords.lon)}&start_date=${isoDate(new Date(from.getTime() - DAY_MS))}&end_date=${isoDate(new Date(latest))}&hourly=${ARCHIVE_FIELDS}&daily=sunrise,sunset&${UNITS}&timezone=auto`;
+  if (!archiveRequests.has(url)) {
+    const pending = withRetry(() => requestHourly(url))
+      .then(data => ({
+        ...data,
+        hourly: {
+          ...data.hourly,
+          precipitation_probability: data.hourly.precipitation.map(amount => (amount > 0 ? 100 : 0))
+        }
+      }))
+      .catch(error => {
+        archiveRequests.delete(url);
+        throw error;
+      });
+    archiveRequests.set(url, pending);
+  }
+  return archiveRequests.get(url);
+};
+
+/**
+ * Climate normals for a window: the same dates in each of the last few years that the
+ * archive covers, averaged hour by hour
+ * @param {{lat: number, lon: number}} coords
+ * @param {Date} from
+ * @param {Date} to
+ * @param {Date} now - Reference time
+ * @returns {Promise<Object>} Open-Meteo shaped response for the requested dates
+ * @throws {Error} Typed weather error (see shared/weatherErrors.js)
+ */
+export const fetchNormals = async (coords, from, to, now = new Date()) => {
+  const archivedBefore = now.getTime() - (ARCHIVE_DELAY_DAYS + 1) * DAY_MS;
+  const yearsBack = [];
+  for (let years = 1; yearsBack.length < NORMAL_YEARS; years++) {
+    if (shiftYears(to, -years).getTime() + DAY_MS < archivedBefore) {
+      yearsBack.push(years);
+    }
+  }
+  const samples = await Promise.all(yearsBack.map(async (years) => ({
+    yearsBack: years,
+    data: await fetchHistory(coords, shiftYears(from, -years), shiftYears(to, -years), now)
+  })));
+  return averageYears(samples);
+};
+
+/**
+ * How long ago something happened, e.g. "3 hours"
+ * @param {string} since - ISO time
+ * @returns {string}
+ */
+export const describeAge = (since) => {
+  const minutes = Math.max(0, Math.round((Date.now() - new Date(since).getTime()) / 60000));
+  if (minutes < 60) return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+  const hours = Math.round(minutes / 60);
+  if (hours < 48) return `${hours} hour${hours === 1 ? '' : 's'}`;
+  return `${Math.round(hours / 24)} days`;
+};
@@ -0,0 +1,42 @@
+import { validateGearItem } from '../../../shared/gearCloset.js';
+
+export const GEAR_PREFIX = 'gear:';
+
+/**
+ * Load this person's gear closet from window.storage, skipping items that no longer validate
+ * @returns {Promise<Array>} Gear items
+ */
+export const loadCloset = async () => {
+  const result = await window.storage.list(GEAR_PREFIX);
+  const closet = [];
+  for (const key of result?.keys || []) {
+    const data = await window.storage.get(key);
+    if (!data) continue;
+
+    const item = JSON.parse(data.value);
+    const errors = validateGearItem(item);
+    if (errors.length) {
+      console.warn(`Skipping invalid gear item ${key}:`, errors);
+    } else {
+      closet.push(item);
+    }
+  }
+  return closet;
+};
+
+/**
+ * Validate and store a gear item
+ * @param {Object} item - Gear item
+ * @throws {Error} When the item is invalid
+ */
+export const saveGearItem = async (item) => {
+  const errors = validateGearItem(item);
+  if (errors.length) {
+    throw new Error(errors.join('; '));
+  }
+  await window.storage.set(`${GEAR_PREFIX}${item.id}`, JSON.stringify(item));
+};
+
+export const deleteGearItem = async (id) => {
+  await window.storage.delete(`${GEAR_PREFIX}${id}`);
+};
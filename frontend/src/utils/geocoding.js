@@ -0,0 +1,98 @@
+import { withRetry } from '../../../shared/retry.js';
+import { requestOpenMeteo } from './forecastClient';
+
+const GEOCODING_URL = 'https://geocoding-api.open-meteo.com/v1/search';
+
+// Places found before are remembered, so a saved forecast can still be offered for them
+// when the geocoder is down or the device is offline
+const PLACE_PREFIX = 'wsiw:place:';
+
+const placeKey = (name) => `${PLACE_PREFIX}${name.trim().toLowerCase()}`;
+
+const rememberPlace = (name, coords) => {
+  try {
+    localStorage.setItem(placeKey(name), JSON.stringify(coords));
+  } catch (error) {
+    console.warn('Could not remember place:', error);
+  }
+};
+
+const recallPlace = (name) => {
+  try {
+    return JSON.parse(localStorage.getItem(placeKey(name)));
+  } catch (error) {
+    return null;
+  }
+};
+
+// Candidates fetched when a name comes with a region or country to pick between them
+const QUALIFIED_CANDIDATES = 10;
+
+// How many of the qualifiers after the town ("Maine", "US") a result's region or country matches
+const qualifierMatches = (result, qualifiers) => {
+  const fields = [result.admin1, result.country, result.countryCode]
+    .filter(Boolean)
+    .map(field => field.toLowerCase());
+  return qualifiers.filter(qualifier => fields.includes(qualifier.toLowerCase())).length;
+};
+
+/**
+ * Search for places matching a name, retrying outages and rate limits with backoff
+ * @param {string} query - Place name to search for
+ * @param {number} count - Maximum number of results (default: 5)
+ * @returns {Promise<Array<{name: string, lat: number, lon: number, displayName: string}>>}
+ *   Matches, empty when there are none
+ * @throws {Error} Typed weather error (see shared/weatherErrors.js) when the search fails
+ */
+export const searchLocations = async (query, count = 5) => {
+  const data = await withRetry(() => requestOpenMeteo(
+    `${GEOCODING_URL}?name=${encodeURIComponent(query)}&count=${count}&language=en&format=json`
+  ));
+
+  return (data.results || []).map(result => ({
+    name: result.name,
+    country: result.country,
+    admin1: result.admin1,
+    countryCode: result.country_code,
+    lat: result.latitude,
+    lon: result.longitude,
+    displayName: `${result.name}${result.admin1 ? ', ' + result.admin1 : ''}, ${result.country}`
+  }));
+};
+
+/**
+ * Geocode location to get coordinates. A region or country after the town ("Portland,
+ * Maine") picks between towns of the same name; without a match the top result is used.
+ * When the search fails, a place found before is answered from memory.
+ * @param {string} locationName - Place name, optionally with region and country
+ * @returns {Promise<{lat: number, lon: number, name: string}|null>} Best match, or null if none
+ * @throws {Error} Typed weather error when the search fails and the place isn't remembered
+ */
+export const geocodeLocation = async (locationName) => {
+  // Suggestions are displayed as "Town, Region, Country"; the API matches on the town name
+  const [town = '', ...qualifiers] = locationName.split(',').map(part => part.trim()).filter(Boolean);
+  let results;
+  try {
+    results = await searchLocations(town, qualifiers.length > 0 ? QUALIFIED_CANDIDATES : 1);
+  } catch (error) {
+    const remembered = error.retryable ? recallPlace(locationName) : null;
+    if (remembered) {
+      return remembered;
+    }
+    throw error;
+  }
+
+  if (results.length === 0) {
+    return null;
+  }
+  // The first of the best-matching results keeps the provider's ranking among ties
+  const best = results.reduce((chosen, result) =>
+    qualifierMatches(result, qualifiers) > qualifierMatches(chosen, qualifiers) ? result : chosen);
+  const coords = {
+    lat: best.lat,
+    lon: best.lon,
+    name: best.name
+  };
+  rememberPlace(locationName, coords);
+  return coords;
+};
@@ -0,0 +1,94 @@
+/**
+ * Extract route points from a GeoJSON object.
+ * Reads LineString and MultiLineString geometries as routes and Point/MultiPoint as waypoints;
+ * waypoints mark places beside the route, so they are only used when there is no line.
+ * Per-point timestamps are read from a `coordTimes` property when present.
+ * @param {Object} geojson - Parsed GeoJSON (FeatureCollection, Feature or bare geometry)
+ * @returns {{points: Array, name: string}} Points in file order and the route name
+ */
+export const parseGeoJSON = (geojson) => {
+  const points = [];
+  const waypoints = [];
+  const features = geojson.type === 'FeatureCollection'
+    ? geojson.features || []
+    : [geojson.type === 'Feature' ? geojson : { type: 'Feature', geometry: geojson, properties: {} }];
+  if (!Array.isArray(features)) {
+    throw new Error('GeoJSON FeatureCollection has no features list');
+  }
+  const name = geojson.name || features.find(f => f?.properties?.name)?.properties.name || 'GeoJSON Route';
+
+  const addLine = (coordinates, times, lineName) => {
+    coordinates.forEach(([lon, lat, elevation], pointIdx) => {
+      if (Number.isFinite(lat) && Number.isFinite(lon)) {
+        points.push({
+          lat,
+          lon,
+          elevation: Number.isFinite(elevation) ? elevation : null,
+          time: times?.[pointIdx] ? new Date(times[pointIdx]) : null,
+          name: `${lineName} - Point ${pointIdx + 1}`,
+          index: points.length
+        });
+      }
+    });
+  };
+
+  const addWaypoint = ([lon, lat, elevation], waypointName) => {
+    if (Number.isFinite(lat) && Number.isFinite(lon)) {
+      waypoints.push({
+        lat,
+        lon,
+        elevation: Number.isFinite(elevation) ? elevation : null,
+        name: waypointName,
+        index: waypoints.length,
+        isWaypoint: true
+      });
+    }
+  };
+
+  // Lines and multi-points are lists of [lon, lat] positions; a multi-line is a list of lines
+  const isPositionList = (list) => Array.isArray(list) && list.every(Array.isArray);
+  const COORDINATE_SHAPES = {
+    Point: (coordinates) => Array.isArray(coordinates),
+    MultiPoint: isPositionList,
+    LineString: isPositionList,
+    MultiLineString: (coordinates) => Array.isArray(coordinates) && coordinates.every(isPositionList)
+  };
+
+  features.forEach((feature, featureIdx) => {
+    const label = `GeoJSON feature ${featureIdx + 1}`;
+    if (!feature || typeof feature !== 'object') {
+      throw new Error(`${label} is not an object`);
+    }
+    const geometry = feature.geometry;
+    if (!geometry || !COORDINATE_SHAPES[geometry.type]) return;
+    const featureName = feature.properties?.name || `Feature ${featureIdx + 1}`;
+    const times = feature.properties?.coordTimes;
+
+    if (geometry.coordinates === undefined || geometry.coordinates === null) {
+      throw new Error(`${label} has no coordinates`);
+    }
+    if (!COORDINATE_SHAPES[geometry.type](geometry.coordinates)) {
+      throw new Error(`${label} has ${geometry.type} coordinates that are not [longitude, latitude] positions`);
+    }
+    if (times !== undefined && !Array.isArray(times)) {
+      throw new Error(`${label} has coordTimes that is not a list of timestamps`);
+    }
+
+    if (geometry.type === 'LineString') {
+      addLine(geometry.coordinates, times, featureName);
+    } else if (geometry.type === 'MultiLineString') {
+      // coordTimes holds one list per line
+      geometry.coordinates.forEach((line, lineIdx) => addLine(line, Array.isArray(times?.[lineIdx]) ? times[lineIdx] : null, featureName));
+    } else if (geometry.type === 'Point') {
+      addWaypoint(geometry.coordinates, featureName);
+    } else {
+      geometry.coordinates.forEach((coordinate, idx) => addWaypoint(coordinate, `${featureName} ${idx + 1}`));
+    }
+  });
+
+  if (points.length === 0 && waypoints.length === 0) {
+    throw new Error('No route data found in GeoJSON file. File must contain LineString, MultiLineString or Point geometries.');
+  }
+
+  return { points: points.length > 0 ? points : waypoints, name };
+};
@@ -1,166 +1,285 @@
 /**
- * Parse a GPX file using native browser DOMParser
- * This avoids issues with third-party libraries in strict mode
- * @param {File} file - The GPX file to parse
- * @returns {Promise<{points: Array, metadata: Object}>} Parsed GPX data
+ * Extract route points from a parsed GPX document. Waypoints (<wpt>) mark places near
+ * the route rather than the path itself, so they are only used when the file has no track
+ * or route.
+ * @param {Document} xmlDoc - GPX XML document
+ * @returns {{points: Array, name: string}} Points in file order and the route name
  */
-export const parseGPXFile = async (file) => {
-  return new Promise((resolve, reject) => {
-    const reader = new FileReader();
-
-    reader.onload = (e) => {
-      try {
-        const xmlContent = e.target.result;
-
-        // Validate that we have XML content
-        if (!xmlContent || typeof xmlContent !== 'string') {
-          reject(new Error('File is empty or not readable'));
-          return;
-        }
-
-        // Parse XML using browser's DOMParser
-        const parser = new DOMParser();
-        const xmlDoc = parser.parseFromString(xmlContent, 'text/xml');
-
-        // Check for parsing errors
-        const parserError = xmlDoc.querySelector('parsererror');
-        if (parserError) {
-          reject(new Error('Invalid XML format'));
-          return;
-        }
-
-        const points = [];
-        let trackName = 'GPX Route';
-
-        // Extract metadata
-        const metadataEl = xmlDoc.querySelector('metadata');
-        if (metadataEl) {
-          const nameEl = metadataEl.querySelector('name');
-          if (nameEl && nameEl.textContent) {
-            trackName = nameEl.textContent;
-          }
-        }
-
-        // Extract track points from <trk><trkseg><trkpt>
-        const tracks = xmlDoc.querySelectorAll('trk');
-        tracks.forEach((track, trackIdx) => {
-          const trackNameEl = track.querySelector('name');
-          const currentTrackName = trackNameEl?.textContent || `Track ${trackIdx + 1}`;
-
-          const trackPoints = track.querySelectorAll('trkpt');
-          trackPoints.forEach((trkpt, pointIdx) => {
-            const lat = parseFloat(trkpt.getAttribute('lat'));
-            const lon = parseFloat(trkpt.getAttribute('lon'));
-
-            if (!isNaN(lat) && !isNaN(lon)) {
-              const eleEl = trkpt.querySelector('ele');
-              const timeEl = trkpt.querySelector('time');
-
-              points.push({
-                lat,
-                lon,
-                elevation: eleEl ? parseFloat(eleEl.textContent) : null,
-                time: timeEl ? new Date(timeEl.textContent) : null,
-                name: `${currentTrackName} - Point ${pointIdx + 1}`,
-                index: points.length
-              });
-            }
-          });
-        });
+export const parseGPXDocument = (xmlDoc) => {
+  const points = [];
+  let trackName = 'GPX Route';
 
-        // Extract route points from <rte><rtept>
-        const routes = xmlDoc.querySelectorAll('rte');
-        routes.forEach((route, routeIdx) => {
-          const routeNameEl = route.querySelector('name');
-          const currentRouteName = routeNameEl?.textContent || `Route ${routeIdx + 1}`;
-
-          const routePoints = route.querySelectorAll('rtept');
-          routePoints.forEach((rtept, pointIdx) => {
-            const lat = parseFloat(rtept.getAttribute('lat'));
-            const lon = parseFloat(rtept.getAttribute('lon'));
-
-            if (!isNaN(lat) && !isNaN(lon)) {
-              const eleEl = rtept.querySelector('ele');
-              const timeEl = rtept.querySelector('time');
-
-              points.push({
-                lat,
-                lon,
-                elevation: eleEl ? parseFloat(eleEl.textContent) : null,
-                time: timeEl ? new Date(timeEl.textContent) : null,
-                name: `${currentRouteName} - Point ${pointIdx + 1}`,
-                index: points.length
-              });
-            }
-          });
-        });
+  // Extract metadata
+  const metadataEl = xmlDoc.querySelector('metadata');
+  if (metadataEl) {
+    const nameEl = metadataEl.querySelector('name');
+    if (nameEl && nameEl.textContent) {
+      trackName = nameEl.textContent;
+    }
+  }
+
+  // Extract track points from <trk><trkseg><trkpt>
+  const tracks = xmlDoc.querySelectorAll('trk');
+  tracks.forEach((track, trackIdx) => {
+    const trackNameEl = track.querySelector('name');
+    const currentTrackName = trackNameEl?.textContent || `Track ${trackIdx + 1}`;
 
-        // Extract waypoints from <wpt>
-        const waypoints = xmlDoc.querySelectorAll('wpt');
-        waypoints.forEach((wpt, idx) => {
-          const lat = parseFloat(wpt.getAttribute('lat'));
-          const lon = parseFloat(wpt.getAttribute('lon'));
-
-          if (!isNaN(lat) && !isNaN(lon)) {
-            const nameEl = wpt.querySelector('name');
-            const eleEl = wpt.querySelector('ele');
-
-            points.push({
-              lat,
-              lon,
-              elevation: eleEl ? parseFloat(eleEl.textContent) : null,
-              name: nameEl?.textContent || `Waypoint ${idx + 1}`,
-              index: points.length,
-              isWaypoint: true
-            });
-          }
+    const trackPoints = track.querySelectorAll('trkpt');
+    trackPoints.forEach((trkpt, pointIdx) => {
+      const lat = parseFloat(trkpt.getAttribute('lat'));
+      const lon = parseFloat(trkpt.getAttribute('lon'));
+
+      if (!isNaN(lat) && !isNaN(lon)) {
+        const eleEl = trkpt.querySelector('ele');
+        const timeEl = trkpt.querySelector('time');
+
+        points.push({
+          lat,
+          lon,
+          elevation: eleEl ? parseFloat(eleEl.textContent) : null,
+          time: timeEl ? new Date(timeEl.textContent) : null,
+          name: `${currentTrackName} - Point ${pointIdx + 1}`,
+          index: points.length
         });
+      }
+    });
+  });
+
+  // Extract route points from <rte><rtept>
+  const routes = xmlDoc.querySelectorAll('rte');
+  routes.forEach((route, routeIdx) => {
+    const routeNameEl = route.querySelector('name');
+    const currentRouteName = routeNameEl?.textContent || `Route ${routeIdx + 1}`;
+
+    const routePoints = route.querySelectorAll('rtept');
+    routePoints.forEach((rtept, pointIdx) => {
+      const lat = parseFloat(rtept.getAttribute('lat'));
+      const lon = parseFloat(rtept.getAttribute('lon'));
+
+      if (!isNaN(lat) && !isNaN(lon)) {
+        const eleEl = rtept.querySelector('ele');
+        const timeEl = rtept.querySelector('time');
 
-        if (points.length === 0) {
-          reject(new Error('No route data found in GPX file. File must contain tracks, routes, or waypoints.'));
-          return;
-        }
-
-        resolve({
-          points,
-          metadata: {
-            name: trackName,
-            totalPoints: points.length
-          }
+        points.push({
+          lat,
+          lon,
+          elevation: eleEl ? parseFloat(eleEl.textContent) : null,
+          time: timeEl ? new Date(timeEl.textContent) : null,
+          name: `${currentRouteName} - Point ${pointIdx + 1}`,
+          index: points.length
         });
-      } catch (error) {
-        console.error('GPX parsing error:', error);
-        reject(new Error(`Failed to parse GPX file: ${error.message}`));
       }
-    };
+    });
+  });
+
+  // Extract waypoints from <wpt>
+  const waypoints = [];
+  xmlDoc.querySelectorAll('wpt').forEach((wpt, idx) => {
+    const lat = parseFloat(wpt.getAttribute('lat'));
+    const lon = parseFloat(wpt.getAttribute('lon'));
 
-    reader.onerror = () => {
-      reject(new Error('Failed to read file'));
-    };
+    if (!isNaN(lat) && !isNaN(lon)) {
+      const nameEl = wpt.querySelector('name');
+      const eleEl = wpt.querySelector('ele');
 
-    reader.readAsText(file);
+      waypoints.push({
+        lat,
+        lon,
+        elevation: eleEl ? parseFloat(eleEl.textContent) : null,
+        name: nameEl?.textContent || `Waypoint ${idx + 1}`,
+        index: waypoints.length,
+        isWaypoint: true
+      });
+    }
   });
+
+  if (points.length === 0 && waypoints.length === 0) {
+    throw new Error('No route data found in GPX file. File must contain tracks (<trkpt>), routes (<rtept>) or waypoints (<wpt>).');
+  }
+
+  return { points: points.length > 0 ? points : waypoints, name: trackName };
+};
+
+const MIN_SAMPLES = 5;
+// Each sample costs a forecast request, so long routes are capped
+const MAX_SAMPLES = 25;
+const KM_PER_SAMPLE = 5;
+// Elevation change (meters) needed before a turning point counts as a summit or valley
+const MIN_PROMINENCE_M = 100;
+
+/**
+ * Choose how many points to sample for a route of the given length
+ * @param {number} totalDistanceKm - Route length in kilometers
+ * @returns {number} Sample count, roughly one every 5 km
+ */
+export const getSampleCount = (totalDistanceKm) => {
+  return Math.min(MAX_SAMPLES, Math.max(MIN_SAMPLES, Math.round(totalDistanceKm / KM_PER_SAMPLE) + 1));
 };
 
 /**
- * Sample points evenly from a route
+ * Find summits and valley floors using a zigzag over elevation: a turning point is
+ * only confirmed once the route has moved MIN_PROMINENCE_M away from it.
+ * @param {Array} points - Route points
+ * @returns {Array<{position: number, terrain: string}>} Array positions of the extremes
+ */
+const findElevationExtremes = (points) => {
+  const extremes = [];
+  let candidate = null;
+  let direction = 0; // 1 climbing, -1 descending
+
+  points.forEach((point, position) => {
+    if (point.elevation === null || point.elevation === undefined || isNaN(point.elevation)) {
+      return;
+    }
+    if (!candidate) {
+      candidate = { position, elevation: point.elevation };
+      return;
+    }
+
+    const change = point.elevation - candidate.elevation;
+    if (direction >= 0 && change > 0 || direction <= 0 && change < 0) {
+      // Still moving away in the same direction: the extreme moves with us
+      if (direction === 0 && Math.abs(change) >= MIN_PROMINENCE_M) {
+        direction = Math.sign(change);
+      }
+      if (direction !== 0) {
+        candidate = { position, elevation: point.elevation };
+      }
+    } else if (Math.abs(change) >= MIN_PROMINENCE_M) {
+      // Turned around far enough to confirm the previous extreme
+      extremes.push({ position: candidate.position, terrain: direction > 0 ? 'summit' : 'valley' });
+      direction = -direction;
+      candidate = { position, elevation: point.elevation };
+    }
+  });
+
+  return extremes;
+};
+
+/**
+ * Sample points evenly by distance along a route, plus summits and valley floors
+ * where conditions differ most
  * @param {Array} allPoints - All points from the GPX file
- * @param {number} targetCount - Desired number of sampled points (default: 10)
- * @returns {Array} Sampled points
+ * @param {number} targetCount - Desired number of distance-spaced points (default: 10)
+ * @returns {Array} Sampled points in route order, each with a cumulative `distance`
  */
 export const samplePoints = (allPoints, targetCount = 10) => {
-  if (allPoints.length <= targetCount) {
-    return allPoints;
+  const points = allPoints.length > 0 && allPoints[0].distance === undefined
+    ? addCumulativeDistance(allPoints)
+    : allPoints;
+
+  if (points.length <= targetCount) {
+    return points;
   }
 
-  const sampled = [allPoints[0]]; // Always include first point
-  const step = Math.floor((allPoints.length - 1) / (targetCount - 1));
+  const totalDistance = points[points.length - 1].distance;
+  const selected = new Map([[0, points[0]], [points.length - 1, points[points.length - 1]]]);
 
-  for (let i = step; i < allPoints.length - step; i += step) {
-    sampled.push(allPoints[i]);
+  // Walk the route once, taking the first point at or past each distance mark
+  let position = 0;
+  for (let i = 1; i < targetCount - 1; i++) {
+    const mark = totalDistance * i / (targetCount - 1);
+    while (position < points.length - 1 && points[position].distance < mark) {
+      position++;
+    }
+    selected.set(position, points[position]);
   }
 
-  sampled.push(allPoints[allPoints.length - 1]); // Always include last point
+  findElevationExtremes(points).forEach(({ position: extremePosition, terrain }) => {
+    selected.set(extremePosition, { ...points[extremePosition], terrain });
+  });
+
+  return [...selected.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([, point]) => point);
+};
+
+const EARTH_RADIUS_KM = 6371;
+
+/**
+ * Great-circle distance between two points using the haversine formula
+ * @param {{lat: number, lon: number}} a - First point
+ * @param {{lat: number, lon: number}} b - Second point
+ * @returns {number} Distance in kilometers
+ */
+export const haversineDistance = (a, b) => {
+  const toRad = (deg) => deg * Math.PI / 180;
+  const dLat = toRad(b.lat - a.lat);
+  const dLon = toRad(b.lon - a.lon);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+};
+
+/**
+ * Annotate each point with its cumulative distance from the start of the route
+ * @param {Array} points - Route points in travel order
+ * @returns {Array} Copies of the points with a `distance` field in kilometers
+ */
+export const addCumulativeDistance = (points) => {
+  let distance = 0;
+  return points.map((point, i) => {
+    if (i > 0) {
+      distance += haversineDistance(points[i - 1], point);
+    }
+    return { ...point, distance };
+  });
+};
+
+// Ignore elevation wobble smaller than this (meters) when totalling gain and loss
+const ELEVATION_NOISE_M = 3;
+// Intervals slower than this (km/h) count as stopped when computing moving time
+const MOVING_SPEED_KMH = 1;
+
+/**
+ * Compute distance, elevation and timing statistics for a route
+ * @param {Array} points - Route points with a cumulative `distance` in km
+ * @returns {{totalDistance: number, elevationGain: number, elevationLoss: number,
+ *   maxElevation: number|null, minElevation: number|null, movingTime: number|null}}
+ *   Distances in km, elevations in meters, moving time in seconds (null without timestamps)
+ */
+export const computeRouteStats = (points) => {
+  const elevations = points
+    .map(p => p.elevation)
+    .filter(e => e !== null && e !== undefined && !isNaN(e));
+  // Recordings can hold more points than a spread into Math.max accepts
+  const maxElevation = elevations.reduce((max, e) => Math.max(max, e), -Infinity);
+  const minElevation = elevations.reduce((min, e) => Math.min(min, e), Infinity);
+
+  let elevationGain = 0;
+  let elevationLoss = 0;
+  let anchor = elevations[0];
+  elevations.forEach(elevation => {
+    const change = elevation - anchor;
+    if (Math.abs(change) >= ELEVATION_NOISE_M) {
+      if (change > 0) {
+        elevationGain += change;
+      } else {
+        elevationLoss -= change;
+      }
+      anchor = elevation;
+    }
+  });
+
+  const timed = points.filter(p => p.time instanceof Date && !isNaN(p.time.getTime()));
+  let movingTime = null;
+  if (timed.length > 1) {
+    movingTime = 0;
+    for (let i = 1; i < timed.length; i++) {
+      const seconds = (timed[i].time - timed[i - 1].time) / 1000;
+      const km = (timed[i].distance || 0) - (timed[i - 1].distance || 0);
+      if (seconds > 0 && km / (seconds / 3600) >= MOVING_SPEED_KMH) {
+        movingTime += seconds;
+      }
+    }
+  }
 
-  return sampled;
+  return {
+    totalDistance: points.length > 0 ? points[points.length - 1].distance || 0 : 0,
+    elevationGain: Math.round(elevationGain),
+    elevationLoss: Math.round(elevationLoss),
+    maxElevation: elevations.length > 0 ? maxElevation : null,
+    minElevation: elevations.length > 0 ? minElevation : null,
+    movingTime
+  };
 };
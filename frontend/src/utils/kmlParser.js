@@ -0,0 +1,79 @@
+const childText = (el, tagName) => el.getElementsByTagNameNS('*', tagName)[0]?.textContent;
+
+// KML coordinates are "lon,lat[,alt]" tuples separated by whitespace
+const parseCoordinates = (text) => {
+  return text.trim().split(/\s+/)
+    .map(tuple => tuple.split(',').map(parseFloat))
+    .filter(([lon, lat]) => !isNaN(lat) && !isNaN(lon));
+};
+
+/**
+ * Extract route points from a parsed KML (Google Earth) document.
+ * Reads <LineString> paths and <gx:Track> recordings. <Point> placemarks are usually start,
+ * finish or summit markers beside the path, so they are only used when there is no path.
+ * @param {Document} xmlDoc - KML XML document
+ * @returns {{points: Array, name: string}} Points in file order and the route name
+ */
+export const parseKMLDocument = (xmlDoc) => {
+  const points = [];
+  const markers = [];
+  const documentEl = xmlDoc.getElementsByTagNameNS('*', 'Document')[0];
+  const name = (documentEl && childText(documentEl, 'name')) || 'KML Route';
+  const placemarks = Array.from(xmlDoc.getElementsByTagNameNS('*', 'Placemark'));
+
+  placemarks.forEach((placemark, placemarkIdx) => {
+    const placemarkName = childText(placemark, 'name') || `Placemark ${placemarkIdx + 1}`;
+
+    Array.from(placemark.getElementsByTagNameNS('*', 'LineString')).forEach(lineString => {
+      parseCoordinates(childText(lineString, 'coordinates') || '').forEach(([lon, lat, alt], pointIdx) => {
+        points.push({
+          lat,
+          lon,
+          elevation: Number.isFinite(alt) ? alt : null,
+          time: null,
+          name: `${placemarkName} - Point ${pointIdx + 1}`,
+          index: points.length
+        });
+      });
+    });
+
+    // gx:Track pairs each <when> timestamp with a space-separated <gx:coord>
+    Array.from(placemark.getElementsByTagNameNS('*', 'Track')).forEach(track => {
+      const whens = Array.from(track.getElementsByTagNameNS('*', 'when'));
+      Array.from(track.getElementsByTagNameNS('*', 'coord')).forEach((coord, pointIdx) => {
+        const [lon, lat, alt] = coord.textContent.trim().split(/\s+/).map(parseFloat);
+        if (!isNaN(lat) && !isNaN(lon)) {
+          points.push({
+            lat,
+            lon,
+            elevation: Number.isFinite(alt) ? alt : null,
+            time: whens[pointIdx] ? new Date(whens[pointIdx].textContent) : null,
+            name: `${placemarkName} - Point ${pointIdx + 1}`,
+            index: points.length
+          });
+        }
+      });
+    });
+
+    Array.from(placemark.getElementsByTagNameNS('*', 'Point')).forEach(pointEl => {
+      const [coordinate] = parseCoordinates(childText(pointEl, 'coordinates') || '');
+      if (coordinate) {
+        const [lon, lat, alt] = coordinate;
+        markers.push({
+          lat,
+          lon,
+          elevation: Number.isFinite(alt) ? alt : null,
+          name: placemarkName,
+          index: markers.length,
+          isWaypoint: true
+        });
+      }
+    });
+  });
+
+  if (points.length === 0 && markers.length === 0) {
+    throw new Error('No route data found in KML file. File must contain a <Placemark> with a <LineString>, <gx:Track> or <Point>.');
+  }
+
+  return { points: points.length > 0 ? points : markers, name };
+};
@@ -0,0 +1,16 @@
+// Standard environmental lapse rate: 6.5°C per km of climb, expressed in °F per meter
+export const LAPSE_RATE_F_PER_M = 6.5 * 1.8 / 1000;
+
+/**
+ * Adjust a forecast temperature from the model grid elevation to an actual elevation
+ * @param {number} temperature - Forecast temperature in °F at the grid elevation
+ * @param {number|null} elevation - Actual elevation in meters
+ * @param {number|null} gridElevation - Elevation of the forecast grid cell in meters
+ * @returns {number} Temperature in °F at the actual elevation
+ */
+export const adjustTemperatureForElevation = (temperature, elevation, gridElevation) => {
+  if (!Number.isFinite(elevation) || !Number.isFinite(gridElevation)) {
+    return temperature;
+  }
+  return Math.round(temperature + (gridElevation - elevation) * LAPSE_RATE_F_PER_M);
+};
@@ -0,0 +1,127 @@
+// Offline support: registering the service worker (public/sw.js), fetching a planned
+// route's map tiles ahead of time, and keeping the last plan so it can be shown without
+// a connection.
+
+export const TILE_URL = 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png';
+const TILE_SUBDOMAINS = ['a', 'b', 'c'];
+
+const LAST_PLAN_KEY = 'wsiw:last-plan';
+
+/**
+ * Register the service worker that caches the app and map tiles
+ * @returns {Promise<ServiceWorkerRegistration|null>}
+ */
+export const registerServiceWorker = async () => {
+  if (!('serviceWorker' in navigator)) {
+    return null;
+  }
+  try {
+    return await navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js`);
+  } catch (error) {
+    console.warn('Service worker registration failed:', error);
+    return null;
+  }
+};
+
+// Slippy-map tile holding a point at a zoom level
+const tileFor = (lat, lon, zoom) => {
+  const scale = 2 ** zoom;
+  const latRad = lat * Math.PI / 180;
+  return {
+    x: Math.floor((lon + 180) / 360 * scale),
+    y: Math.floor((1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2 * scale)
+  };
+};
+
+/**
+ * Tile URLs covering the bounding box of some points, from minZoom up to the deepest
+ * zoom that keeps the total within maxTiles. Subdomains are picked the way Leaflet picks
+ * them, so the cached URLs are the ones the map asks for.
+ * @param {Array<{lat: number, lon: number}>} points - Route points or stops
+ * @param {Object} options - minZoom, maxZoom, maxTiles
+ * @returns {Array<string>}
+ */
+export const tileUrlsForPoints = (points, { minZoom = 10, maxZoom = 16, maxTiles = 600 } = {}) => {
+  const located = points.filter(p => Number.isFinite(p?.lat) && Number.isFinite(p?.lon));
+  if (located.length === 0) {
+    return [];
+  }
+  const lats = located.map(p => p.lat);
+  const lons = located.map(p => p.lon);
+  // A margin around the route, so the map can be panned a little
+  const pad = 0.01;
+  const north = Math.max(...lats) + pad;
+  const south = Math.min(...lats) - pad;
+  const west = Math.min(...lons) - pad;
+  const east = Math.max(...lons) + pad;
+
+  const urls = [];
+  for (let zoom = minZoom; zoom <= maxZoom; zoom++) {
+    const topLeft = tileFor(north, west, zoom);
+    const bottomRight = tileFor(south, east, zoom);
+    const count = (bottomRight.x - topLeft.x + 1) * (bottomRight.y - topLeft.y + 1);
+    if (urls.length + count > maxTiles) break;
+    for (let x = topLeft.x; x <= bottomRight.x; x++) {
+      for (let y = topLeft.y; y <= bottomRight.y; y++) {
+        urls.push(TILE_URL
+          .replace('{s}', TILE_SUBDOMAINS[Math.abs(x + y) % TILE_SUBDOMAINS.length])
+          .replace('{z}', zoom)
+          .replace('{x}', x)
+          .replace('{y}', y));
+      }
+    }
+  }
+  return urls;
+};
+
+/**
+ * Ask the service worker to fetch and keep the map tiles around a route. Does nothing
+ * when no service worker is running, e.g. in development.
+ * @param {Array<{lat: number, lon: number}>} points - Route points or stops
+ */
+export const cacheRouteTiles = async (points) => {
+  if (!('serviceWorker' in navigator)) return;
+  const registration = await navigator.serviceWorker.getRegistration();
+  const urls = tileUrlsForPoints(points);
+  if (registration?.active && urls.length) {
+    registration.active.postMessage({ type: 'CACHE_TILES', urls });
+  }
+};
+
+/**
+ * Keep the plan just made, to show again when the app is opened offline. A route with
+ * too many points for storage is kept without its full track.
+ * @param {Object} plan - Plan state, including forecastAt
+ */
+export const saveLastPlan = (plan) => {
+  try {
+    localStorage.setItem(LAST_PLAN_KEY, JSON.stringify(plan));
+  } catch (error) {
+    try {
+      localStorage.setItem(LAST_PLAN_KEY, JSON.stringify({ ...plan, gpxPoints: [] }));
+    } catch (retryError) {
+      console.warn('Could not keep plan for offline use:', retryError);
+    }
+  }
+};
+
+/**
+ * The last plan made on this device
+ * @returns {Object|null}
+ */
+export const loadLastPlan = () => {
+  try {
+    const plan = JSON.parse(localStorage.getItem(LAST_PLAN_KEY));
+    if (!plan) return null;
+    // Track timestamps are stored as strings
+    const withDates = (points) => (points || []).map(p => ({ ...p, time: p.time ? new Date(p.time) : null }));
+    return {
+      ...plan,
+      gpxPoints: withDates(plan.gpxPoints),
+      sampledGpxPoints: withDates(plan.sampledGpxPoints)
+    };
+  } catch (error) {
+    console.warn('Ignoring unreadable saved plan:', error);
+    return null;
+  }
+};
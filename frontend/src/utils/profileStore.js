@@ -0,0 +1,29 @@
+import { getUserId } from './user';
+import { resolveUnits, validateUnits } from '../../../shared/units.js';
+
+export const PROFILE_PREFIX = 'profile:';
+
+const profileKey = () => `${PROFILE_PREFIX}${getUserId()}`;
+
+/**
+ * Load this person's profile from window.storage
+ * @returns {Promise<{units: Object}>} Profile, with any missing unit preference filled in
+ */
+export const loadProfile = async () => {
+  const data = await window.storage.get(profileKey());
+  const profile = data ? JSON.parse(data.value) : {};
+  return { ...profile, units: resolveUnits(profile.units) };
+};
+
+/**
+ * Validate and store this person's profile
+ * @param {{units: Object}} profile
+ * @throws {Error} When the unit preference is invalid
+ */
+export const saveProfile = async (profile) => {
+  const errors = validateUnits(profile.units);
+  if (errors.length) {
+    throw new Error(errors.join('; '));
+  }
+  await window.storage.set(profileKey(), JSON.stringify(profile));
+};
@@ -0,0 +1,99 @@
+import { parseGPXDocument, addCumulativeDistance, computeRouteStats } from './gpxParser';
+import { parseTCXDocument } from './tcxParser';
+import { parseKMLDocument } from './kmlParser';
+import { parseGeoJSON } from './geojsonParser';
+import { parseFIT } from './fitParser';
+
+export const SUPPORTED_EXTENSIONS = ['.gpx', '.tcx', '.fit', '.kml', '.geojson', '.json'];
+
+// XML formats are told apart by their root element
+const XML_FORMATS = {
+  gpx: { format: 'GPX', parse: parseGPXDocument },
+  TrainingCenterDatabase: { format: 'TCX', parse: parseTCXDocument },
+  kml: { format: 'KML', parse: parseKMLDocument }
+};
+
+// Files are always read as bytes: FIT is binary, text formats are decoded after sniffing
+const readFile = (file) => {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = (e) => resolve(e.target.result);
+    reader.onerror = () => reject(new Error('Failed to read file'));
+    reader.readAsArrayBuffer(file);
+  });
+};
+
+const isFITBuffer = (buffer) => {
+  return buffer.byteLength >= 12 &&
+    String.fromCharCode(...new Uint8Array(buffer, 8, 4)) === '.FIT';
+};
+
+// Parse text content as GeoJSON or one of the XML route formats
+const parseText = (content, extension) => {
+  const trimmed = content.trim();
+
+  if (trimmed.startsWith('{')) {
+    let geojson;
+    try {
+      geojson = JSON.parse(trimmed);
+    } catch (error) {
+      throw new Error(`Invalid GeoJSON: ${error.message}`);
+    }
+    return { format: 'GeoJSON', ...parseGeoJSON(geojson) };
+  }
+
+  const xmlDoc = new DOMParser().parseFromString(trimmed, 'text/xml');
+  if (xmlDoc.querySelector('parsererror')) {
+    throw new Error(`Invalid XML format in ${extension.replace('.', '').toUpperCase() || 'route'} file`);
+  }
+
+  const rootName = xmlDoc.documentElement.localName;
+  const handler = XML_FORMATS[rootName];
+  if (!handler) {
+    throw new Error(`Unrecognized route file: root element <${rootName}> is not GPX, TCX or KML.`);
+  }
+  return { format: handler.format, ...handler.parse(xmlDoc) };
+};
+
+/**
+ * Import a route file, detecting GPX, TCX, FIT, KML or GeoJSON from its contents
+ * @param {File} file - The route file to import
+ * @returns {Promise<{points: Array, metadata: Object}>} Points with cumulative distance and
+ *   metadata with the route name, format and statistics
+ */
+export const importRouteFile = async (file) => {
+  const extension = (file.name.match(/\.[^.]+$/)?.[0] || '').toLowerCase();
+
+  if (extension === '.kmz') {
+    throw new Error('KMZ files are compressed. Please export the route as a plain .kml file.');
+  }
+
+  let parsed;
+  try {
+    const buffer = await readFile(file);
+    if (!buffer || buffer.byteLength === 0) {
+      throw new Error('File is empty or not readable');
+    }
+
+    parsed = isFITBuffer(buffer)
+      ? { format: 'FIT', ...parseFIT(buffer) }
+      : parseText(new TextDecoder().decode(buffer), extension);
+  } catch (error) {
+    console.error('Route import error:', error);
+    throw error instanceof RangeError
+      ? new Error(`Failed to parse ${extension.replace('.', '').toUpperCase()} file: file is truncated`)
+      : error;
+  }
+
+  const points = addCumulativeDistance(parsed.points);
+
+  return {
+    points,
+    metadata: {
+      name: parsed.name,
+      format: parsed.format,
+      totalPoints: points.length,
+      ...computeRouteStats(points)
+    }
+  };
+};
@@ -0,0 +1,150 @@
+import { adjustTemperatureForElevation } from './lapseRate';
+import { isDaylight } from '../../../shared/daylight.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const average = (values) => values.length ? Math.round(values.reduce((sum, v) => sum + v, 0) / values.length) : null;
+
+/**
+ * Whether every point of a route carries a recorded timestamp
+ * @param {Array} points - Route points
+ * @returns {boolean}
+ */
+export const hasTimestamps = (points) => points.length > 0 &&
+  points.every(p => p.time instanceof Date && !isNaN(p.time.getTime()));
+
+/**
+ * When a recorded activity started and finished
+ * @param {Array} points - Route points in file order
+ * @returns {{start: Date, end: Date}|null} Null when the points aren't all timestamped
+ */
+export const recordedWindow = (points) => {
+  if (!hasTimestamps(points)) {
+    return null;
+  }
+  // Long recordings have too many points to spread into Math.min
+  const times = points.map(p => p.time.getTime());
+  return {
+    start: new Date(times.reduce((a, b) => Math.min(a, b))),
+    end: new Date(times.reduce((a, b) => Math.max(a, b)))
+  };
+};
+
+/**
+ * Estimate when each point on a route will be reached.
+ * Recorded GPX timestamps are replayed relative to the planned start; otherwise the
+ * ETA comes from cumulative distance at the activity's typical speed.
+ * @param {Array} points - Route points with a cumulative `distance` in km
+ * @param {string} startTime - Planned start time
+ * @param {number} speedKmh - Typical moving speed for the activity in km/h
+ * @returns {Array<Date>} Arrival time for each point
+ */
+export const estimateArrivalTimes = (points, startTime, speedKmh) => {
+  const startMs = new Date(startTime).getTime();
+
+  if (hasTimestamps(points)) {
+    const firstMs = points[0].time.getTime();
+    return points.map(p => new Date(startMs + (p.time.getTime() - firstMs)));
+  }
+
+  return points.map(p => new Date(startMs + ((p.distance || 0) / speedKmh) * HOUR_MS));
+};
+
+/**
+ * Estimate how long a route will take, preferring the recorded moving time
+ * @param {Object} routeStats - Route statistics from computeRouteStats
+ * @param {number} speedKmh - Typical moving speed for the activity in km/h
+ * @returns {number} Estimated duration in hours
+ */
+export const estimateDuration = (routeStats, speedKmh) => {
+  if (routeStats.movingTime) {
+    return routeStats.movingTime / 3600;
+  }
+  return routeStats.totalDistance / speedKmh;
+};
+
+/**
+ * Format a duration in hours as "1h 30m"
+ * @param {number} hours
+ * @returns {string}
+ */
+export const formatDuration = (hours) => {
+  const totalMinutes = Math.round(hours * 60);
+  const h = Math.floor(totalMinutes / 60);
+  const m = totalMinutes % 60;
+  return h > 0 ? `${h}h ${m}m` : `${m}m`;
+};
+
+/**
+ * Round a time to the nearest forecast hour
+ * @param {Date|string} time
+ * @returns {number} Epoch milliseconds of the forecast hour
+ */
+export const toForecastHour = (time) => Math.round(new Date(time).getTime() / HOUR_MS) * HOUR_MS;
+
+/**
+ * Group per-point weather into route segments, one per forecast hour.
+ * Each point stands for the stretch of route halfway to its neighbours, so the
+ * segments tile the route from the start to the final point.
+ * When reference elevations are given, each segment also reports the temperature
+ * its forecast implies at the trailhead and at the summit.
+ * @param {Array} pointWeather - Weather records with `distance`, `elevation` and `eta`, in route order
+ * @param {{trailhead: number, summit: number}|null} referenceElevations - Elevations in meters
+ * @returns {Array} Segments shaped like aggregated hourly weather records
+ */
+export const buildRouteTimeline = (pointWeather, referenceElevations = null) => {
+  const segments = [];
+
+  pointWeather.forEach((point, i) => {
+    const prev = pointWeather[i - 1];
+    const next = pointWeather[i + 1];
+    const startKm = prev ? (prev.distance + point.distance) / 2 : point.distance;
+    const endKm = next ? (point.distance + next.distance) / 2 : point.distance;
+    const hourMs = toForecastHour(point.eta);
+    const current = segments[segments.length - 1];
+
+    if (current && current.hourMs === hourMs) {
+      current.endKm = endKm;
+      current.points.push(point);
+    } else {
+      segments.push({ hourMs, startKm, endKm, points: [point] });
+    }
+  });
+
+  return segments.map(({ hourMs, startKm, endKm, points }) => {
+    const temps = points.map(p => p.temperature);
+    const elevations = points.map(p => p.elevation).filter(e => e !== null && e !== undefined);
+    const temperatureAt = (elevation) => Math.round(
+      points.reduce((sum, p) => sum + adjustTemperatureForElevation(p.gridTemperature ?? p.temperature, elevation, p.gridElevation), 0) / points.length
+    );
+
+    return {
+      location: 'GPX Route',
+      time: new Date(hourMs).toISOString(),
+      startKm,
+      endKm,
+      temperature: Math.round((Math.min(...temps) + Math.max(...temps)) / 2),
+      temperatureMin: Math.min(...temps),
+      temperatureMax: Math.max(...temps),
+      windSpeed: Math.max(...points.map(p => p.windSpeed)),
+      precipitationChance: Math.max(...points.map(p => p.precipitationChance)),
+      humidity: Math.round(points.reduce((sum, p) => sum + p.humidity, 0) / points.length),
+      precipitation: Math.max(...points.map(p => p.precipitation || 0)),
+      snowfall: Math.max(...points.map(p => p.snowfall || 0)),
+      // Higher WMO codes are broadly the more severe weather, so the segment keeps the worst
+      weatherCode: Math.max(...points.map(p => p.weatherCode ?? 0)),
+      uvIndex: Math.max(...points.map(p => p.uvIndex ?? 0)),
+      cloudCover: average(points.map(p => p.cloudCover).filter(Number.isFinite)),
+      // Points are timed at their own ETA, so a segment is daylit only if every point is
+      isDay: points.every(isDaylight),
+      sunrise: points[0].sunrise ?? null,
+      sunset: points[0].sunset ?? null,
+      maxElevation: elevations.length > 0 ? Math.max(...elevations) : null,
+      ...(referenceElevations && {
+        trailheadTemperature: temperatureAt(referenceElevations.trailhead),
+        summitTemperature: temperatureAt(referenceElevations.summit)
+      }),
+      isAggregated: true
+    };
+  });
+};
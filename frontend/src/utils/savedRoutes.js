@@ -0,0 +1,81 @@
+export const ROUTE_PREFIX = 'route:';
+
+/**
+ * Build the saved form of a route: everything needed to rebuild the form and the map
+ * without re-uploading the file or re-geocoding the stops
+ * @param {Object} route - Current route state
+ * @returns {Object} Saved route record
+ */
+export const createSavedRoute = ({
+  id, name, activity, effort, startTime, inputMethod,
+  locations, locationCoords, gpxPoints, gpxMetadata, savedAt
+}) => {
+  const isGpx = inputMethod === 'gpx' && gpxPoints?.length > 0;
+  const filledLocations = locations.filter(l => l.trim());
+  const now = new Date().toISOString();
+
+  return {
+    id: id || Date.now().toString(),
+    name: name || (isGpx ? gpxMetadata?.name : filledLocations.join(' → ')) || 'Untitled route',
+    activity,
+    effort,
+    startTime,
+    inputMethod: isGpx ? 'gpx' : 'search',
+    // Coordinates stay aligned with their location inputs, so empty inputs are kept
+    locations: isGpx ? [''] : locations,
+    locationCoords: isGpx ? [null] : locations.map((_, i) => locationCoords?.[i] || null),
+    gpxPoints: isGpx ? gpxPoints : null,
+    gpxMetadata: isGpx ? gpxMetadata : null,
+    savedAt: savedAt || now,
+    updatedAt: now
+  };
+};
+
+/**
+ * Parse a stored route, reviving point timestamps and filling in fields that routes
+ * saved before full definitions were stored don't have
+ * @param {string} value - Stored JSON
+ * @returns {Object} Saved route record
+ */
+export const parseSavedRoute = (value) => {
+  const route = JSON.parse(value);
+  const locations = route.locations?.length ? route.locations : [''];
+
+  return {
+    ...route,
+    name: route.name || locations.filter(l => l.trim()).join(' → ') || 'Untitled route',
+    inputMethod: route.inputMethod || 'search',
+    locations,
+    locationCoords: route.locationCoords || locations.map(() => null),
+    gpxPoints: route.gpxPoints
+      ? route.gpxPoints.map(p => ({ ...p, time: p.time ? new Date(p.time) : null }))
+      : null
+  };
+};
+
+/**
+ * The next given weekday at a given hour, as a datetime-local input value
+ * @param {number} weekday - 0 for Sunday through 6 for Saturday
+ * @param {number} hour - Local hour of day
+ * @param {Date} from - Reference time (default: now)
+ * @returns {string} e.g. '2026-10-24T07:00'
+ */
+export const nextWeekdayAt = (weekday, hour, from = new Date()) => {
+  const date = new Date(from);
+  date.setHours(hour, 0, 0, 0);
+  const daysAhead = (weekday - date.getDay() + 7) % 7;
+  // Today only counts if the hour is still ahead of us
+  date.setDate(date.getDate() + (daysAhead === 0 && date <= from ? 7 : daysAhead));
+
+  return toDateTimeInput(date);
+};
+
+/**
+ * A time as a datetime-local input value, in local time to the minute
+ * @param {Date} date
+ * @returns {string} e.g. '2026-10-24T07:00'
+ */
+export const toDateTimeInput = (date) => {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
@@ -0,0 +1,47 @@
+// Look up child elements by local name so namespace prefixes in Garmin exports don't matter
+const childText = (el, tagName) => el.getElementsByTagNameNS('*', tagName)[0]?.textContent;
+
+/**
+ * Extract route points from a parsed TCX (Garmin Training Center) document.
+ * Handles both recorded <Activities> and planned <Courses>.
+ * @param {Document} xmlDoc - TCX XML document
+ * @returns {{points: Array, name: string}} Points in file order and the route name
+ */
+export const parseTCXDocument = (xmlDoc) => {
+  const points = [];
+  const course = xmlDoc.getElementsByTagNameNS('*', 'Course')[0];
+  const activity = xmlDoc.getElementsByTagNameNS('*', 'Activity')[0];
+  const name = (course && childText(course, 'Name')) ||
+    (activity && `${activity.getAttribute('Sport') || 'TCX'} Activity`) ||
+    'TCX Route';
+
+  const trackpoints = xmlDoc.getElementsByTagNameNS('*', 'Trackpoint');
+  Array.from(trackpoints).forEach((trackpoint, pointIdx) => {
+    // Trackpoints recorded while stationary or without GPS have no <Position>
+    const position = trackpoint.getElementsByTagNameNS('*', 'Position')[0];
+    if (!position) return;
+
+    const lat = parseFloat(childText(position, 'LatitudeDegrees'));
+    const lon = parseFloat(childText(position, 'LongitudeDegrees'));
+
+    if (!isNaN(lat) && !isNaN(lon)) {
+      const altitude = childText(trackpoint, 'AltitudeMeters');
+      const time = childText(trackpoint, 'Time');
+
+      points.push({
+        lat,
+        lon,
+        elevation: altitude ? parseFloat(altitude) : null,
+        time: time ? new Date(time) : null,
+        name: `${name} - Point ${pointIdx + 1}`,
+        index: points.length
+      });
+    }
+  });
+
+  if (points.length === 0) {
+    throw new Error('No route data found in TCX file. File must contain <Trackpoint> elements with a <Position>.');
+  }
+
+  return { points, name };
+};
@@ -0,0 +1,42 @@
+import { validateTrip } from '../../../shared/tripPlanner.js';
+
+export const TRIP_PREFIX = 'trip:';
+
+/**
+ * Load this person's trips from window.storage, skipping any that no longer validate
+ * @returns {Promise<Array>} Trips, soonest first
+ */
+export const loadTrips = async () => {
+  const result = await window.storage.list(TRIP_PREFIX);
+  const trips = [];
+  for (const key of result?.keys || []) {
+    const data = await window.storage.get(key);
+    if (!data) continue;
+
+    const trip = JSON.parse(data.value);
+    const errors = validateTrip(trip);
+    if (errors.length) {
+      console.warn(`Skipping invalid trip ${key}:`, errors);
+    } else {
+      trips.push(trip);
+    }
+  }
+  return trips.sort((a, b) => new Date(a.legs[0].startTime) - new Date(b.legs[0].startTime));
+};
+
+/**
+ * Validate and store a trip
+ * @param {Object} trip
+ * @throws {Error} When the trip is invalid
+ */
+export const saveTrip = async (trip) => {
+  const errors = validateTrip(trip);
+  if (errors.length) {
+    throw new Error(errors.join('; '));
+  }
+  await window.storage.set(`${TRIP_PREFIX}${trip.id}`, JSON.stringify(trip));
+};
+
+export const deleteTrip = async (id) => {
+  await window.storage.delete(`${TRIP_PREFIX}${id}`);
+};
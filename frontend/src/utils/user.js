@@ -0,0 +1,15 @@
+const USER_ID_KEY = 'wsiw:user-id';
+
+/**
+ * Anonymous id for this browser, so personal data (like feedback used for
+ * calibration) can be told apart from everyone else's shared records
+ * @returns {string} Stable per-browser user id
+ */
+export const getUserId = () => {
+  let userId = localStorage.getItem(USER_ID_KEY);
+  if (!userId) {
+    userId = crypto.randomUUID();
+    localStorage.setItem(USER_ID_KEY, userId);
+  }
+  return userId;
+};
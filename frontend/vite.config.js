@@ -2,5 +2,9 @@ import react from '@vitejs/plugin-react'
 
 export default {
   plugins: [react()],
-  base: '/what-should-i-wear/'
-}
\ No newline at end of file
+  base: '/what-should-i-wear/',
+  server: {
+    // The recommendation engine lives in ../shared so the backend can import it too
+    fs: { allow: ['..'] }
+  }
+}
@@ -0,0 +1,648 @@
+// Activities and their layering rules, as plain data. The engine in recommendations.js
+// evaluates these; user-defined activities use exactly the same shape, so they can be
+// created in the app or exchanged as JSON.
+//
+// An activity:
+//   id, name, icon
+//   speed            typical moving speed in km/h, used to time routes and for wind chill
+//   temperatureBands checked in order against the felt temperature (°F); the first band
+//                    whose `below` is above it applies, and a band without `below` catches
+//                    everything warmer
+//   modifiers        extra layers added when every condition in `when` holds. Conditions:
+//                      windAbove: mph
+//                      rain: true                  any precipitation expected
+//                      precipitation: [types]      any of drizzle, rain, snow, freezing-rain
+//                      minIntensity / maxIntensity light, moderate or heavy, at the heaviest hour
+//                      minUv: index                peak UV index
+//                      minCloudCover / maxCloudCover  %, averaged over the daylight hours
+//                      dark: true                  any of the window before sunrise or after sunset
+//                      daylight: true              any of the window between sunrise and sunset
+//                    or `any: [ ...conditions ]` to match when at least one holds
+//   alwaysInclude    layers recommended regardless of the weather (safety gear and the like)
+// A layer is { type, item, reason }, optionally with a `slot` for matching owned gear
+// when the item name doesn't make the body area obvious.
+
+import { PRECIPITATION_TYPES, INTENSITIES } from './precipitation.js';
+
+export const CATALOG_VERSION = 1;
+
+export const LAYER_TYPES = ['Base Layer', 'Mid Layer', 'Outer Layer', 'Accessories', 'Safety'];
+
+// Body areas, each with the words that place a generic layer there. A layer in the
+// rules can also name its slot explicitly.
+export const SLOTS = [
+  { id: 'torso', name: 'Torso', pattern: /\b(top|shirt|jersey|singlet|suit|jacket|vest|shell|fleece|windbreaker|hoodie)\b/ },
+  { id: 'legs', name: 'Legs', pattern: /\b(tights|pants|shorts|bottoms|bibs?|capris|leg warmers|knee warmers)\b/ },
+  { id: 'hands', name: 'Hands', pattern: /\b(gloves?|mittens?)\b/ },
+  { id: 'head', name: 'Head', pattern: /\b(beanie|headband|cap|hat|visor|balaclava)\b/ },
+  { id: 'neck', name: 'Neck', pattern: /\b(gaiter|buff|scarf)\b/ },
+  { id: 'eyes', name: 'Eyes', pattern: /\b(glasses|sunglasses|goggles|eye)\b/ },
+  { id: 'helmet', name: 'Helmet', pattern: /\bhelmet\b/ },
+  { id: 'feet', name: 'Feet', pattern: /\b(socks|shoes|boots|overshoes|booties)\b/ }
+];
+
+export const DEFAULT_ACTIVITIES = [
+  {
+    id: 'run',
+    name: 'Run',
+    icon: '🏃',
+    speed: 10,
+    temperatureBands: [
+      {
+        below: 32,
+        layers: [
+          { type: 'Base Layer', item: 'Thermal long-sleeve top', reason: 'Cold protection' },
+          { type: 'Base Layer', item: 'Thermal tights', reason: 'Leg warmth' },
+          { type: 'Mid Layer', item: 'Light insulated vest', reason: 'Core warmth' },
+          { type: 'Accessories', item: 'Running gloves', reason: 'Hand protection' },
+          { type: 'Accessories', item: 'Headband or beanie', reason: 'Ear warmth' }
+        ]
+      },
+      {
+        below: 50,
+        layers: [
+          { type: 'Base Layer', item: 'Long-sleeve tech shirt', reason: 'Moisture wicking' },
+          { type: 'Base Layer', item: 'Running tights or pants', reason: 'Leg comfort' },
+          { type: 'Accessories', item: 'Light gloves', reason: 'Hand warmth' }
+        ]
+      },
+      {
+        below: 65,
+        layers: [
+          { type: 'Base Layer', item: 'Short-sleeve tech shirt', reason: 'Breathability' },
+          { type: 'Base Layer', item: 'Running shorts or capris', reason: 'Mobility' }
+        ]
+      },
+      {
+        layers: [
+          { type: 'Base Layer', item: 'Lightweight singlet', reason: 'Maximum cooling' },
+          { type: 'Base Layer', item: 'Running shorts', reason: 'Comfort' },
+          { type: 'Accessories', item: 'Visor or hat', reason: 'Sun protection' }
+        ]
+      }
+    ],
+    modifiers: [
+      {
+        when: { windAbove: 15 },
+        layers: [{ type: 'Outer Layer', item: 'Windbreaker jacket', reason: 'Wind protection' }]
+      },
+      {
+        when: { precipitation: ['drizzle', 'rain'], maxIntensity: 'light' },
+        layers: [{ type: 'Outer Layer', item: 'Water-resistant running shell', reason: 'Light rain protection' }]
+      },
+      {
+        when: { precipitation: ['rain', 'freezing-rain'], minIntensity: 'moderate' },
+        layers: [{ type: 'Outer Layer', item: 'Waterproof running jacket', reason: 'Rain protection' }]
+      },
+      {
+        when: { precipitation: ['rain'], minIntensity: 'heavy' },
+        layers: [{ type: 'Accessories', item: 'Brimmed running cap', reason: 'Keeps rain out of your eyes' }]
+      },
+      {
+        when: { precipitation: ['snow'] },
+        layers: [
+          { type: 'Outer Layer', item: 'Water-resistant running shell', reason: 'Sheds falling snow' },
+          { type: 'Accessories', item: 'Trail shoes with grippy outsoles', reason: 'Footing on snow', slot: 'feet' }
+        ]
+      },
+      {
+        when: { precipitation: ['freezing-rain'] },
+        layers: [{ type: 'Safety', item: 'Traction devices (microspikes)', reason: 'Ice on paths', slot: 'feet' }]
+      },
+      {
+        when: { minUv: 3 },
+        layers: [{ type: 'Accessories', item: 'Sunscreen', reason: 'UV protection' }]
+      },
+      {
+        when: { daylight: true, maxCloudCover: 50 },
+        layers: [{ type: 'Accessories', item: 'Sunglasses', reason: 'Glare' }]
+      },
+      {
+        when: { dark: true },
+        layers: [
+          { type: 'Safety', item: 'Headlamp', reason: 'See the path in the dark' },
+          { type: 'Safety', item: 'Reflective vest or clip-on lights', reason: 'Be seen by traffic' }
+        ]
+      }
+    ],
+    alwaysInclude: []
+  },
+  {
+    id: 'mountain-bike',
+    name: 'Mountain Bike',
+    icon: '🚵',
+    speed: 15,
+    temperatureBands: [
+      {
+        below: 40,
+        layers: [
+          { type: 'Base Layer', item: 'Thermal long-sleeve jersey', reason: 'Cold protection' },
+          { type: 'Base Layer', item: 'Padded thermal bib tights', reason: 'Comfort and warmth' },
+          { type: 'Mid Layer', item: 'Softshell jacket', reason: 'Insulation' },
+          { type: 'Accessories', item: 'Winter cycling gloves', reason: 'Hand warmth' },
+          { type: 'Accessories', item: 'Thermal headband', reason: 'Ear protection' }
+        ]
+      },
+      {
+        below: 60,
+        layers: [
+          { type: 'Base Layer', item: 'Long-sleeve MTB jersey', reason: 'Trail protection' },
+          { type: 'Base Layer', item: 'Padded shorts with knee warmers', reason: 'Flexibility' },
+          { type: 'Accessories', item: 'Light gloves', reason: 'Grip and protection' }
+        ]
+      },
+      {
+        layers: [
+          { type: 'Base Layer', item: 'Short-sleeve MTB jersey', reason: 'Breathability' },
+          { type: 'Base Layer', item: 'Padded shorts', reason: 'Comfort' },
+          { type: 'Accessories', item: 'Full-finger gloves', reason: 'Trail protection' }
+        ]
+      }
+    ],
+    modifiers: [
+      {
+        when: { precipitation: ['drizzle', 'rain'], maxIntensity: 'light' },
+        layers: [{ type: 'Outer Layer', item: 'Water-resistant MTB shell', reason: 'Light rain and spray' }]
+      },
+      {
+        when: { precipitation: ['rain', 'snow', 'freezing-rain'], minIntensity: 'moderate' },
+        layers: [{ type: 'Outer Layer', item: 'Waterproof MTB jacket', reason: 'Weather protection' }]
+      },
+      {
+        when: { any: [{ precipitation: ['rain'], minIntensity: 'heavy' }, { precipitation: ['snow'] }] },
+        layers: [{ type: 'Accessories', item: 'Waterproof socks', reason: 'Standing water and slush' }]
+      },
+      {
+        when: { minUv: 3 },
+        layers: [{ type: 'Accessories', item: 'Sunscreen', reason: 'UV protection' }]
+      },
+      {
+        when: { daylight: true, maxCloudCover: 50 },
+        layers: [{ type: 'Accessories', item: 'Tinted lenses', reason: 'Glare', slot: 'eyes' }]
+      },
+      {
+        when: { any: [{ dark: true }, { minCloudCover: 80 }] },
+        layers: [{ type: 'Accessories', item: 'Clear lenses', reason: 'Keeps what light there is', slot: 'eyes' }]
+      },
+      {
+        when: { dark: true },
+        layers: [{ type: 'Safety', item: 'Bar light and helmet light', reason: 'Riding trails in the dark' }]
+      }
+    ],
+    alwaysInclude: [
+      { type: 'Safety', item: 'Helmet', reason: 'Essential safety' },
+      { type: 'Safety', item: 'Eye protection', reason: 'Debris protection' }
+    ]
+  },
+  {
+    id: 'road-bike',
+    name: 'Road Bike',
+    icon: '🚴',
+    speed: 25,
+    temperatureBands: [
+      {
+        below: 45,
+        layers: [
+          { type: 'Base Layer', item: 'Thermal cycling jersey', reason: 'Warmth' },
+          { type: 'Base Layer', item: 'Thermal bib tights', reason: 'Leg warmth' },
+          { type: 'Mid Layer', item: 'Wind vest', reason: 'Core protection' },
+          { type: 'Accessories', item: 'Winter cycling gloves', reason: 'Hand warmth' },
+          { type: 'Accessories', item: 'Thermal cap under helmet', reason: 'Head warmth' }
+        ]
+      },
+      {
+        below: 65,
+        layers: [
+          { type: 'Base Layer', item: 'Long-sleeve cycling jersey', reason: 'Comfort' },
+          { type: 'Base Layer', item: 'Bib shorts with leg warmers', reason: 'Adaptability' },
+          { type: 'Accessories', item: 'Light gloves', reason: 'Grip' }
+        ]
+      },
+      {
+        layers: [
+          { type: 'Base Layer', item: 'Short-sleeve cycling jersey', reason: 'Cooling' },
+          { type: 'Base Layer', item: 'Bib shorts', reason: 'Comfort' },
+          { type: 'Accessories', item: 'Cycling cap', reason: 'Sun protection' }
+        ]
+      }
+    ],
+    modifiers: [
+      {
+        when: { windAbove: 15 },
+        layers: [{ type: 'Outer Layer', item: 'Wind jacket', reason: 'Aerodynamics' }]
+      },
+      {
+        when: { precipitation: ['drizzle', 'rain'], maxIntensity: 'light' },
+        layers: [{ type: 'Outer Layer', item: 'Water-resistant cycling gilet', reason: 'Light rain and road spray' }]
+      },
+      {
+        when: { precipitation: ['rain', 'snow', 'freezing-rain'], minIntensity: 'moderate' },
+        layers: [{ type: 'Outer Layer', item: 'Waterproof cycling jacket', reason: 'Keeps rain and wet snow out' }]
+      },
+      {
+        when: { any: [{ precipitation: ['rain'], minIntensity: 'heavy' }, { precipitation: ['snow', 'freezing-rain'] }] },
+        layers: [{ type: 'Accessories', item: 'Waterproof overshoes', reason: 'Keeps feet dry' }]
+      },
+      {
+        when: { precipitation: ['snow', 'freezing-rain'] },
+        layers: [{ type: 'Safety', item: 'Front and rear lights', reason: 'Poor visibility and slick roads' }]
+      },
+      {
+        when: { minUv: 3 },
+        layers: [{ type: 'Accessories', item: 'Sunscreen', reason: 'UV protection' }]
+      },
+      {
+        when: { daylight: true, maxCloudCover: 50 },
+        layers: [{ type: 'Accessories', item: 'Tinted lenses', reason: 'Glare', slot: 'eyes' }]
+      },
+      {
+        when: { any: [{ dark: true }, { minCloudCover: 80 }] },
+        layers: [{ type: 'Accessories', item: 'Clear lenses', reason: 'Keeps what light there is', slot: 'eyes' }]
+      },
+      {
+        when: { dark: true },
+        layers: [
+          { type: 'Safety', item: 'Front and rear lights', reason: 'Be seen in the dark' },
+          { type: 'Safety', item: 'Reflective ankle bands', reason: 'Moving reflectors catch drivers\' eyes', slot: 'legs' }
+        ]
+      }
+    ],
+    alwaysInclude: [
+      { type: 'Safety', item: 'Helmet', reason: 'Essential safety' },
+      { type: 'Safety', item: 'Cycling glasses', reason: 'Eye protection' }
+    ]
+  },
+  {
+    id: 'downhill-ski',
+    name: 'Downhill Ski',
+    icon: '⛷️',
+    speed: 30,
+    temperatureBands: [
+      {
+        below: 20,
+        layers: [
+          { type: 'Base Layer', item: 'Heavyweight thermal top', reason: 'Extreme cold' },
+          { type: 'Base Layer', item: 'Heavyweight thermal bottoms', reason: 'Leg warmth' },
+          { type: 'Mid Layer', item: 'Insulated ski jacket', reason: 'Core warmth' },
+          { type: 'Outer Layer', item: 'Waterproof ski pants', reason: 'Snow protection' },
+          { type: 'Accessories', item: 'Insulated ski gloves', reason: 'Hand warmth' },
+          { type: 'Accessories', item: 'Balaclava or neck gaiter', reason: 'Face protection' }
+        ]
+      },
+      {
+        layers: [
+          { type: 'Base Layer', item: 'Midweight thermal top', reason: 'Moisture management' },
+          { type: 'Base Layer', item: 'Midweight thermal bottoms', reason: 'Comfort' },
+          { type: 'Mid Layer', item: 'Lightweight insulated jacket', reason: 'Warmth' },
+          { type: 'Outer Layer', item: 'Waterproof ski pants', reason: 'Snow protection' },
+          { type: 'Accessories', item: 'Ski gloves', reason: 'Hand protection' },
+          { type: 'Accessories', item: 'Neck gaiter', reason: 'Versatility' }
+        ]
+      }
+    ],
+    modifiers: [
+      {
+        when: { precipitation: ['drizzle', 'rain', 'freezing-rain'] },
+        layers: [{ type: 'Outer Layer', item: 'Waterproof shell jacket', reason: 'Rain soaks through insulated ski jackets' }]
+      },
+      {
+        when: { precipitation: ['snow'], minIntensity: 'moderate' },
+        layers: [{ type: 'Accessories', item: 'Low-light goggle lens', reason: 'Flat light in falling snow', slot: 'eyes' }]
+      },
+      {
+        when: { any: [{ dark: true }, { minCloudCover: 80 }] },
+        layers: [{ type: 'Accessories', item: 'Low-light goggle lens', reason: 'Flat light under cloud or on night runs', slot: 'eyes' }]
+      },
+      {
+        when: { daylight: true, maxCloudCover: 30 },
+        layers: [{ type: 'Accessories', item: 'Dark goggle lens', reason: 'Bright sun on snow', slot: 'eyes' }]
+      },
+      {
+        when: { minUv: 3 },
+        layers: [{ type: 'Accessories', item: 'Sunscreen', reason: 'Snow reflects UV back up' }]
+      }
+    ],
+    alwaysInclude: [
+      { type: 'Safety', item: 'Ski helmet', reason: 'Essential safety' },
+      { type: 'Safety', item: 'Ski goggles', reason: 'Vision protection' }
+    ]
+  },
+  {
+    id: 'backcountry-ski',
+    name: 'Backcountry Ski',
+    icon: '🎿',
+    speed: 8,
+    temperatureBands: [
+      {
+        below: 20,
+        layers: [
+          { type: 'Base Layer', item: 'Merino wool top', reason: 'Temperature regulation' },
+          { type: 'Base Layer', item: 'Merino wool bottoms', reason: 'Warmth and breathability' },
+          { type: 'Mid Layer', item: 'Lightweight down jacket', reason: 'Packable warmth' },
+          { type: 'Outer Layer', item: 'Hardshell jacket', reason: 'Weather protection' },
+          { type: 'Outer Layer', item: 'Hardshell pants', reason: 'Snow protection' }
+        ]
+      },
+      {
+        layers: [
+          { type: 'Base Layer', item: 'Lightweight merino top', reason: 'Breathability' },
+          { type: 'Base Layer', item: 'Lightweight merino bottoms', reason: 'Comfort' },
+          { type: 'Mid Layer', item: 'Fleece or softshell', reason: 'Active insulation' },
+          { type: 'Outer Layer', item: 'Softshell pants', reason: 'Mobility' }
+        ]
+      }
+    ],
+    modifiers: [
+      {
+        when: { precipitation: ['drizzle', 'rain', 'freezing-rain'] },
+        layers: [{ type: 'Outer Layer', item: 'Waterproof shell jacket', reason: 'Wet snow and rain' }]
+      },
+      {
+        when: { precipitation: ['snow'], minIntensity: 'heavy' },
+        layers: [{ type: 'Safety', item: 'Avalanche forecast check', reason: 'Heavy snowfall loads slopes' }]
+      },
+      {
+        when: { precipitation: ['rain', 'freezing-rain'] },
+        layers: [{ type: 'Safety', item: 'Avalanche forecast check', reason: 'Rain on snow weakens the snowpack' }]
+      },
+      {
+        when: { minUv: 3 },
+        layers: [{ type: 'Accessories', item: 'Sunscreen', reason: 'Altitude and snow glare' }]
+      },
+      {
+        when: { dark: true },
+        layers: [{ type: 'Safety', item: 'Headlamp', reason: 'Pre-dawn starts and late exits' }]
+      }
+    ],
+    alwaysInclude: [
+      { type: 'Accessories', item: 'Lightweight gloves', reason: 'Hand warmth while touring' },
+      { type: 'Accessories', item: 'Beanie or headband', reason: 'Head warmth' },
+      { type: 'Safety', item: 'Ski helmet', reason: 'Safety' },
+      { type: 'Safety', item: 'Ski goggles + sunglasses', reason: 'Variable conditions' }
+    ]
+  },
+  {
+    id: 'nordic-ski',
+    name: 'Nordic Ski',
+    icon: '⛷️',
+    speed: 12,
+    temperatureBands: [
+      {
+        below: 20,
+        layers: [
+          { type: 'Base Layer', item: 'Thermal racing suit or top/bottom', reason: 'Warmth' },
+          { type: 'Mid Layer', item: 'Light vest', reason: 'Core warmth' },
+          { type: 'Accessories', item: 'Insulated gloves', reason: 'Hand warmth' },
+          { type: 'Accessories', item: 'Headband or light beanie', reason: 'Ear protection' }
+        ]
+      },
+      {
+        below: 40,
+        layers: [
+          { type: 'Base Layer', item: 'XC ski suit or jersey/tights', reason: 'Aerodynamics' },
+          { type: 'Accessories', item: 'Light gloves', reason: 'Grip and warmth' },
+          { type: 'Accessories', item: 'Headband', reason: 'Ear warmth' }
+        ]
+      },
+      {
+        layers: [
+          { type: 'Base Layer', item: 'Lightweight XC top', reason: 'Cooling' },
+          { type: 'Base Layer', item: 'Lightweight XC tights', reason: 'Mobility' },
+          { type: 'Accessories', item: 'Thin gloves', reason: 'Pole grip' }
+        ]
+      }
+    ],
+    modifiers: [
+      {
+        when: { any: [{ windAbove: 15 }, { precipitation: ['drizzle', 'snow'] }, { precipitation: ['rain'], maxIntensity: 'light' }] },
+        layers: [{ type: 'Outer Layer', item: 'Wind vest or light shell', reason: 'Weather protection' }]
+      },
+      {
+        when: { precipitation: ['rain', 'freezing-rain'], minIntensity: 'moderate' },
+        layers: [{ type: 'Outer Layer', item: 'Waterproof shell jacket', reason: 'Rain protection' }]
+      },
+      {
+        when: { precipitation: ['freezing-rain'] },
+        layers: [{ type: 'Safety', item: 'Klister wax or skin skis', reason: 'Icy glazed tracks' }]
+      },
+      {
+        when: { minUv: 3 },
+        layers: [{ type: 'Accessories', item: 'Sunscreen', reason: 'Snow reflects UV back up' }]
+      },
+      {
+        when: { dark: true },
+        layers: [{ type: 'Safety', item: 'Headlamp', reason: 'Unlit trails' }]
+      }
+    ],
+    alwaysInclude: [
+      { type: 'Accessories', item: 'Sunglasses or light goggles', reason: 'Eye protection' }
+    ]
+  }
+];
+
+const isPrecipitationList = (value) => Array.isArray(value) && value.length > 0 &&
+  value.every(type => PRECIPITATION_TYPES.includes(type));
+const intensityRank = (intensity) => INTENSITIES.indexOf(intensity);
+const isPercent = (value) => Number.isFinite(value) && value >= 0 && value <= 100;
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// Condition keys a modifier can use, tested against the result of assessConditions.
+// `basis` names the figure cited in the layer's reason.
+export const CONDITIONS = {
+  windAbove: {
+    basis: 'wind',
+    isValid: (value) => Number.isFinite(value),
+    test: (conditions, value) => conditions.maxWind > value
+  },
+  rain: {
+    basis: 'rain',
+    isValid: (value) => typeof value === 'boolean',
+    test: (conditions, value) => conditions.hasRain === value
+  },
+  precipitation: {
+    basis: 'rain',
+    isValid: isPrecipitationList,
+    test: (conditions, value) => conditions.precipitation.types.some(type => value.includes(type))
+  },
+  minIntensity: {
+    basis: 'rain',
+    isValid: (value) => INTENSITIES.includes(value),
+    test: (conditions, value) => conditions.precipitation.intensity !== null &&
+      intensityRank(conditions.precipitation.intensity) >= intensityRank(value)
+  },
+  maxIntensity: {
+    basis: 'rain',
+    isValid: (value) => INTENSITIES.includes(value),
+    test: (conditions, value) => conditions.precipitation.intensity !== null &&
+      intensityRank(conditions.precipitation.intensity) <= intensityRank(value)
+  },
+  minUv: {
+    basis: 'sun',
+    isValid: (value) => Number.isFinite(value),
+    test: (conditions, value) => conditions.sun.maxUv >= value
+  },
+  minCloudCover: {
+    basis: 'sun',
+    isValid: isPercent,
+    test: (conditions, value) => conditions.sun.cloudCover !== null && conditions.sun.cloudCover >= value
+  },
+  maxCloudCover: {
+    basis: 'sun',
+    isValid: isPercent,
+    test: (conditions, value) => conditions.sun.cloudCover !== null && conditions.sun.cloudCover <= value
+  },
+  daylight: {
+    basis: 'daylight',
+    isValid: (value) => typeof value === 'boolean',
+    test: (conditions, value) => conditions.sun.daylight === value
+  },
+  dark: {
+    basis: 'daylight',
+    isValid: (value) => typeof value === 'boolean',
+    test: (conditions, value) => conditions.sun.dark === value
+  }
+};
+
+const validateCondition = (when, path, errors) => {
+  if (!isPlainObject(when)) {
+    errors.push(`${path} must be an object of conditions`);
+    return;
+  }
+  Object.entries(when).forEach(([key, value]) => {
+    if (key === 'any') {
+      if (!Array.isArray(value) || value.length === 0) {
+        errors.push(`${path}.any must be a non-empty array of conditions`);
+      } else {
+        value.forEach((inner, i) => validateCondition(inner, `${path}.any[${i}]`, errors));
+      }
+    } else if (!CONDITIONS[key]) {
+      errors.push(`${path}.${key} is not a known condition (${Object.keys(CONDITIONS).join(', ')}, any)`);
+    } else if (!CONDITIONS[key].isValid(value)) {
+      errors.push(`${path}.${key} has an invalid value`);
+    }
+  });
+};
+
+const validateLayers = (layers, path, errors) => {
+  if (!Array.isArray(layers)) {
+    errors.push(`${path} must be an array`);
+    return;
+  }
+  layers.forEach((layer, i) => {
+    if (!isPlainObject(layer)) {
+      errors.push(`${path}[${i}] must be an object`);
+      return;
+    }
+    if (typeof layer.item !== 'string' || !layer.item.trim()) {
+      errors.push(`${path}[${i}].item is required`);
+    }
+    if (!LAYER_TYPES.includes(layer.type)) {
+      errors.push(`${path}[${i}].type must be one of ${LAYER_TYPES.join(', ')}`);
+    }
+    if (layer.reason !== undefined && typeof layer.reason !== 'string') {
+      errors.push(`${path}[${i}].reason must be a string`);
+    }
+    if (layer.slot !== undefined && !SLOTS.some(slot => slot.id === layer.slot)) {
+      errors.push(`${path}[${i}].slot must be one of ${SLOTS.map(slot => slot.id).join(', ')}`);
+    }
+  });
+};
+
+/**
+ * Check an activity definition against the catalog shape
+ * @param {Object} activity - Activity definition
+ * @returns {Array<string>} Problems found, empty when the definition is usable
+ */
+export const validateActivity = (activity) => {
+  const errors = [];
+  if (!isPlainObject(activity)) {
+    return ['activity must be an object'];
+  }
+
+  if (typeof activity.id !== 'string' || !/^[a-z0-9][a-z0-9-]*$/.test(activity.id)) {
+    errors.push('id must be lowercase letters, digits and dashes');
+  }
+  if (typeof activity.name !== 'string' || !activity.name.trim()) {
+    errors.push('name is required');
+  }
+  if (!Number.isFinite(activity.speed) || activity.speed <= 0) {
+    errors.push('speed must be a positive number of km/h');
+  }
+
+  const bands = activity.temperatureBands;
+  if (!Array.isArray(bands) || bands.length === 0) {
+    errors.push('temperatureBands must be a non-empty array');
+  } else {
+    bands.forEach((band, i) => {
+      if (!isPlainObject(band)) {
+        errors.push(`temperatureBands[${i}] must be an object`);
+        return;
+      }
+      const isLast = i === bands.length - 1;
+      if (band.below !== undefined && !Number.isFinite(band.below)) {
+        errors.push(`temperatureBands[${i}].below must be a number`);
+      }
+      if (band.below === undefined && !isLast) {
+        errors.push(`temperatureBands[${i}] has no upper bound, so only the last band may omit below`);
+      }
+      if (i > 0 && Number.isFinite(band.below) && band.below <= bands[i - 1]?.below) {
+        errors.push(`temperatureBands[${i}].below must be warmer than the band before it`);
+      }
+      validateLayers(band.layers, `temperatureBands[${i}].layers`, errors);
+    });
+  }
+
+  const modifiers = activity.modifiers ?? [];
+  if (!Array.isArray(modifiers)) {
+    errors.push('modifiers must be an array');
+  } else {
+    modifiers.forEach((modifier, i) => {
+      if (!isPlainObject(modifier)) {
+        errors.push(`modifiers[${i}] must be an object`);
+        return;
+      }
+      validateCondition(modifier.when, `modifiers[${i}].when`, errors);
+      validateLayers(modifier.layers, `modifiers[${i}].layers`, errors);
+    });
+  }
+  validateLayers(activity.alwaysInclude ?? [], 'alwaysInclude', errors);
+
+  return errors;
+};
+
+/**
+ * Serialize activities for sharing
+ * @param {Array} activities - Activity definitions
+ * @returns {string} JSON document
+ */
+export const exportActivities = (activities) => {
+  return JSON.stringify({ version: CATALOG_VERSION, activities }, null, 2);
+};
+
+/**
+ * Read activities from an exported JSON document (or a bare array of definitions)
+ * @param {string} json - JSON text
+ * @returns {Array} Validated activity definitions
+ * @throws {Error} When the document or any definition is invalid
+ */
+export const importActivities = (json) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(json);
+  } catch (error) {
+    throw new Error(`Invalid JSON: ${error.message}`);
+  }
+
+  const activities = Array.isArray(parsed) ? parsed : parsed?.activities;
+  if (!Array.isArray(activities)) {
+    throw new Error('Expected an array of activities or { "activities": [...] }');
+  }
+
+  activities.forEach((activity, i) => {
+    const errors = validateActivity(activity);
+    if (errors.length) {
+      throw new Error(`Activity ${activity?.name || i + 1}: ${errors.join('; ')}`);
+    }
+  });
+  return activities;
+};
@@ -0,0 +1,83 @@
+// Post-activity report: what was recommended for the conditions an activity actually had,
+// set against what was worn and how it felt.
+
+// Votes as calibration reads them (see calibration.js)
+const COMFORT = ['too-cold', 'just-right', 'too-hot'];
+
+const normalize = (name) => name.trim().toLowerCase();
+
+const listItems = (items) => {
+  if (items.length <= 1) return items.join('');
+  return `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}`;
+};
+
+/**
+ * Judge the recommendation from what was worn and how it felt. Comfort only says something
+ * about the recommendation when the outfit was close to it, or when the difference points
+ * the other way: skipping layers and still running hot means the recommendation was too
+ * warm, not that this person runs hot.
+ * @param {{skipped: Array, extra: Array}} differences - Layers left out and added
+ * @param {string} comfort - too-cold, just-right or too-hot
+ * @returns {string|null} The vote for calibration, or null when the outing can't tell
+ */
+const recommendationVote = ({ skipped, extra }, comfort) => {
+  const lighter = skipped.length > 0 && extra.length === 0;
+  const heavier = extra.length > 0 && skipped.length === 0;
+  const followed = skipped.length === 0 && extra.length === 0;
+
+  if (comfort === 'too-cold') {
+    return followed || heavier ? 'too-cold' : null;
+  }
+  if (comfort === 'too-hot') {
+    return followed || lighter ? 'too-hot' : null;
+  }
+  // Comfortable in less than recommended: the recommendation was warmer than needed
+  if (lighter) return 'too-hot';
+  if (heavier) return 'too-cold';
+  return followed ? 'just-right' : null;
+};
+
+/**
+ * Compare the recommended outfit with what was worn
+ * @param {Array} recommended - Layers from generateRecommendations
+ * @param {Array<string>} worn - Names of everything worn
+ * @param {string} comfort - too-cold, just-right or too-hot
+ * @returns {{matched: Array<string>, skipped: Array<string>, extra: Array<string>,
+ *   vote: string|null, verdict: string}} Recommended layers worn and left out, what was
+ *   worn beyond them, the vote calibration should take from this outing, and a summary
+ */
+export const compareOutfit = (recommended, worn, comfort) => {
+  if (!COMFORT.includes(comfort)) {
+    throw new Error(`comfort must be one of ${COMFORT.join(', ')}`);
+  }
+  const wornNames = new Set(worn.map(normalize));
+  const recommendedNames = new Set(recommended.map(layer => normalize(layer.item)));
+
+  const differences = {
+    matched: recommended.filter(layer => wornNames.has(normalize(layer.item))).map(layer => layer.item),
+    skipped: recommended.filter(layer => !wornNames.has(normalize(layer.item))).map(layer => layer.item),
+    extra: worn.filter(name => !recommendedNames.has(normalize(name)))
+  };
+  const vote = recommendationVote(differences, comfort);
+
+  let verdict;
+  if (comfort === 'too-cold' && vote === null) {
+    verdict = `You were cold without ${listItems(differences.skipped)}; the recommended outfit would likely have kept you warmer.`;
+  } else if (comfort === 'too-hot' && vote === null) {
+    verdict = `You ran hot with ${listItems(differences.extra)} on top of the recommendation; the recommended outfit was lighter.`;
+  } else if (vote === 'too-cold') {
+    verdict = comfort === 'too-cold'
+      ? 'You were cold even in the recommended outfit, so future recommendations will run warmer.'
+      : `You were comfortable with ${listItems(differences.extra)} on top of the recommendation, so future recommendations will run warmer.`;
+  } else if (vote === 'too-hot') {
+    verdict = comfort === 'too-hot'
+      ? 'You ran hot in the recommended outfit, so future recommendations will run cooler.'
+      : `You were comfortable without ${listItems(differences.skipped)}, so future recommendations will run cooler.`;
+  } else if (vote === 'just-right') {
+    verdict = 'The recommended outfit was just right.';
+  } else {
+    verdict = 'You were comfortable in a different outfit from the one recommended, so this outing leaves your calibration as it is.';
+  }
+
+  return { ...differences, vote, verdict };
+};
@@ -0,0 +1,95 @@
+// Personal temperature calibration learned from "too cold / just right / too hot" feedback.
+
+import { DEFAULT_UNITS, formatMeasure } from './units.js';
+
+// Each vote pulls the felt temperature this far (°F) before shrinkage
+const VOTE_SHIFT_F = 12;
+// Pseudo-weight of an implicit "just right" vote, so one outing moves the offset
+// noticeably but not all the way
+const PRIOR_WEIGHT = 0.25;
+const MAX_OFFSET_F = 15;
+// Feedback from outings this many °F away from today's conditions counts about a third as much
+const TEMPERATURE_SIMILARITY_F = 20;
+// Feedback at a different effort level for the same activity still says something
+const OTHER_EFFORT_WEIGHT = 0.5;
+
+const VOTES = { 'too-cold': 1, 'just-right': 0, 'too-hot': -1 };
+
+// Replayed outings record the vote their outfit supports, which can differ from how they
+// felt (see activityReport.js); null means the outing says nothing about the recommendation
+const voteOf = (f) => ('recommendationVote' in f ? f.recommendationVote : f.feedback);
+
+/**
+ * Check a feedback record
+ * @param {Object} record - Feedback record
+ * @returns {Array<string>} Problems found, empty when the record is usable
+ */
+export const validateFeedbackRecord = (record) => {
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    return ['feedback record must be an object'];
+  }
+  const errors = [];
+  if (typeof record.activity !== 'string' || !record.activity) {
+    errors.push('activity is required');
+  }
+  if (typeof record.feedback !== 'string' || !record.feedback) {
+    errors.push('feedback is required');
+  }
+  return errors;
+};
+
+/**
+ * Build a personal temperature offset for an activity and effort from past feedback.
+ * A negative offset means the person runs cold: the felt temperature is lowered so
+ * warmer layers are recommended.
+ * @param {Array} feedback - Feedback records with activity, effort, avgTemp and feedback, and
+ *   recommendationVote for replayed outings
+ * @param {string} activity - Activity id
+ * @param {string} effortLevel - Effort id
+ * @param {number} airTemp - Today's air temperature in °F, used to weight similar outings
+ * @returns {{offset: number, outings: number}} Offset in °F and the number of outings it draws on
+ */
+export const buildCalibration = (feedback, activity, effortLevel, airTemp) => {
+  // Malformed records (from old storage or a hand-edited import) are skipped, not fatal
+  const relevant = (Array.isArray(feedback) ? feedback : [])
+    .filter(f => validateFeedbackRecord(f).length === 0 && f.activity === activity && voteOf(f) in VOTES);
+
+  let weightedVotes = 0;
+  let totalWeight = 0;
+  relevant.forEach(f => {
+    const effortWeight = f.effort === effortLevel ? 1 : OTHER_EFFORT_WEIGHT;
+    const temperatureWeight = Number.isFinite(f.avgTemp) && Number.isFinite(airTemp)
+      ? Math.exp(-(((f.avgTemp - airTemp) / TEMPERATURE_SIMILARITY_F) ** 2))
+      : 1;
+    const weight = effortWeight * temperatureWeight;
+    weightedVotes += weight * VOTES[voteOf(f)];
+    totalWeight += weight;
+  });
+
+  const offset = -VOTE_SHIFT_F * weightedVotes / (totalWeight + PRIOR_WEIGHT);
+
+  return {
+    offset: Math.round(Math.max(-MAX_OFFSET_F, Math.min(MAX_OFFSET_F, offset))),
+    outings: relevant.length
+  };
+};
+
+/**
+ * Describe a calibration for display, e.g. "You run cold: shifted 6°F warmer based on 9 outings"
+ * @param {{offset: number, outings: number}} calibration
+ * @param {Object} units - Unit preference for the shift
+ * @returns {string|null} Description, or null when there is nothing to report
+ */
+export const describeCalibration = ({ offset, outings }, units = DEFAULT_UNITS) => {
+  if (outings === 0) {
+    return null;
+  }
+  const basis = `based on ${outings} outing${outings === 1 ? '' : 's'}`;
+  if (offset < 0) {
+    return `You run cold: shifted ${formatMeasure('temperatureChange', -offset, units)} warmer ${basis}`;
+  }
+  if (offset > 0) {
+    return `You run warm: shifted ${formatMeasure('temperatureChange', offset, units)} cooler ${basis}`;
+  }
+  return `Your feedback says these picks are about right (${basis})`;
+};
@@ -0,0 +1,102 @@
+// Sun and daylight over a forecast window: UV exposure, cloud cover and whether any
+// of the activity falls before sunrise or after sunset.
+
+// WHO UV index categories, by lower bound
+const UV_CATEGORIES = [
+  { from: 11, label: 'extreme' },
+  { from: 8, label: 'very high' },
+  { from: 6, label: 'high' },
+  { from: 3, label: 'moderate' },
+  { from: 0, label: 'low' }
+];
+
+/**
+ * Whether a record's time falls in daylight. Aggregated records carry an explicit isDay;
+ * hourly records are placed against that day's sunrise and sunset. Records with neither
+ * count as daylight.
+ * @param {Object} record - Weather record with time, and isDay or sunrise and sunset
+ * @returns {boolean}
+ */
+export const isDaylight = (record) => {
+  if (typeof record.isDay === 'boolean') {
+    return record.isDay;
+  }
+  if (!record.sunrise || !record.sunset || !record.time) {
+    return true;
+  }
+  const ms = new Date(record.time).getTime();
+  return ms >= new Date(record.sunrise).getTime() && ms < new Date(record.sunset).getTime();
+};
+
+/**
+ * WHO category for a UV index
+ * @param {number} uvIndex
+ * @returns {string} low, moderate, high, very high or extreme
+ */
+export const uvCategory = (uvIndex) => {
+  return UV_CATEGORIES.find(category => uvIndex >= category.from).label;
+};
+
+/**
+ * Summarize sun and daylight across a forecast window
+ * @param {Array} weatherData - Hourly records
+ * @returns {{maxUv: number, cloudCover: number|null, dark: boolean, daylight: boolean,
+ *   darkPhase: string|null, sunrise: string|null, sunset: string|null}}
+ *   Peak UV, mean cloud cover (%) over the daylight hours, whether any of the window is in
+ *   the dark or in daylight, when the dark part falls, and the first sunrise and sunset known
+ */
+export const summarizeSun = (weatherData) => {
+  const dark = weatherData.filter(w => !isDaylight(w));
+  const light = weatherData.filter(w => isDaylight(w));
+  const covers = (light.length ? light : weatherData).map(w => w.cloudCover).filter(Number.isFinite);
+
+  // Dark hours before that day's sunrise are pre-dawn; the rest are after dusk
+  const beforeSunrise = dark.some(w => w.sunrise && new Date(w.time) < new Date(w.sunrise));
+  const afterSunset = dark.some(w => !w.sunrise || new Date(w.time) >= new Date(w.sunrise));
+  let darkPhase = null;
+  if (dark.length === weatherData.length && dark.length > 0) {
+    darkPhase = 'in the dark';
+  } else if (beforeSunrise && afterSunset) {
+    darkPhase = 'before sunrise and after sunset';
+  } else if (beforeSunrise) {
+    darkPhase = 'before sunrise';
+  } else if (afterSunset) {
+    darkPhase = 'after sunset';
+  }
+
+  return {
+    maxUv: Math.round(Math.max(0, ...weatherData.map(w => w.uvIndex).filter(Number.isFinite))),
+    cloudCover: covers.length ? Math.round(covers.reduce((sum, c) => sum + c, 0) / covers.length) : null,
+    dark: dark.length > 0,
+    daylight: light.length > 0,
+    darkPhase,
+    sunrise: weatherData.find(w => w.sunrise)?.sunrise || null,
+    sunset: weatherData.find(w => w.sunset)?.sunset || null
+  };
+};
+
+/**
+ * Stretches of a window spent in the dark, for shading charts. Each stretch runs from its
+ * first dark record to the record after it, so the change-over hour is shaded too; a dark
+ * stretch at the very end starts from the record before it instead.
+ * @param {Array} weatherData - Records in time order
+ * @returns {Array<{from: string, to: string}>} Record times bounding each dark stretch
+ */
+export const darkSpans = (weatherData) => {
+  const spans = [];
+  weatherData.forEach((record, i) => {
+    if (isDaylight(record)) return;
+    const previous = spans[spans.length - 1];
+    if (previous && previous.last === i - 1) {
+      previous.last = i;
+    } else {
+      spans.push({ first: i, last: i });
+    }
+  });
+
+  return spans.map(({ first, last }) => {
+    const end = weatherData[last + 1] || weatherData[last];
+    const start = end === weatherData[first] && first > 0 ? weatherData[first - 1] : weatherData[first];
+    return { from: start.time, to: end.time };
+  });
+};
@@ -0,0 +1,145 @@
+// Personal gear closet: matches the generic layers an activity's rules call for against
+// the clothing someone actually owns.
+//
+// A gear item:
+//   id, name         e.g. 'Rapha Pro Team winter jacket'
+//   type             layer type from LAYER_TYPES ('Outer Layer', ...)
+//   slot             body area from SLOTS (see activityCatalog.js)
+//   warmth           1 (hot-weather) to 5 (deep cold)
+//   windproof, waterproof
+//   activities       activity ids it suits; empty means any activity
+
+import { LAYER_TYPES, SLOTS } from './activityCatalog.js';
+
+// Felt temperature (°F) at or above which each warmth rating is the right one
+const WARMTH_BANDS = [
+  { from: 65, warmth: 1 },
+  { from: 50, warmth: 2 },
+  { from: 32, warmth: 3 },
+  { from: 15, warmth: 4 },
+  { from: -Infinity, warmth: 5 }
+];
+
+// An owned item may be this many warmth steps off the ideal and still stand in
+const WARMTH_TOLERANCE = 1;
+
+/**
+ * Body area a generic layer covers: its explicit slot, otherwise the slot whose keyword
+ * appears first in the item name ('Hardshell pants' is legs, 'Thermal cap under helmet' head)
+ * @param {{item: string, slot?: string}} layer
+ * @returns {string|null} Slot id
+ */
+export const slotForLayer = (layer) => {
+  if (layer.slot) {
+    return layer.slot;
+  }
+  const name = layer.item.toLowerCase();
+  let best = null;
+  SLOTS.forEach(slot => {
+    const match = name.match(slot.pattern);
+    if (match && (!best || match.index < best.index)) {
+      best = { id: slot.id, index: match.index };
+    }
+  });
+  return best ? best.id : null;
+};
+
+/**
+ * Warmth rating that suits a felt temperature
+ * @param {number} feltTemp - °F
+ * @returns {number} 1 to 5
+ */
+export const targetWarmth = (feltTemp) => {
+  return WARMTH_BANDS.find(band => feltTemp >= band.from).warmth;
+};
+
+/**
+ * Check a gear item
+ * @param {Object} item - Gear item
+ * @returns {Array<string>} Problems found, empty when the item is usable
+ */
+export const validateGearItem = (item) => {
+  const errors = [];
+  if (!item || typeof item !== 'object') {
+    return ['gear item must be an object'];
+  }
+  if (typeof item.id !== 'string' || !item.id) {
+    errors.push('id is required');
+  }
+  if (typeof item.name !== 'string' || !item.name.trim()) {
+    errors.push('name is required');
+  }
+  if (!LAYER_TYPES.includes(item.type)) {
+    errors.push(`type must be one of ${LAYER_TYPES.join(', ')}`);
+  }
+  if (!SLOTS.some(slot => slot.id === item.slot)) {
+    errors.push(`slot must be one of ${SLOTS.map(slot => slot.id).join(', ')}`);
+  }
+  if (!Number.isInteger(item.warmth) || item.warmth < 1 || item.warmth > 5) {
+    errors.push('warmth must be a whole number from 1 to 5');
+  }
+  if (item.activities !== undefined && !Array.isArray(item.activities)) {
+    errors.push('activities must be an array of activity ids');
+  }
+  return errors;
+};
+
+// What a layer asks of an owned item, given what triggered it
+const requirementsFor = (layer, conditions) => {
+  const requirements = { type: layer.type, slot: slotForLayer(layer) };
+  switch (layer.basis) {
+    case 'temperature':
+      requirements.warmth = targetWarmth(conditions.feltTemp);
+      break;
+    case 'wind':
+      requirements.windproof = true;
+      break;
+    case 'rain':
+      requirements.waterproof = true;
+      break;
+    case 'weather':
+      requirements[conditions.hasRain ? 'waterproof' : 'windproof'] = true;
+      break;
+  }
+  return requirements;
+};
+
+const suits = (item, requirements, activityId) => {
+  return item.type === requirements.type &&
+    item.slot === requirements.slot &&
+    (!item.activities?.length || item.activities.includes(activityId)) &&
+    (!requirements.windproof || item.windproof) &&
+    (!requirements.waterproof || item.waterproof) &&
+    (requirements.warmth === undefined || Math.abs(item.warmth - requirements.warmth) <= WARMTH_TOLERANCE);
+};
+
+/**
+ * Swap generic layers for items from the closet. Each owned item is used at most once;
+ * layers with no suitable item keep their generic name and are marked as not owned.
+ * @param {Array} layers - Layers from evaluateRules, tagged with their basis
+ * @param {Array} closet - Gear items
+ * @param {string} activityId - Activity the layers are for
+ * @param {Object} conditions - Result of assessConditions
+ * @returns {Array} Layers with owned, and for owned items gearId and genericItem
+ */
+export const assignGear = (layers, closet, activityId, conditions) => {
+  const used = new Set();
+
+  return layers.map(layer => {
+    const requirements = requirementsFor(layer, conditions);
+    const candidates = closet
+      .filter(item => !used.has(item.id) && suits(item, requirements, activityId))
+      // Closest warmth first, then the warmer of two equally close items
+      .sort((a, b) => {
+        const target = requirements.warmth ?? 3;
+        return Math.abs(a.warmth - target) - Math.abs(b.warmth - target) || b.warmth - a.warmth;
+      });
+
+    const match = candidates[0];
+    if (!match) {
+      return { ...layer, owned: false };
+    }
+    used.add(match.id);
+    return { ...layer, item: match.name, genericItem: layer.item, gearId: match.id, owned: true };
+  });
+};
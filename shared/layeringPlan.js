@@ -0,0 +1,119 @@
+// Layering plan over the course of an activity: what to start in, what to shed or add
+// as conditions change, and what has to be carried.
+
+import { resolveActivity, assessConditions, evaluateRules } from './recommendations.js';
+import { assignGear } from './gearCloset.js';
+
+// Conditions are re-evaluated this often between forecast hours
+const STEP_MS = 15 * 60 * 1000;
+
+// Fields interpolated between consecutive hourly records
+const INTERPOLATED_FIELDS = [
+  'temperature', 'temperatureMin', 'temperatureMax', 'windSpeed', 'precipitationChance', 'humidity', 'precipitation', 'snowfall',
+  'uvIndex', 'cloudCover'
+];
+
+// Base layers can't sensibly be swapped mid-activity, so they are chosen once for the
+// whole window; everything else can come off or go on along the way
+const FIXED_TYPES = ['Base Layer'];
+
+const interpolate = (from, to, fraction) => {
+  const record = { ...from };
+  INTERPOLATED_FIELDS.forEach(field => {
+    if (Number.isFinite(from[field]) && Number.isFinite(to[field])) {
+      record[field] = from[field] + (to[field] - from[field]) * fraction;
+    }
+  });
+  return record;
+};
+
+// Hourly records in time order, with one record per STEP_MS in between
+const resample = (weatherData) => {
+  const hourly = [...weatherData]
+    .filter(w => w.time)
+    .sort((a, b) => new Date(a.time) - new Date(b.time))
+    .filter((w, i, all) => i === 0 || new Date(w.time).getTime() !== new Date(all[i - 1].time).getTime());
+
+  return hourly.flatMap((record, i) => {
+    const next = hourly[i + 1];
+    const startMs = new Date(record.time).getTime();
+    if (!next) {
+      return [{ ...record, timeMs: startMs }];
+    }
+    const spanMs = new Date(next.time).getTime() - startMs;
+    const steps = Math.max(1, Math.round(spanMs / STEP_MS));
+    return Array.from({ length: steps }, (_, step) => {
+      const timeMs = startMs + (spanMs * step) / steps;
+      // Each step carries its own time so daylight is judged at the step, not the hour
+      return { ...interpolate(record, next, step / steps), time: new Date(timeMs).toISOString(), timeMs };
+    });
+  });
+};
+
+/**
+ * Plan layers across the forecast window. Each step between forecast hours is evaluated
+ * with the activity's rules; base layers are fixed for the whole window, while other
+ * layers are added or shed at the step where the rules first call for the change.
+ * @param {string|Object} activity - Activity id from ACTIVITIES, or an activity definition
+ * @param {Array} weatherData - Hourly weather records with times, in route order
+ * @param {string} effortLevel - Effort id from EFFORT_LEVELS
+ * @param {Array} historicalFeedback - This person's past feedback records, used for calibration
+ * @param {Array} closet - This person's gear items
+ * @returns {{start: Array, changes: Array<{time: string, action: string, layer: Object, feltTemp: number}>, packable: Array}}
+ *   Layers to start in, timed changes, and layers that are carried for part of the activity
+ */
+export const buildLayeringPlan = (activity, weatherData, effortLevel, historicalFeedback = [], closet = []) => {
+  const activityInfo = resolveActivity(activity);
+  const samples = resample(weatherData);
+  if (!activityInfo || samples.length === 0) {
+    return { start: [], changes: [], packable: [] };
+  }
+
+  const windowConditions = assessConditions(activityInfo, weatherData, effortLevel, historicalFeedback);
+  const fixed = evaluateRules(activityInfo, windowConditions).filter(layer => FIXED_TYPES.includes(layer.type));
+
+  const timeline = samples.map(sample => {
+    const conditions = assessConditions(activityInfo, [sample], effortLevel, historicalFeedback);
+    const flexible = evaluateRules(activityInfo, conditions).filter(layer => !FIXED_TYPES.includes(layer.type));
+    return { time: new Date(sample.timeMs).toISOString(), feltTemp: conditions.feltTemp, layers: flexible };
+  });
+
+  // Every distinct layer that appears, so owned gear is assigned once for the whole plan
+  const distinct = new Map();
+  [...fixed, ...timeline.flatMap(step => step.layers)].forEach(layer => {
+    if (!distinct.has(layer.item)) {
+      distinct.set(layer.item, layer);
+    }
+  });
+  const resolved = closet.length
+    ? assignGear([...distinct.values()], closet, activityInfo.id, windowConditions)
+    : [...distinct.values()];
+  const byItem = new Map([...distinct.keys()].map((item, i) => {
+    const { basis, ...layer } = resolved[i];
+    return [item, layer];
+  }));
+
+  const changes = [];
+  timeline.forEach((step, i) => {
+    if (i === 0) return;
+    const before = new Set(timeline[i - 1].layers.map(l => l.item));
+    const now = new Set(step.layers.map(l => l.item));
+    before.forEach(item => {
+      if (!now.has(item)) changes.push({ time: step.time, action: 'remove', layer: byItem.get(item), feltTemp: step.feltTemp });
+    });
+    now.forEach(item => {
+      if (!before.has(item)) changes.push({ time: step.time, action: 'add', layer: byItem.get(item), feltTemp: step.feltTemp });
+    });
+  });
+
+  // Anything not worn from start to finish spends part of the activity in the pack
+  const wornThroughout = [...distinct.keys()].filter(item =>
+    fixed.some(l => l.item === item) || timeline.every(step => step.layers.some(l => l.item === item))
+  );
+
+  return {
+    start: [...fixed, ...timeline[0].layers].map(layer => byItem.get(layer.item)),
+    changes,
+    packable: [...distinct.keys()].filter(item => !wornThroughout.includes(item)).map(item => byItem.get(item))
+  };
+};
@@ -0,0 +1,127 @@
+// Precipitation type and intensity from WMO weather codes and forecast amounts.
+// Amounts are in inches per hour, like the rest of the engine's imperial units.
+
+export const PRECIPITATION_TYPES = ['drizzle', 'rain', 'snow', 'freezing-rain'];
+export const INTENSITIES = ['light', 'moderate', 'heavy'];
+
+// WMO weather interpretation codes, as used by Open-Meteo
+const WEATHER_CODES = {
+  0: { label: 'Clear sky' },
+  1: { label: 'Mainly clear' },
+  2: { label: 'Partly cloudy' },
+  3: { label: 'Overcast' },
+  45: { label: 'Fog' },
+  48: { label: 'Depositing rime fog' },
+  51: { label: 'Light drizzle', type: 'drizzle', intensity: 'light' },
+  53: { label: 'Drizzle', type: 'drizzle', intensity: 'light' },
+  55: { label: 'Dense drizzle', type: 'drizzle', intensity: 'moderate' },
+  56: { label: 'Light freezing drizzle', type: 'freezing-rain', intensity: 'light' },
+  57: { label: 'Dense freezing drizzle', type: 'freezing-rain', intensity: 'moderate' },
+  61: { label: 'Slight rain', type: 'rain', intensity: 'light' },
+  63: { label: 'Moderate rain', type: 'rain', intensity: 'moderate' },
+  65: { label: 'Heavy rain', type: 'rain', intensity: 'heavy' },
+  66: { label: 'Light freezing rain', type: 'freezing-rain', intensity: 'light' },
+  67: { label: 'Heavy freezing rain', type: 'freezing-rain', intensity: 'heavy' },
+  71: { label: 'Slight snow', type: 'snow', intensity: 'light' },
+  73: { label: 'Moderate snow', type: 'snow', intensity: 'moderate' },
+  75: { label: 'Heavy snow', type: 'snow', intensity: 'heavy' },
+  77: { label: 'Snow grains', type: 'snow', intensity: 'light' },
+  80: { label: 'Slight rain showers', type: 'rain', intensity: 'light' },
+  81: { label: 'Moderate rain showers', type: 'rain', intensity: 'moderate' },
+  82: { label: 'Violent rain showers', type: 'rain', intensity: 'heavy' },
+  85: { label: 'Slight snow showers', type: 'snow', intensity: 'light' },
+  86: { label: 'Heavy snow showers', type: 'snow', intensity: 'heavy' },
+  95: { label: 'Thunderstorm', type: 'rain', intensity: 'heavy' },
+  96: { label: 'Thunderstorm with slight hail', type: 'rain', intensity: 'heavy' },
+  99: { label: 'Thunderstorm with heavy hail', type: 'rain', intensity: 'heavy' }
+};
+
+// NWS rain rates (in/h): light below 0.10, heavy above 0.30
+const RAIN_RATES = { moderate: 0.1, heavy: 0.3 };
+// Snowfall rates (in/h) for the same three steps
+const SNOW_RATES = { moderate: 0.4, heavy: 1 };
+// Without a precipitation code, a chance above this still counts as expected precipitation
+const LIKELY_CHANCE = 30;
+
+const rateIntensity = (amount, rates) => {
+  if (amount >= rates.heavy) return 'heavy';
+  if (amount >= rates.moderate) return 'moderate';
+  return 'light';
+};
+
+const moreIntense = (a, b) => (INTENSITIES.indexOf(a) >= INTENSITIES.indexOf(b) ? a : b);
+
+/**
+ * Decode a WMO weather code
+ * @param {number} code
+ * @returns {{label: string, type?: string, intensity?: string}}
+ */
+export const decodeWeatherCode = (code) => {
+  return WEATHER_CODES[code] || { label: 'Unknown' };
+};
+
+/**
+ * Classify one hourly record's precipitation. The weather code gives the type; measured
+ * amounts can raise the intensity. When the code shows none but precipitation is likely or
+ * measured, the type follows the temperature.
+ * @param {Object} record - Hourly record with weatherCode, precipitation, snowfall,
+ *   precipitationChance and temperature
+ * @returns {{type: string, intensity: string}|null} Null when no precipitation is expected
+ */
+export const classifyPrecipitation = (record) => {
+  const decoded = decodeWeatherCode(record.weatherCode);
+  const amount = record.precipitation || 0;
+  const snowfall = record.snowfall || 0;
+
+  let type = decoded.type;
+  if (!type) {
+    if (amount <= 0 && snowfall <= 0 && !(record.precipitationChance > LIKELY_CHANCE)) {
+      return null;
+    }
+    type = snowfall > 0 || record.temperature <= 32 ? 'snow' : 'rain';
+  }
+
+  const measured = type === 'snow' ? rateIntensity(snowfall, SNOW_RATES) : rateIntensity(amount, RAIN_RATES);
+  // Drizzle stays drizzle however long it lasts; anything heavier is rain
+  const intensity = type === 'drizzle' ? (decoded.intensity || 'light') : moreIntense(measured, decoded.intensity || 'light');
+
+  return { type, intensity };
+};
+
+/**
+ * Summarize precipitation across a forecast window
+ * @param {Array} weatherData - Hourly records
+ * @returns {{types: Array<string>, intensity: string|null, maxAmount: number, totalSnowfall: number}}
+ *   Every type expected, the heaviest intensity, the wettest hour (in/h) and total snowfall (in)
+ */
+export const summarizePrecipitation = (weatherData) => {
+  const types = new Set();
+  let intensity = null;
+  weatherData.forEach(record => {
+    const classified = classifyPrecipitation(record);
+    if (classified) {
+      types.add(classified.type);
+      intensity = intensity ? moreIntense(classified.intensity, intensity) : classified.intensity;
+    }
+  });
+
+  return {
+    types: PRECIPITATION_TYPES.filter(type => types.has(type)),
+    intensity,
+    maxAmount: Math.max(0, ...weatherData.map(w => w.precipitation || 0)),
+    totalSnowfall: weatherData.reduce((sum, w) => sum + (w.snowfall || 0), 0)
+  };
+};
+
+/**
+ * Short description such as 'heavy rain' or 'light drizzle and snow'
+ * @param {{types: Array<string>, intensity: string|null}} precipitation
+ * @returns {string|null}
+ */
+export const describePrecipitation = (precipitation) => {
+  if (!precipitation || precipitation.types.length === 0) {
+    return null;
+  }
+  const names = precipitation.types.map(type => type.replace('-', ' '));
+  return `${precipitation.intensity} ${names.join(' and ')}`;
+};
@@ -0,0 +1,262 @@
+// Clothing recommendation engine shared by the React app and the backend API.
+// Everything here is plain data and pure functions so it runs in both the browser and Node.
+
+import { buildCalibration } from './calibration.js';
+import { DEFAULT_ACTIVITIES, CONDITIONS } from './activityCatalog.js';
+import { assignGear } from './gearCloset.js';
+import { summarizePrecipitation, describePrecipitation } from './precipitation.js';
+import { summarizeSun, uvCategory } from './daylight.js';
+import { DEFAULT_UNITS, formatMeasure } from './units.js';
+
+// Built-in activities with their layering rules; see activityCatalog.js for the shape
+export const ACTIVITIES = DEFAULT_ACTIVITIES;
+
+export const EFFORT_LEVELS = [
+  { id: 'easy', name: 'Easy', description: 'Conversational pace', heatFactor: 0.7 },
+  { id: 'endurance', name: 'Endurance', description: 'Steady, sustained effort', heatFactor: 1.0 },
+  { id: 'tempo', name: 'Tempo', description: 'Comfortably hard', heatFactor: 1.3 },
+  { id: 'all-out', name: 'All Out', description: 'Maximum effort', heatFactor: 1.6 }
+];
+
+const KM_PER_MILE = 1.609;
+
+/**
+ * NWS wind chill, defined for air at or below 50°F with wind of at least 3 mph
+ * @param {number} temperature - Air temperature in °F
+ * @param {number} windSpeed - Wind speed in mph
+ * @returns {number|null} Wind chill in °F, or null outside the formula's range
+ */
+export const windChill = (temperature, windSpeed) => {
+  if (temperature > 50 || windSpeed < 3) {
+    return null;
+  }
+  const v = windSpeed ** 0.16;
+  return 35.74 + 0.6215 * temperature - 35.75 * v + 0.4275 * temperature * v;
+};
+
+/**
+ * NWS heat index: Steadman's simple formula, switching to the Rothfusz
+ * regression (with its humidity adjustments) once the result reaches 80°F
+ * @param {number} temperature - Air temperature in °F
+ * @param {number} humidity - Relative humidity in %
+ * @returns {number|null} Heat index in °F, or null below 80°F
+ */
+export const heatIndex = (temperature, humidity) => {
+  if (temperature < 80 || !Number.isFinite(humidity)) {
+    return null;
+  }
+
+  const simple = 0.5 * (temperature + 61 + (temperature - 68) * 1.2 + humidity * 0.094);
+  if ((simple + temperature) / 2 < 80) {
+    return simple;
+  }
+
+  const T = temperature;
+  const RH = humidity;
+  let index = -42.379 + 2.04901523 * T + 10.14333127 * RH - 0.22475541 * T * RH -
+    0.00683783 * T * T - 0.05481717 * RH * RH + 0.00122874 * T * T * RH +
+    0.00085282 * T * RH * RH - 0.00000199 * T * T * RH * RH;
+
+  if (RH < 13 && T <= 112) {
+    index -= ((13 - RH) / 4) * Math.sqrt((17 - Math.abs(T - 95)) / 17);
+  } else if (RH > 85 && T <= 87) {
+    index += ((RH - 85) / 10) * ((87 - T) / 5);
+  }
+  return index;
+};
+
+/**
+ * Apparent temperature for someone moving through the air. Moving at the activity's
+ * speed adds airflow on top of the wind; averaged over headwind and tailwind
+ * stretches, the relative airspeed comes out near sqrt(wind² + speed²).
+ * @param {number} temperature - Air temperature in °F
+ * @param {number} windSpeed - Wind speed in mph
+ * @param {number} humidity - Relative humidity in %
+ * @param {number} movingSpeed - Activity speed in mph
+ * @returns {{apparent: number, airspeed: number, windChill: number|null, heatIndex: number|null}}
+ */
+export const apparentTemperature = (temperature, windSpeed, humidity, movingSpeed = 0) => {
+  const airspeed = Math.sqrt(windSpeed ** 2 + movingSpeed ** 2);
+  const chill = windChill(temperature, airspeed);
+  const heat = heatIndex(temperature, humidity);
+
+  return {
+    apparent: chill ?? heat ?? temperature,
+    airspeed,
+    windChill: chill,
+    heatIndex: heat
+  };
+};
+
+/**
+ * Look up an activity definition. User-defined activities are passed as full
+ * definitions; built-in ones can also be named by id.
+ * @param {string|Object} activity - Activity id from ACTIVITIES, or an activity definition
+ * @returns {Object|undefined} Activity definition
+ */
+export const resolveActivity = (activity) => {
+  return typeof activity === 'string' ? ACTIVITIES.find(a => a.id === activity) : activity;
+};
+
+const average = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+/**
+ * Summarize a forecast window into the values that drive layer selection
+ * @param {string|Object} activity - Activity id from ACTIVITIES, or an activity definition
+ * @param {Array} weatherData - Normalized hourly weather records
+ * @param {string} effortLevel - Effort id from EFFORT_LEVELS
+ * @param {Array} historicalFeedback - This person's past feedback records
+ * @returns {Object} Air, apparent and felt temperatures (°F), personal calibration,
+ *   wind and precipitation figures, including precipitation type and intensity, and sun
+ *   and daylight figures
+ */
+export const assessConditions = (activity, weatherData, effortLevel, historicalFeedback = []) => {
+  const activityInfo = resolveActivity(activity);
+  const effort = EFFORT_LEVELS.find(e => e.id === effortLevel);
+  const movingSpeed = activityInfo ? activityInfo.speed / KM_PER_MILE : 0;
+
+  // For GPX routes with aggregated data, use the coldest point for conservative recommendations
+  const isAggregated = weatherData.length > 0 && weatherData[0].isAggregated;
+  const hourly = weatherData.map(w => {
+    const temperature = isAggregated ? (w.temperatureMin ?? w.temperature) : w.temperature;
+    return { temperature, ...apparentTemperature(temperature, w.windSpeed, w.humidity, movingSpeed) };
+  });
+  const combine = isAggregated ? (values) => Math.min(...values) : average;
+
+  const airTemp = combine(hourly.map(h => h.temperature));
+  const apparentTemp = combine(hourly.map(h => h.apparent));
+  // Effort makes you feel warmer than the air around you
+  const effortOffset = (effort.heatFactor - 1) * 15;
+  const calibration = buildCalibration(historicalFeedback, activityInfo?.id, effortLevel, airTemp);
+  const precipitation = summarizePrecipitation(weatherData);
+
+  return {
+    airTemp: Math.round(airTemp),
+    apparentTemp: Math.round(apparentTemp),
+    feltTemp: Math.round(apparentTemp + effortOffset + calibration.offset),
+    effortOffset: Math.round(effortOffset),
+    calibration,
+    movingSpeed: Math.round(movingSpeed),
+    maxAirspeed: Math.round(Math.max(...hourly.map(h => h.airspeed))),
+    hasWindChill: hourly.some(h => h.windChill !== null),
+    hasHeatIndex: hourly.some(h => h.heatIndex !== null),
+    maxWind: Math.max(...weatherData.map(w => w.windSpeed)),
+    maxPrecipitationChance: Math.max(...weatherData.map(w => w.precipitationChance)),
+    precipitation,
+    hasRain: precipitation.types.length > 0,
+    sun: summarizeSun(weatherData)
+  };
+};
+
+// Short phrase citing the figure that triggered a layer, in the reader's units
+const citeBasis = (basis, conditions, units) => {
+  const wind = `${formatMeasure('speed', conditions.maxWind, units)} wind`;
+  switch (basis) {
+    case 'temperature':
+      return `feels like ${formatMeasure('temperature', conditions.feltTemp, units)}`;
+    case 'wind':
+      return wind;
+    case 'rain':
+      return conditions.hasRain
+        ? `${describePrecipitation(conditions.precipitation)}, ${conditions.maxPrecipitationChance}% chance`
+        : `${conditions.maxPrecipitationChance}% chance of precipitation`;
+    case 'weather':
+      return conditions.hasRain
+        ? `${wind}, ${describePrecipitation(conditions.precipitation)}`
+        : wind;
+    case 'daylight':
+      return conditions.sun.darkPhase || 'in daylight';
+    case 'sun': {
+      const { sun } = conditions;
+      const parts = [];
+      if (sun.darkPhase) parts.push(sun.darkPhase);
+      if (sun.daylight) parts.push(`UV ${sun.maxUv}, ${uvCategory(sun.maxUv)}`);
+      if (sun.daylight && sun.cloudCover !== null) parts.push(`${sun.cloudCover}% cloud`);
+      return parts.join('; ') || null;
+    }
+    default:
+      return null;
+  }
+};
+
+// Whether a modifier's conditions all hold; `any` holds when one of its entries does
+const matchesCondition = (when, conditions) => {
+  return Object.entries(when).every(([key, value]) => {
+    if (key === 'any') {
+      return value.some(inner => matchesCondition(inner, conditions));
+    }
+    return CONDITIONS[key] ? CONDITIONS[key].test(conditions, value) : false;
+  });
+};
+
+// Bases cited together under a broader one when a modifier mixes them
+const BASIS_FAMILIES = { daylight: 'sun' };
+
+// The figures a modifier depends on: a single one is cited as is, several from one family
+// under that family, and anything else as 'weather'
+const conditionBasis = (when) => {
+  const bases = new Set();
+  const collect = (condition) => Object.entries(condition).forEach(([key, value]) => {
+    if (key === 'any') {
+      value.forEach(collect);
+    } else if (CONDITIONS[key]) {
+      bases.add(CONDITIONS[key].basis);
+    }
+  });
+  collect(when);
+  if (bases.size === 1) {
+    return [...bases][0];
+  }
+  const families = new Set([...bases].map(basis => BASIS_FAMILIES[basis] || basis));
+  return families.size === 1 ? [...families][0] : 'weather';
+};
+
+/**
+ * Evaluate an activity's rules against assessed conditions
+ * @param {Object} activity - Activity definition
+ * @param {Object} conditions - Result of assessConditions
+ * @returns {Array<{type: string, item: string, reason: string, basis?: string}>} Layers,
+ *   tagged with the figure that triggered them. An item called for by several rules is
+ *   listed once, under the first.
+ */
+export const evaluateRules = (activity, conditions) => {
+  const bands = activity.temperatureBands || [];
+  const band = bands.find(b => b.below === undefined || conditions.feltTemp < b.below);
+
+  const layers = [
+    ...(band ? band.layers.map(layer => ({ ...layer, basis: 'temperature' })) : []),
+    ...(activity.modifiers || [])
+      .filter(modifier => matchesCondition(modifier.when, conditions))
+      .flatMap(modifier => {
+        const basis = conditionBasis(modifier.when);
+        return modifier.layers.map(layer => ({ ...layer, basis }));
+      }),
+    ...(activity.alwaysInclude || []).map(layer => ({ ...layer }))
+  ];
+  return layers.filter((layer, i) => layers.findIndex(l => l.item === layer.item) === i);
+};
+
+/**
+ * Generate layer recommendations for an activity and forecast window
+ * @param {string|Object} activity - Activity id from ACTIVITIES, or an activity definition
+ * @param {Array} weatherData - Normalized hourly weather records
+ * @param {string} effortLevel - Effort id from EFFORT_LEVELS
+ * @param {Array} historicalFeedback - This person's past feedback records, used for calibration
+ * @param {Array} closet - This person's gear items; when given, layers name owned items
+ *   where one fits and are flagged with owned: false where none does
+ * @param {Object} units - Unit preference (see units.js) for the figures quoted in reasons
+ * @returns {Array<{type: string, item: string, reason: string, owned?: boolean}>} Recommended layers
+ */
+export const generateRecommendations = (activity, weatherData, effortLevel, historicalFeedback = [], closet = [], units = DEFAULT_UNITS) => {
+  const activityInfo = resolveActivity(activity);
+  if (!activityInfo) {
+    return [];
+  }
+  const conditions = assessConditions(activityInfo, weatherData, effortLevel, historicalFeedback);
+  const layers = evaluateRules(activityInfo, conditions);
+
+  return (closet.length ? assignGear(layers, closet, activityInfo.id, conditions) : layers).map(({ basis, ...layer }) => {
+    const citation = citeBasis(basis, conditions, units);
+    return citation ? { ...layer, reason: `${layer.reason} (${citation})` } : layer;
+  });
+};
@@ -0,0 +1,42 @@
+// Retry with exponential backoff for calls to upstream services that fail transiently.
+
+export const DEFAULT_RETRY = { attempts: 3, baseDelayMs: 500, maxDelayMs: 8000 };
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Delay before the next attempt: doubling from baseDelayMs with up to 25% jitter, so
+ * clients that failed together don't retry together. A Retry-After from the server wins.
+ * @param {number} attempt - The attempt that just failed, from 1
+ * @param {Error} error - Its error, possibly with retryAfterMs
+ * @param {Object} policy - baseDelayMs and maxDelayMs
+ * @returns {number} Milliseconds
+ */
+export const backoffDelay = (attempt, error, { baseDelayMs, maxDelayMs } = DEFAULT_RETRY) => {
+  if (Number.isFinite(error?.retryAfterMs)) {
+    return Math.min(error.retryAfterMs, maxDelayMs);
+  }
+  const delay = baseDelayMs * 2 ** (attempt - 1);
+  return Math.min(maxDelayMs, delay + delay * 0.25 * Math.random());
+};
+
+/**
+ * Run a task, retrying errors marked retryable until the attempts run out
+ * @param {Function} task - Async function, called with the attempt number
+ * @param {Object} policy - attempts, baseDelayMs, maxDelayMs; sleep can be swapped out
+ * @returns {Promise<*>} The task's result
+ * @throws The last error, once attempts are used up or on an error that isn't retryable
+ */
+export const withRetry = async (task, policy = {}) => {
+  const { attempts, sleep = wait, ...delays } = { ...DEFAULT_RETRY, ...policy };
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await task(attempt);
+    } catch (error) {
+      if (attempt >= attempts || !error.retryable) {
+        throw error;
+      }
+      await sleep(backoffDelay(attempt, error, delays));
+    }
+  }
+};
@@ -0,0 +1,154 @@
+// Multi-day, multi-sport trips: a trip is a run of legs, each its own activity, effort,
+// place and time, and the packing list covers all of them.
+//
+// A trip:
+//   id, name
+//   legs             [{ id, activity, effort, location, coords?, startTime, hours }]
+//                    coords is { lat, lon, name } once the location has been resolved
+
+import { EFFORT_LEVELS, assessConditions, generateRecommendations } from './recommendations.js';
+import { DEFAULT_UNITS, formatMeasure, formatMeasureRange } from './units.js';
+
+export const MAX_LEG_HOURS = 24;
+export const MAX_LEGS = 14;
+
+// Felt temperature (°F) at or below which stops get cold quickly
+const FREEZING_F = 32;
+// A spread this wide (°F) across the trip means carrying layers that aren't worn every day
+const WIDE_RANGE_F = 30;
+
+/**
+ * Check a trip
+ * @param {Object} trip
+ * @returns {Array<string>} Problems found, empty when the trip is usable
+ */
+export const validateTrip = (trip) => {
+  if (!trip || typeof trip !== 'object' || Array.isArray(trip)) {
+    return ['trip must be an object'];
+  }
+  const errors = [];
+  if (typeof trip.name !== 'string' || !trip.name.trim()) {
+    errors.push('name is required');
+  }
+  if (!Array.isArray(trip.legs) || trip.legs.length === 0) {
+    errors.push('a trip needs at least one leg');
+    return errors;
+  }
+  if (trip.legs.length > MAX_LEGS) {
+    errors.push(`a trip can have at most ${MAX_LEGS} legs`);
+  }
+  trip.legs.forEach((leg, i) => {
+    const label = `leg ${i + 1}`;
+    if (!leg || typeof leg !== 'object' || Array.isArray(leg)) {
+      errors.push(`${label} must be an object`);
+      return;
+    }
+    if (typeof leg.activity !== 'string' || !leg.activity) {
+      errors.push(`${label}: activity is required`);
+    }
+    if (!EFFORT_LEVELS.some(e => e.id === leg.effort)) {
+      errors.push(`${label}: effort must be one of ${EFFORT_LEVELS.map(e => e.id).join(', ')}`);
+    }
+    if (typeof leg.location !== 'string' || !leg.location.trim()) {
+      errors.push(`${label}: location is required`);
+    }
+    if (!leg.startTime || isNaN(new Date(leg.startTime).getTime())) {
+      errors.push(`${label}: start time must be a valid date`);
+    }
+    if (!Number.isInteger(leg.hours) || leg.hours < 1 || leg.hours > MAX_LEG_HOURS) {
+      errors.push(`${label}: hours must be a whole number from 1 to ${MAX_LEG_HOURS}`);
+    }
+  });
+  return errors;
+};
+
+/**
+ * Recommendations for each leg of a trip from its own forecast
+ * @param {Array<{activity: Object, effort: string, weather: Array}>} legs - Each leg's
+ *   activity definition, effort id and hourly weather
+ * @param {Array} historicalFeedback - This person's past feedback records
+ * @param {Array} closet - This person's gear items
+ * @param {Object} units - Unit preference for reasons
+ * @returns {Array<{conditions: Object, recommendations: Array}>} One result per leg
+ */
+export const planTripLegs = (legs, historicalFeedback = [], closet = [], units = DEFAULT_UNITS) => {
+  return legs.map(leg => ({
+    conditions: assessConditions(leg.activity, leg.weather, leg.effort, historicalFeedback),
+    recommendations: generateRecommendations(leg.activity, leg.weather, leg.effort, historicalFeedback, closet, units)
+  }));
+};
+
+const legList = (legNumbers) => {
+  const labels = legNumbers.map(n => n + 1);
+  return `${labels.length === 1 ? 'leg' : 'legs'} ${labels.join(', ')}`;
+};
+
+/**
+ * One packing list for the whole trip. The same item recommended on several legs is
+ * packed once; owned gear is matched by its id, anything else by name. Conditions that
+ * call for gear beyond what any single leg recommends are flagged.
+ * @param {Array<{conditions: Object, recommendations: Array}>} legResults - From planTripLegs, in trip order
+ * @param {Object} units - Unit preference for flag messages
+ * @returns {{items: Array<{item: string, type: string, owned?: boolean, legs: Array<number>}>,
+ *   flags: Array<{condition: string, legs: Array<number>, message: string}>}}
+ *   Items with the (0-based) legs that need them, and flagged conditions
+ */
+export const buildPackingList = (legResults, units = DEFAULT_UNITS) => {
+  const byKey = new Map();
+  legResults.forEach(({ recommendations }, legIndex) => {
+    recommendations.forEach(layer => {
+      const key = layer.gearId ? `gear:${layer.gearId}` : layer.item.trim().toLowerCase();
+      if (!byKey.has(key)) {
+        byKey.set(key, { item: layer.item, type: layer.type, owned: layer.owned, legs: [] });
+      }
+      const entry = byKey.get(key);
+      if (!entry.legs.includes(legIndex)) {
+        entry.legs.push(legIndex);
+      }
+    });
+  });
+
+  const legsWhere = (test) => legResults
+    .map(({ conditions }, i) => (test(conditions, i) ? i : -1))
+    .filter(i => i >= 0);
+  const flags = [];
+
+  // Wet gear rarely dries overnight in a hut or tent
+  const wetBeforeAnother = legsWhere((c, i) => c.hasRain && i < legResults.length - 1);
+  if (wetBeforeAnother.length) {
+    flags.push({
+      condition: 'wet',
+      legs: wetBeforeAnother,
+      message: `Precipitation on ${legList(wetBeforeAnother)} with more of the trip to follow: pack a dry spare base layer and socks.`
+    });
+  }
+
+  const dark = legsWhere(c => c.sun?.dark);
+  if (dark.length) {
+    flags.push({
+      condition: 'dark',
+      legs: dark,
+      message: `Darkness on ${legList(dark)}: bring a way to recharge lights, or spare batteries.`
+    });
+  }
+
+  const freezing = legsWhere(c => c.feltTemp <= FREEZING_F);
+  if (freezing.length) {
+    flags.push({
+      condition: 'freezing',
+      legs: freezing,
+      message: `Feels ${formatMeasure('temperature', FREEZING_F, units)} or colder on ${legList(freezing)}: carry an insulated layer for stops and the end of the day.`
+    });
+  }
+
+  const felt = legResults.map(({ conditions }) => conditions.feltTemp).filter(Number.isFinite);
+  if (felt.length > 1 && Math.max(...felt) - Math.min(...felt) >= WIDE_RANGE_F) {
+    flags.push({
+      condition: 'range',
+      legs: legResults.map((_, i) => i),
+      message: `Feels-like temperatures run ${formatMeasureRange('temperature', Math.min(...felt), Math.max(...felt), units)} over the trip: the list covers both ends, so some layers ride in the pack on some days.`
+    });
+  }
+
+  return { items: [...byKey.values()], flags };
+};
@@ -0,0 +1,197 @@
+// Units of measure. Everything inside the app (forecasts, rules, calibration) stays in
+// one system: °F, mph, km, m and inches. Values are converted only when shown to
+// someone or read back from an input, so rule thresholds mean the same in any units.
+
+// Display units someone can pick, per kind of measurement
+export const UNIT_CHOICES = {
+  temperature: ['°F', '°C'],
+  speed: ['mph', 'km/h', 'm/s'],
+  distance: ['km', 'mi'],
+  elevation: ['m', 'ft'],
+  precipitation: ['in', 'mm']
+};
+
+export const UNIT_PRESETS = {
+  imperial: { temperature: '°F', speed: 'mph', distance: 'mi', elevation: 'ft', precipitation: 'in' },
+  metric: { temperature: '°C', speed: 'km/h', distance: 'km', elevation: 'm', precipitation: 'mm' }
+};
+
+// What the app showed before units were configurable
+export const DEFAULT_UNITS = { temperature: '°F', speed: 'mph', distance: 'km', elevation: 'm', precipitation: 'in' };
+
+const KM_PER_MILE = 1.609344;
+const FEET_PER_METER = 3.28084;
+const MM_PER_INCH = 25.4;
+
+// Scale from the internal unit to each display unit; temperature is handled separately
+// because it has an offset as well as a scale
+const SCALES = {
+  speed: { mph: 1, 'km/h': KM_PER_MILE, 'm/s': 0.44704 },
+  distance: { km: 1, mi: 1 / KM_PER_MILE },
+  elevation: { m: 1, ft: FEET_PER_METER },
+  precipitation: { in: 1, mm: MM_PER_INCH },
+  // Activity speeds are stored in km/h and shown per distance unit
+  activitySpeed: { km: 1, mi: 1 / KM_PER_MILE }
+};
+
+// Which preference picks the display unit for each kind
+const PREFERENCE_FOR = {
+  temperature: 'temperature',
+  temperatureChange: 'temperature',
+  speed: 'speed',
+  distance: 'distance',
+  elevation: 'elevation',
+  precipitation: 'precipitation',
+  activitySpeed: 'distance'
+};
+
+/**
+ * Fill in any unit the preference leaves out, and drop anything unknown
+ * @param {Object} units - Stored unit preference, possibly partial
+ * @returns {Object} Complete unit preference
+ */
+export const resolveUnits = (units = {}) => {
+  return Object.fromEntries(Object.entries(UNIT_CHOICES).map(([kind, choices]) => [
+    kind,
+    choices.includes(units?.[kind]) ? units[kind] : DEFAULT_UNITS[kind]
+  ]));
+};
+
+/**
+ * Check a unit preference
+ * @param {Object} units - Unit preference
+ * @returns {Array<string>} Problems found, empty when the preference is usable
+ */
+export const validateUnits = (units) => {
+  if (!units || typeof units !== 'object' || Array.isArray(units)) {
+    return ['units must be an object'];
+  }
+  return Object.entries(units)
+    .filter(([kind, unit]) => !UNIT_CHOICES[kind] || !UNIT_CHOICES[kind].includes(unit))
+    .map(([kind]) => UNIT_CHOICES[kind]
+      ? `units.${kind} must be one of ${UNIT_CHOICES[kind].join(', ')}`
+      : `units.${kind} is not a kind of unit (${Object.keys(UNIT_CHOICES).join(', ')})`);
+};
+
+/**
+ * Label for the unit a kind of value is shown in
+ * @param {string} kind - temperature, temperatureChange, speed, distance, elevation,
+ *   precipitation or activitySpeed
+ * @param {Object} units - Unit preference
+ * @returns {string} e.g. '°C', 'km/h'
+ */
+export const unitLabel = (kind, units) => {
+  const unit = resolveUnits(units)[PREFERENCE_FOR[kind]];
+  if (kind === 'activitySpeed') {
+    return unit === 'mi' ? 'mph' : 'km/h';
+  }
+  return unit;
+};
+
+/**
+ * Convert an internal value for display
+ * @param {string} kind - Kind of value, as for unitLabel
+ * @param {number} value - Value in the internal unit
+ * @param {Object} units - Unit preference
+ * @returns {number} Value in the preferred unit
+ */
+export const toDisplay = (kind, value, units) => {
+  if (!Number.isFinite(value)) {
+    return value;
+  }
+  const unit = resolveUnits(units)[PREFERENCE_FOR[kind]];
+  switch (kind) {
+    case 'temperature':
+      return unit === '°C' ? (value - 32) * 5 / 9 : value;
+    case 'temperatureChange':
+      return unit === '°C' ? value * 5 / 9 : value;
+    default:
+      return value * SCALES[kind][unit];
+  }
+};
+
+/**
+ * Convert a value typed in the preferred unit back to the internal unit
+ * @param {string} kind - Kind of value, as for unitLabel
+ * @param {number} value - Value in the preferred unit
+ * @param {Object} units - Unit preference
+ * @returns {number} Value in the internal unit
+ */
+export const fromDisplay = (kind, value, units) => {
+  if (!Number.isFinite(value)) {
+    return value;
+  }
+  const unit = resolveUnits(units)[PREFERENCE_FOR[kind]];
+  switch (kind) {
+    case 'temperature':
+      return unit === '°C' ? value * 9 / 5 + 32 : value;
+    case 'temperatureChange':
+      return unit === '°C' ? value * 9 / 5 : value;
+    default:
+      return value / SCALES[kind][unit];
+  }
+};
+
+/**
+ * Format an internal value in the preferred unit, e.g. '-4°C' or '2.5 mi'; a missing
+ * value shows as '?'
+ * @param {string} kind - Kind of value, as for unitLabel
+ * @param {number} value - Value in the internal unit
+ * @param {Object} units - Unit preference
+ * @param {number} digits - Decimal places to show
+ * @returns {string}
+ */
+export const formatMeasure = (kind, value, units, digits = 0) => {
+  const label = unitLabel(kind, units);
+  if (!Number.isFinite(value)) {
+    return `? ${label}`;
+  }
+  const shown = toDisplay(kind, value, units).toFixed(digits);
+  // -0 reads oddly once rounded
+  const number = Number(shown) === 0 ? (0).toFixed(digits) : shown;
+  return label.startsWith('°') ? `${number}${label}` : `${number} ${label}`;
+};
+
+// Fields of a weather record and the kind of value each holds
+const RECORD_FIELDS = {
+  temperature: 'temperature',
+  temperatureMin: 'temperature',
+  temperatureMax: 'temperature',
+  trailheadTemperature: 'temperature',
+  summitTemperature: 'temperature',
+  windSpeed: 'speed',
+  precipitation: 'precipitation',
+  snowfall: 'precipitation',
+  maxElevation: 'elevation'
+};
+
+/**
+ * Copy of a weather record with its measurements in the preferred units, for charts
+ * @param {Object} record - Weather record in internal units
+ * @param {Object} units - Unit preference
+ * @returns {Object}
+ */
+export const convertRecord = (record, units) => {
+  const converted = { ...record };
+  Object.entries(RECORD_FIELDS).forEach(([field, kind]) => {
+    if (Number.isFinite(record[field])) {
+      converted[field] = Math.round(toDisplay(kind, record[field], units) * 10) / 10;
+    }
+  });
+  return converted;
+};
+
+/**
+ * Format a range of internal values in the preferred unit, e.g. '-4–2°C', or a single
+ * value when both ends round to the same figure
+ * @param {string} kind - Kind of value, as for unitLabel
+ * @param {number} min - Low end in the internal unit
+ * @param {number} max - High end in the internal unit
+ * @param {Object} units - Unit preference
+ * @returns {string}
+ */
+export const formatMeasureRange = (kind, min, max, units) => {
+  const low = Math.round(toDisplay(kind, min, units));
+  const high = formatMeasure(kind, max, units);
+  return low === Math.round(toDisplay(kind, max, units)) ? high : `${low}–${high}`;
+};
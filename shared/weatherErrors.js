@@ -0,0 +1,62 @@
+// Typed failures from fetching a forecast, so the app can say what went wrong instead of
+// guessing at the weather. Shared by the browser client and the backend.
+
+export const WEATHER_ERROR_CODES = {
+  GEOCODING_FAILED: 'GEOCODING_FAILED',
+  PROVIDER_OUTAGE: 'PROVIDER_OUTAGE',
+  OUT_OF_RANGE: 'OUT_OF_RANGE',
+  RATE_LIMITED: 'RATE_LIMITED'
+};
+
+// Outages and rate limits usually clear up; a missing place or date won't
+const RETRYABLE = [WEATHER_ERROR_CODES.PROVIDER_OUTAGE, WEATHER_ERROR_CODES.RATE_LIMITED];
+
+const TITLES = {
+  GEOCODING_FAILED: "Couldn't find that place",
+  PROVIDER_OUTAGE: 'The weather service is unavailable',
+  OUT_OF_RANGE: 'No forecast for that time',
+  RATE_LIMITED: 'Too many forecast requests'
+};
+
+/**
+ * Create a typed weather error
+ * @param {string} code - One of WEATHER_ERROR_CODES
+ * @param {string} message - What happened, for display
+ * @param {Object} details - Extra fields, e.g. retryAfterMs for rate limits
+ * @returns {Error} Error with code and retryable set
+ */
+export const weatherError = (code, message, details = {}) => {
+  const error = new Error(message);
+  error.code = code;
+  error.retryable = RETRYABLE.includes(code);
+  Object.assign(error, details);
+  return error;
+};
+
+/**
+ * Turn a failed provider response into a typed error
+ * @param {number} status - HTTP status
+ * @param {string|null} retryAfter - Retry-After header, in seconds
+ * @param {string} reason - Provider's explanation, when it gave one
+ * @returns {Error}
+ */
+export const errorFromResponse = (status, retryAfter = null, reason = '') => {
+  if (status === 429) {
+    const seconds = Number(retryAfter);
+    return weatherError(WEATHER_ERROR_CODES.RATE_LIMITED, 'The weather provider is rate limiting requests',
+      Number.isFinite(seconds) && seconds >= 0 ? { retryAfterMs: seconds * 1000 } : {});
+  }
+  if (status === 400 && /date|range|day/i.test(reason)) {
+    return weatherError(WEATHER_ERROR_CODES.OUT_OF_RANGE, reason);
+  }
+  return weatherError(WEATHER_ERROR_CODES.PROVIDER_OUTAGE, `Weather provider returned ${status}${reason ? `: ${reason}` : ''}`);
+};
+
+/**
+ * Short heading for a weather error
+ * @param {Error} error
+ * @returns {string}
+ */
+export const describeWeatherError = (error) => {
+  return TITLES[error?.code] || 'Something went wrong fetching the forecast';
+};